@@ -0,0 +1,129 @@
+// auth.js
+// Authentication for the API. Callers send either
+//   Authorization: Bearer <token>   (from POST /auth/login), or
+//   X-API-Key: <key>                (issued with `node manageUsers.js apikey <username>`)
+// Tokens are HMAC-signed ({ sub, exp }), so they survive restarts without a session table.
+//
+// Env:
+//   AUTH_SECRET           signing key (default: random, persisted in auth/secret.key)
+//   AUTH_TOKEN_TTL_HOURS  token lifetime (default 12)
+//   AUTH_ALLOW_SIGNUP     "true" enables POST /auth/register (default off; add users with manageUsers.js)
+//   AUTH_DISABLED         "true" skips authentication (local development only): everyone is user "local"
+
+import express from "express";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { AUTH_DIR, authenticateApiKey, authenticateUser, createUser, describeUser, findUserById } from "./userStore.js";
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true";
+const ALLOW_SIGNUP = process.env.AUTH_ALLOW_SIGNUP === "true";
+const TOKEN_TTL_MS = (Number(process.env.AUTH_TOKEN_TTL_HOURS) > 0 ? Number(process.env.AUTH_TOKEN_TTL_HOURS) : 12) * 60 * 60 * 1000;
+
+export const LOCAL_USER = { id: "local", username: "local" };
+
+if (AUTH_DISABLED) console.warn("AUTH_DISABLED=true: API is unauthenticated, all sessions belong to the local user");
+
+/** AUTH_SECRET, or a random key generated once and kept in auth/secret.key */
+function loadSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  const p = path.join(AUTH_DIR, "secret.key");
+  if (fs.existsSync(p)) return fs.readFileSync(p, "utf8").trim();
+  fs.mkdirSync(AUTH_DIR, { recursive: true, mode: 0o700 });
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.writeFileSync(p, secret, { encoding: "utf8", mode: 0o600 });
+  console.log("Generated token signing key:", p);
+  return secret;
+}
+
+const SECRET = loadSecret();
+
+function sign(payload) {
+  return crypto.createHmac("sha256", SECRET).update(payload).digest("base64url");
+}
+
+/** signed token for a user: returns { token, expiresAt } */
+export function issueToken(user) {
+  const exp = Date.now() + TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ sub: user.id, exp })).toString("base64url");
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+/** user for a valid, unexpired token (whose user still exists), or null */
+export function verifyToken(token) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!sub || !(exp > Date.now())) return null;
+    const user = findUserById(sub);
+    return user ? describeUser(user) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** user making the request (token or API key), or null */
+export function userFromRequest(req) {
+  if (AUTH_DISABLED) return LOCAL_USER;
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) return verifyToken(header.slice(7).trim());
+  if (req.headers["x-api-key"]) return authenticateApiKey(req.headers["x-api-key"]);
+  return null;
+}
+
+/** reject unauthenticated requests; sets req.user */
+export function requireAuth(req, res, next) {
+  const user = userFromRequest(req);
+  if (!user) {
+    return res.status(401).json({ error: "Authentication required", code: "UNAUTHORIZED" });
+  }
+  req.user = user;
+  return next();
+}
+
+/** true when the user may use the upload session (sessions without an owner belong to nobody) */
+export function canAccessUpload(user, manifest) {
+  if (AUTH_DISABLED) return true;
+  return Boolean(user && manifest && manifest.ownerId === user.id);
+}
+
+export const authRouter = express.Router();
+
+authRouter.post("/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: "username and password are required", code: "MISSING_CREDENTIALS" });
+  }
+  const user = authenticateUser(username, password);
+  if (!user) {
+    console.warn("Failed login for", String(username).slice(0, 64));
+    return res.status(401).json({ error: "Invalid username or password", code: "INVALID_CREDENTIALS" });
+  }
+  return res.json({ user, ...issueToken(user) });
+});
+
+authRouter.post("/register", (req, res) => {
+  if (!ALLOW_SIGNUP) {
+    return res.status(403).json({ error: "Sign-up is disabled on this server", code: "SIGNUP_DISABLED" });
+  }
+  const { username, password } = req.body || {};
+  try {
+    const user = createUser(username, password);
+    return res.status(201).json({ user, ...issueToken(user) });
+  } catch (err) {
+    if (err.code) return res.status(err.code === "USERNAME_TAKEN" ? 409 : 400).json({ error: err.message, code: err.code });
+    console.error("Register error:", err);
+    return res.status(500).json({ error: "Registration failed", details: String(err) });
+  }
+});
+
+// who am I (also tells the UI whether sign-up is offered / auth is off)
+authRouter.get("/me", (req, res) => {
+  const user = userFromRequest(req);
+  if (!user) return res.status(401).json({ error: "Authentication required", code: "UNAUTHORIZED", signup: ALLOW_SIGNUP });
+  return res.json({ user, authDisabled: AUTH_DISABLED });
+});
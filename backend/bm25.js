@@ -0,0 +1,102 @@
+// bm25.js
+// Pure-Node Okapi BM25 over chunk texts. Catches exact tokens (invoice numbers, part codes,
+// clause IDs) that embeddings blur. The index is plain JSON so it persists with the chunk index.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set("a an and are as at be by for from has have how i in is it its me my of on or our that the their this to was we were what when where which who why will with you your".split(" "));
+
+/**
+ * Lowercased terms. Codes like "INV-2024-0042" or "4.2.1" are kept whole *and* split into
+ * their parts, so both the exact code and its pieces match.
+ */
+export function tokenize(text) {
+  const terms = [];
+  const matches = String(text || "").toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || [];
+  for (const m of matches) {
+    const parts = m.split(/[-_./]/);
+    if (parts.length > 1) terms.push(m);
+    for (const p of parts) {
+      if (p && !STOPWORDS.has(p)) terms.push(p);
+    }
+  }
+  return terms;
+}
+
+/** build { docCount, avgDocLength, docLengths, docFreq, termFreqs } for an array of texts */
+export function buildBm25Index(texts) {
+  const docFreq = {};
+  const docLengths = [];
+  const termFreqs = [];
+
+  for (const text of texts) {
+    const tf = {};
+    const terms = tokenize(text);
+    for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+    for (const t of Object.keys(tf)) docFreq[t] = (docFreq[t] || 0) + 1;
+    docLengths.push(terms.length);
+    termFreqs.push(tf);
+  }
+
+  const docCount = texts.length;
+  const avgDocLength = docCount ? docLengths.reduce((s, n) => s + n, 0) / docCount : 0;
+  return { docCount, avgDocLength, docLengths, docFreq, termFreqs };
+}
+
+/** BM25 score of every indexed text for the query (same order as the texts passed to buildBm25Index) */
+export function scoreBm25(index, query) {
+  const { docCount, avgDocLength, docLengths, docFreq, termFreqs } = index;
+  const qTerms = [...new Set(tokenize(query))];
+  return termFreqs.map((tf, i) => {
+    let score = 0;
+    const lenNorm = 1 - BM25_B + BM25_B * (docLengths[i] / (avgDocLength || 1));
+    for (const t of qTerms) {
+      const f = tf[t];
+      if (!f) continue;
+      const idf = Math.log(1 + (docCount - docFreq[t] + 0.5) / (docFreq[t] + 0.5));
+      score += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * lenNorm);
+    }
+    return score;
+  });
+}
+
+/**
+ * Reciprocal rank fusion.
+ * - rankings: [{ scores: number[], weight }] — one score per item, higher is better;
+ *   items scoring <= 0 in a ranking are left out of that ranking.
+ * - Returns one fused score per item: sum(weight / (k + rank)), rank starting at 1.
+ */
+export function reciprocalRankFusion(rankings, k = 60) {
+  const size = rankings[0]?.scores.length || 0;
+  const fused = new Array(size).fill(0);
+  for (const { scores, weight = 1 } of rankings) {
+    if (!weight) continue;
+    const order = scores
+      .map((score, i) => ({ score, i }))
+      .filter(x => x.score > 0)
+      .sort((a, b) => b.score - a.score);
+    order.forEach((x, rank) => {
+      fused[x.i] += weight / (k + rank + 1);
+    });
+  }
+  return fused;
+}
+
+/**
+ * Combine per-document BM25 indexes into one (document order preserved), so chunks from
+ * several files are scored against shared corpus statistics.
+ */
+export function mergeBm25Indexes(indexes) {
+  const docFreq = {};
+  const docLengths = [];
+  const termFreqs = [];
+  for (const idx of indexes) {
+    for (const [t, n] of Object.entries(idx.docFreq)) docFreq[t] = (docFreq[t] || 0) + n;
+    docLengths.push(...idx.docLengths);
+    termFreqs.push(...idx.termFreqs);
+  }
+  const docCount = docLengths.length;
+  const avgDocLength = docCount ? docLengths.reduce((s, n) => s + n, 0) / docCount : 0;
+  return { docCount, avgDocLength, docLengths, docFreq, termFreqs };
+}
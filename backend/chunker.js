@@ -0,0 +1,131 @@
+// chunker.js
+// Splits extracted pages into overlapping, token-sized chunks that remember their parent pages.
+// Strategies:
+//   "sentence"  (default) pack whole sentences, falling back to words for run-on sentences
+//   "paragraph" pack whole paragraphs (blank-line separated), falling back to words
+//   "fixed"     pack words only (classic sliding window)
+//   "page"      like "fixed" but never crosses a page boundary
+
+export const CHUNK_STRATEGIES = ["sentence", "paragraph", "fixed", "page"];
+
+export const DEFAULT_CHUNKING = { strategy: "sentence", chunkSize: 256, chunkOverlap: 32 };
+
+/**
+ * Approximate token count (words and punctuation marks each count as one).
+ * Close enough to BPE counts for sizing chunks without shipping a tokenizer.
+ */
+export function countTokens(text) {
+  const m = String(text || "").match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu);
+  return m ? m.length : 0;
+}
+
+/** validate/normalize chunking options (falls back to DEFAULT_CHUNKING per field) */
+export function normalizeChunking(opts = {}) {
+  const strategy = CHUNK_STRATEGIES.includes(opts.strategy) ? opts.strategy : DEFAULT_CHUNKING.strategy;
+  const chunkSize = Number.isFinite(Number(opts.chunkSize)) && Number(opts.chunkSize) >= 16
+    ? Math.floor(Number(opts.chunkSize))
+    : DEFAULT_CHUNKING.chunkSize;
+  const requestedOverlap = opts.chunkOverlap == null ? DEFAULT_CHUNKING.chunkOverlap : Number(opts.chunkOverlap);
+  // overlap must leave room for new content in every chunk
+  const chunkOverlap = Number.isFinite(requestedOverlap)
+    ? Math.max(0, Math.min(Math.floor(requestedOverlap), Math.floor(chunkSize / 2)))
+    : DEFAULT_CHUNKING.chunkOverlap;
+  return { strategy, chunkSize, chunkOverlap };
+}
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?;:])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+}
+
+function splitParagraphs(text) {
+  return text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, " ").trim()).filter(Boolean);
+}
+
+function splitWords(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/** turn one page into { text, tokens, page } units for the packer */
+function pageUnits(page, strategy, chunkSize) {
+  const text = page.text || "";
+  let pieces;
+  if (strategy === "sentence") pieces = splitSentences(text);
+  else if (strategy === "paragraph") pieces = splitParagraphs(text);
+  else pieces = splitWords(text);
+
+  const units = [];
+  for (const piece of pieces) {
+    const tokens = countTokens(piece);
+    if (tokens > chunkSize) {
+      // oversized paragraph/sentence: let the packer handle it word by word
+      for (const word of splitWords(piece)) units.push({ text: word, tokens: countTokens(word), page });
+    } else {
+      units.push({ text: piece, tokens, page });
+    }
+  }
+  return units;
+}
+
+/**
+ * chunkPages(pages, opts)
+ * - pages: [{ pageNumber, pageEnd?, text }] as returned by extractPdfPages
+ * - opts: { strategy, chunkSize, chunkOverlap } (sizes in tokens, see countTokens)
+ * - Returns [{ seq, text, tokens, pageStart, pageEnd, overlapChars }], where overlapChars is the
+ *   length of the prefix repeated from the previous chunk (lets retrieval merge neighbours).
+ */
+export function chunkPages(pages, opts = {}) {
+  const { strategy, chunkSize, chunkOverlap } = normalizeChunking(opts);
+  const separator = strategy === "paragraph" ? "\n\n" : " ";
+  const chunks = [];
+
+  let current = [];
+  let currentTokens = 0;
+  let carried = 0; // how many leading units of `current` were carried over as overlap
+
+  const flush = (keepOverlap) => {
+    if (current.length > carried) {
+      const text = current.map(u => u.text).join(separator);
+      const overlapText = current.slice(0, carried).map(u => u.text).join(separator);
+      chunks.push({
+        seq: chunks.length,
+        text,
+        tokens: currentTokens,
+        pageStart: current[0].page.pageNumber,
+        pageEnd: Math.max(...current.map(u => u.page.pageEnd ?? u.page.pageNumber)),
+        overlapChars: carried ? overlapText.length + separator.length : 0,
+      });
+    }
+
+    // carry trailing units (up to chunkOverlap tokens) into the next chunk
+    let tail = [];
+    let tailTokens = 0;
+    if (keepOverlap && chunkOverlap > 0) {
+      for (let i = current.length - 1; i > 0; i--) {
+        if (tailTokens + current[i].tokens > chunkOverlap) break;
+        tail.unshift(current[i]);
+        tailTokens += current[i].tokens;
+      }
+    }
+    current = tail;
+    currentTokens = tailTokens;
+    carried = tail.length;
+  };
+
+  for (const page of pages) {
+    for (const unit of pageUnits(page, strategy, chunkSize)) {
+      if (currentTokens + unit.tokens > chunkSize && current.length > carried) flush(true);
+      // drop the overlap if it would not leave room for this unit
+      if (currentTokens + unit.tokens > chunkSize) {
+        current = [];
+        currentTokens = 0;
+        carried = 0;
+      }
+      current.push(unit);
+      currentTokens += unit.tokens;
+    }
+    if (strategy === "page") flush(false);
+  }
+  flush(false);
+
+  return chunks;
+}
@@ -0,0 +1,218 @@
+// citations.js
+// Turns the model's free-text answer into segments with structured citations and checks every
+// citation against the blocks that were actually retrieved for that answer.
+//
+// Citation syntax asked for in the prompt (see CITATION_RULES in prompts.js):
+//   (Doc: invoice.pdf — Page 3 — "exact words")    the quote is optional
+//   (Doc: invoice.pdf — Pages 3-4; Doc: terms.pdf — Page 1)
+//   (Doc: guide.docx — Section 2: Setup — "exact words")   documents split at headings
+// A citation is verified when its document and page were in the retrieved context and its
+// quote (or, without one, a sentence sharing terms with the claim) is found on that page.
+// Citations backed by a table block also return the table rows they point at.
+
+import { tokenize } from "./bm25.js";
+import { tableExcerpt } from "./tables.js";
+
+const MAX_QUOTE_CHARS = 300;
+
+// one citation inside a parenthetical:
+//   [Doc: name <sep>] Page(s)|Section(s) n[-m][: section title] [<sep> "quote"]
+const SEP = String.raw`(?:\s*[—–]\s*|\s+-\s+|,\s*)`;
+const CITATION_RE = new RegExp(
+  String.raw`^\s*(?:Doc(?:ument)?:\s*(.+?)${SEP})?(Pages?|Sections?)\s*(\d+)(?:\s*[-–]\s*(\d+))?(?::\s*(.+?))?(?:${SEP}["“](.+?)["”])?\s*$`,
+  "i"
+);
+
+export const CITATION_ISSUES = {
+  DOCUMENT_MISSING: "the citation does not name a document",
+  DOCUMENT_NOT_RETRIEVED: "the document was not part of the retrieved context",
+  PAGE_NOT_RETRIEVED: "the page was not part of the retrieved context",
+  QUOTE_NOT_FOUND: "the quoted text does not appear on the cited page",
+  NO_SUPPORTING_TEXT: "nothing on the cited page matches the claim",
+};
+
+/** parse "(...)" contents into citations, or null when it isn't a citation group */
+function parseCitationGroup(inner) {
+  const parts = inner.split(/;\s*(?=(?:Doc(?:ument)?:|Pages?\b|Sections?\b))/i);
+  const citations = [];
+  for (const part of parts) {
+    const m = part.match(CITATION_RE);
+    if (!m) return null;
+    const page = Number(m[3]);
+    citations.push({
+      document: m[1] ? m[1].trim() : null,
+      unit: /^section/i.test(m[2]) ? "section" : "page",
+      page,
+      pageEnd: m[4] ? Math.max(page, Number(m[4])) : page,
+      title: m[5] ? m[5].trim() : null,
+      quote: m[6] ? m[6].trim() : null,
+    });
+  }
+  return citations;
+}
+
+/** all citation groups of an answer: [{ start, end, citations }] */
+function findCitationGroups(answer) {
+  const groups = [];
+  const re = /\(([^()]*)\)/g;
+  let m;
+  while ((m = re.exec(answer))) {
+    const citations = parseCitationGroup(m[1]);
+    if (!citations) continue;
+    let start = m.index;
+    while (start > 0 && answer[start - 1] === " ") start--; // drop the space before "(Doc: ..."
+    groups.push({ start, end: m.index + m[0].length, citations });
+  }
+  return groups;
+}
+
+/** split uncited text into sentences; whitespace stays attached to the sentence before it */
+function splitSentences(text) {
+  const pieces = text.split(/(?<=[.!?]\s+|\n)(?=\S)/);
+  return pieces.filter(p => p.length);
+}
+
+const normalize = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/[—–]/g, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+
+function docKey(name) {
+  return normalize(name).replace(/\.[a-z0-9]+$/, "");
+}
+
+/**
+ * retrieved blocks of the cited document overlapping the cited pages (sections for documents
+ * split at headings; the number is what matters, "Page" vs "Section" is not held against the model)
+ */
+function blocksFor(citation, blocks) {
+  let docBlocks;
+  if (citation.document) {
+    const exact = blocks.filter(b => normalize(b.filename) === normalize(citation.document));
+    docBlocks = exact.length ? exact : blocks.filter(b => docKey(b.filename) === docKey(citation.document));
+    if (!docBlocks.length) return { issue: "DOCUMENT_NOT_RETRIEVED" };
+  } else {
+    // "(Page 3)" is only unambiguous when a single document was retrieved
+    const names = new Set(blocks.map(b => b.filename));
+    if (names.size !== 1) return { issue: "DOCUMENT_MISSING" };
+    docBlocks = blocks;
+  }
+  const onPage = docBlocks.filter(b => b.pageNumber <= citation.pageEnd && (b.pageEnd ?? b.pageNumber) >= citation.page);
+  if (!onPage.length) return { filename: docBlocks[0].filename, issue: "PAGE_NOT_RETRIEVED" };
+  return { filename: onPage[0].filename, blocks: onPage };
+}
+
+/** sentence of the blocks sharing the most terms with the claim, or null */
+function bestSupportingSentence(claim, blocks) {
+  const claimTerms = new Set(tokenize(claim));
+  let best = null;
+  let bestOverlap = 0;
+  for (const block of blocks) {
+    for (const sentence of splitSentences(block.text || "")) {
+      const overlap = new Set(tokenize(sentence).filter(t => claimTerms.has(t))).size;
+      if (overlap > bestOverlap) {
+        best = { block, text: sentence.trim() };
+        bestOverlap = overlap;
+      }
+    }
+  }
+  return best;
+}
+
+function truncateQuote(text) {
+  return text.length > MAX_QUOTE_CHARS ? `${text.slice(0, MAX_QUOTE_CHARS)}…` : text;
+}
+
+function withIssue(result, issue) {
+  return { ...result, issue, issueMessage: CITATION_ISSUES[issue] };
+}
+
+/** check one parsed citation for the claim it supports */
+function verifyCitation(citation, claim, blocks) {
+  const result = {
+    document: citation.document,
+    unit: citation.unit, // "page" | "section": taken from the document once it is found
+    page: citation.page,
+    pageEnd: citation.pageEnd,
+    title: citation.title, // section heading
+    quote: citation.quote,
+    verified: false,
+    issue: null,
+    source: null, // { filename, page } of the matching entry in `sources`
+  };
+  const found = blocksFor(citation, blocks);
+  if (found.filename) result.document = found.filename;
+  if (found.issue) return withIssue(result, found.issue);
+  result.unit = found.blocks[0].unit || "page";
+  if (result.unit === "section") result.title = found.blocks.find(b => b.pageNumber === citation.page)?.title || result.title;
+
+  let block = null;
+  let issue = null;
+  if (citation.quote) {
+    const quote = normalize(citation.quote);
+    block = found.blocks.find(b => normalize(b.text).includes(quote));
+    if (!block) issue = "QUOTE_NOT_FOUND";
+  } else {
+    const best = bestSupportingSentence(claim, found.blocks);
+    if (best) {
+      block = best.block;
+      result.quote = truncateQuote(best.text);
+    } else {
+      issue = "NO_SUPPORTING_TEXT";
+    }
+  }
+  const target = block || found.blocks[0];
+  result.source = { filename: target.filename, page: target.pageNumber };
+  if (block?.table) result.table = tableExcerpt(block.table, result.quote);
+  if (issue) return withIssue(result, issue);
+  result.verified = true;
+  return result;
+}
+
+/**
+ * buildCitedAnswer(answer, blocks)
+ * - answer: the model's text; blocks: retrieved blocks ({ filename, pageNumber, pageEnd, text, unit?, title? }).
+ * - Returns { segments, citationCount, unverifiedCount } where segments concatenate back to the
+ *   answer without its citation markup: [{ text, citations: [{ document, unit, page, pageEnd,
+ *   title, quote, verified, issue, issueMessage, source, table? }] }] where table is
+ *   { caption, page, header, rows } for citations of a table. A citation group belongs to the sentence it ends.
+ */
+export function buildCitedAnswer(answer, blocks) {
+  const text = String(answer || "");
+  const segments = [];
+  let cursor = 0;
+
+  for (const group of findCitationGroups(text)) {
+    const before = splitSentences(text.slice(cursor, group.start));
+    const claim = before.pop() || "";
+    for (const sentence of before) segments.push({ text: sentence, citations: [] });
+
+    // punctuation right after the citation ends the cited sentence: "... $5 (Doc: a — Page 1)."
+    let end = group.end;
+    while (end < text.length && /[.,;:!?]/.test(text[end])) end++;
+    const last = segments[segments.length - 1];
+    const continues = !claim.trim() && last;
+    const citations = group.citations.map(c => verifyCitation(c, continues ? last.text : claim, blocks));
+
+    if (continues) {
+      // a second citation group right after the first one: same claim
+      last.text += text.slice(group.end, end);
+      last.citations.push(...citations);
+    } else {
+      segments.push({ text: claim + text.slice(group.end, end), citations });
+    }
+    cursor = end;
+  }
+  for (const sentence of splitSentences(text.slice(cursor))) segments.push({ text: sentence, citations: [] });
+
+  const all = segments.flatMap(s => s.citations);
+  return {
+    segments,
+    citationCount: all.length,
+    unverifiedCount: all.filter(c => !c.verified).length,
+  };
+}
@@ -0,0 +1,406 @@
+// comparer.js
+// Compares two documents of an upload, typically two versions of a contract or spec. Both are
+// split into clauses (numbered clauses, headed sections, paragraphs; long unstructured text by
+// sentence), the two clause sequences are aligned by a diff on their normalized text, and the
+// clauses left over are paired by text + embedding similarity. Unpaired clauses are added or
+// removed, pairs that differ are modified (with a word diff). The model then explains every
+// change with citations to both documents' pages.
+//
+// Env:
+//   COMPARE_MAX_EXPLAINED   changes the model is asked to explain, in document order (default 40)
+
+import { getChatProvider, providerLabel } from "./providers.js";
+import { callWithRetry } from "./resilience.js";
+import { COMPARE_SETTINGS, buildCompareMessages } from "./prompts.js";
+import { countTokens } from "./chunker.js";
+import fs from "fs";
+import { loadDocument } from "./documentLoaders.js";
+import { callProviderEmbeddings, cosineSimilarity, pageLabel } from "./vectorStore.js";
+import { buildCitedAnswer } from "./citations.js";
+
+function intFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+export const COMPARE = {
+  maxExplained: intFromEnv("COMPARE_MAX_EXPLAINED", 40),
+};
+
+// "4.2 Payment", "Section 7", "Article IV", "§ 3", "(b) ...", "c) ..." start a new clause
+const CLAUSE_START_RE = /^(?:(?:section|article|clause|schedule|annex|exhibit)\s+[\w.-]+|§\s*\d+|\d+(?:\.\d+)*[.)]?\s+\S|\([a-z0-9]{1,4}\)\s+\S|[a-z]\)\s+\S)/i;
+// leading clause numbers are ignored when matching, so renumbered clauses still align
+const CLAUSE_NUMBER_RE = /^(?:(?:section|article|clause)\s+[\w.-]+[.:]?|§\s*\d+[.:]?|\d+(?:\.\d+)*[.)]?|\([a-z0-9]{1,4}\)|[a-z]\))\s+/i;
+// unstructured blocks longer than this are compared sentence by sentence
+const MAX_CLAUSE_TOKENS = 150;
+// pairs of leftover clauses at least this similar are one modified clause
+const MODIFIED_THRESHOLD = 0.5;
+// leftover clauses per side considered for pairing (the rest stay added/removed); pairing is
+// quadratic, so this bounds a comparison to MAX_PAIRING_CLAUSES² similarity checks
+const MAX_PAIRING_CLAUSES = 300;
+// clause text sent to the model per change, and change text per model call
+const EXPLAIN_CLAUSE_CHARS = 1500;
+const EXPLAIN_BATCH_TOKENS = 2500;
+const EMBED_BATCH_SIZE = 16;
+
+const splitSentences = (text) => text.split(/(?<=[.!?;])\s+/).map(s => s.trim()).filter(Boolean);
+const terms = (text) => String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * splitClauses(pages, unit)
+ * - pages: [{ pageNumber, text, title? }] from loadDocument; unit "page" | "section".
+ * - A clause starts at a numbered/lettered line or heading and ends at a blank line, the next
+ *   clause start or the end of its page/section. Clauses longer than MAX_CLAUSE_TOKENS
+ *   are split into sentences.
+ * - Returns [{ index, pageNumber, pageEnd, unit, title, text, key }] in document order, where key
+ *   is the normalized text used for matching.
+ */
+export function splitClauses(pages, unit = "page") {
+  const blocks = [];
+  let current = null;
+  const flush = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+  for (const page of pages) {
+    // a clause running over a page break is split there, so every clause cites one page
+    flush();
+    for (const raw of String(page.text || "").split("\n")) {
+      const line = raw.trim();
+      if (!line) {
+        flush();
+        continue;
+      }
+      if (CLAUSE_START_RE.test(line)) flush();
+      if (!current) current = { pageNumber: page.pageNumber, pageEnd: page.pageNumber, title: unit === "section" ? page.title || null : null, lines: [] };
+      current.lines.push(line);
+      current.pageEnd = page.pageNumber;
+    }
+  }
+  flush();
+
+  const clauses = [];
+  for (const block of blocks) {
+    const text = block.lines.join(" ").replace(/\s+/g, " ");
+    const pieces = countTokens(text) > MAX_CLAUSE_TOKENS ? splitSentences(text) : [text];
+    for (const piece of pieces) {
+      clauses.push({
+        index: clauses.length,
+        pageNumber: block.pageNumber,
+        pageEnd: block.pageEnd,
+        unit,
+        title: block.title,
+        text: piece,
+        key: piece.replace(CLAUSE_NUMBER_RE, "").toLowerCase().replace(/\s+/g, " ").trim(),
+      });
+    }
+  }
+  return clauses;
+}
+
+/**
+ * Longest common subsequence of two sequences compared with `same`: the matched index pairs
+ * [[i, j], ...] in order. Common prefixes and suffixes are matched first, so small edits to long
+ * documents only fill a table for the region in between.
+ */
+function lcsPairs(a, b, same = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && same(a[start], b[start])) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && same(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+  const n = endA - start;
+  const m = endB - start;
+  const pairs = [];
+  for (let k = 0; k < start; k++) pairs.push([k, k]);
+  if (n && m) {
+    // table[i][j] = LCS length of a[start+i..] and b[start+j..]
+    const width = m + 1;
+    const table = n < 65535 && m < 65535 ? new Uint16Array((n + 1) * width) : new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = same(a[start + i], b[start + j])
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (same(a[start + i], b[start + j])) {
+        pairs.push([start + i, start + j]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+}
+
+/** word-level diff of two clause texts: [{ op: "equal" | "delete" | "insert", text }] */
+export function wordDiff(before, after) {
+  const a = before.split(/\s+/).filter(Boolean);
+  const b = after.split(/\s+/).filter(Boolean);
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last?.op === op) last.text += ` ${word}`;
+    else ops.push({ op, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of lcsPairs(a, b, (x, y) => x.toLowerCase() === y.toLowerCase())) {
+    while (i < pi) push("delete", a[i++]);
+    while (j < pj) push("insert", b[j++]);
+    push("equal", b[j]);
+    i++;
+    j++;
+  }
+  while (i < a.length) push("delete", a[i++]);
+  while (j < b.length) push("insert", b[j++]);
+  return ops;
+}
+
+/** Dice coefficient of two clauses' word sets (0..1) */
+function termSetSimilarity(ta, tb) {
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return (2 * shared) / (ta.size + tb.size);
+}
+
+async function embedClauses(clauses, signal) {
+  const vectors = [];
+  for (let i = 0; i < clauses.length; i += EMBED_BATCH_SIZE) {
+    const batch = clauses.slice(i, i + EMBED_BATCH_SIZE).map(c => c.text);
+    vectors.push(...await callProviderEmbeddings(batch, signal, "comparison embedding"));
+  }
+  return vectors;
+}
+
+/**
+ * Pair leftover clauses of the two documents: similarity is the mean of word overlap and
+ * embedding cosine; pairs at or above MODIFIED_THRESHOLD are taken best first.
+ * Returns [[baseClause, revisedClause, similarity], ...].
+ */
+async function pairLeftovers(removed, added, signal) {
+  const left = removed.slice(0, MAX_PAIRING_CLAUSES);
+  const right = added.slice(0, MAX_PAIRING_CLAUSES);
+  if (!left.length || !right.length) return [];
+  const leftVectors = await embedClauses(left, signal);
+  const rightVectors = await embedClauses(right, signal);
+  // tokenized once per clause, not once per pair
+  const leftTerms = left.map(c => new Set(terms(c.text)));
+  const rightTerms = right.map(c => new Set(terms(c.text)));
+
+  const candidates = [];
+  for (let i = 0; i < left.length; i++) {
+    for (let j = 0; j < right.length; j++) {
+      const similarity = (termSetSimilarity(leftTerms[i], rightTerms[j]) + Math.max(0, cosineSimilarity(leftVectors[i], rightVectors[j]))) / 2;
+      if (similarity >= MODIFIED_THRESHOLD) candidates.push([left[i], right[j], similarity]);
+    }
+    // let other requests run between rows, and notice a client that went away
+    await new Promise(resolve => setImmediate(resolve));
+    signal?.throwIfAborted();
+  }
+  candidates.sort((x, y) => y[2] - x[2]);
+  const usedLeft = new Set();
+  const usedRight = new Set();
+  const pairs = [];
+  for (const [a, b, similarity] of candidates) {
+    if (usedLeft.has(a) || usedRight.has(b)) continue;
+    usedLeft.add(a);
+    usedRight.add(b);
+    pairs.push([a, b, similarity]);
+  }
+  return pairs;
+}
+
+const describeClause = (c) => ({ page: c.pageNumber, pageEnd: c.pageEnd, unit: c.unit, title: c.title, text: c.text });
+
+/**
+ * Align two clause lists. Returns { changes, unchanged } where changes are
+ * [{ kind: "added" | "removed" | "modified", base, revised, similarity?, diff? }] ordered by
+ * position in the revised document (removed clauses where they used to be).
+ */
+export async function alignClauses(baseClauses, revisedClauses, { signal } = {}) {
+  const matched = lcsPairs(baseClauses.map(c => c.key), revisedClauses.map(c => c.key));
+  const matchedBase = new Set(matched.map(([i]) => i));
+  const matchedRevised = new Set(matched.map(([, j]) => j));
+  const removed = baseClauses.filter(c => !matchedBase.has(c.index));
+  const added = revisedClauses.filter(c => !matchedRevised.has(c.index));
+
+  // where a base clause would sit in the revised document: just after the last aligned clause before it
+  const revisedPositionOf = (baseIndex) => {
+    let position = -0.5;
+    for (const [i, j] of matched) {
+      if (i >= baseIndex) break;
+      position = j + 0.5;
+    }
+    return position;
+  };
+
+  const pairs = await pairLeftovers(removed, added, signal);
+  const paired = new Set(pairs.flatMap(([a, b]) => [a, b]));
+  const changes = [
+    ...pairs
+      .filter(([a, b]) => a.text !== b.text)
+      .map(([a, b, similarity]) => ({
+        kind: "modified",
+        position: b.index,
+        base: describeClause(a),
+        revised: describeClause(b),
+        similarity: Math.round(similarity * 1000) / 1000,
+        diff: wordDiff(a.text, b.text),
+      })),
+    ...removed.filter(c => !paired.has(c)).map(c => ({ kind: "removed", position: revisedPositionOf(c.index), base: describeClause(c), revised: null })),
+    ...added.filter(c => !paired.has(c)).map(c => ({ kind: "added", position: c.index, base: null, revised: describeClause(c) })),
+  ];
+  changes.sort((x, y) => x.position - y.position);
+  return { changes: changes.map(({ position, ...c }) => c), unchanged: matched.length + pairs.length - changes.filter(c => c.kind === "modified").length };
+}
+
+const clip = (text) => (text.length > EXPLAIN_CLAUSE_CHARS ? `${text.slice(0, EXPLAIN_CLAUSE_CHARS)} [...]` : text);
+
+function formatChange(change, number, base, revised) {
+  const lines = [`=== Change ${number}: ${change.kind} ===`];
+  if (change.base) lines.push(`--- Document: ${base.filename} — ${pageLabel({ pageNumber: change.base.page, ...change.base })} ---`, clip(change.base.text));
+  if (change.revised) lines.push(`--- Document: ${revised.filename} — ${pageLabel({ pageNumber: change.revised.page, ...change.revised })} ---`, clip(change.revised.text));
+  return lines.join("\n");
+}
+
+/** "Change N: ..." lines of a reply as a Map(N -> explanation) */
+function parseExplanations(reply) {
+  const explanations = new Map();
+  let current = null;
+  for (const line of String(reply || "").split("\n")) {
+    const m = line.match(/^\W*change\s+(\d+)\W*[:.-]\s*(.*)$/i);
+    if (m) {
+      current = Number(m[1]);
+      explanations.set(current, m[2].trim());
+    } else if (current !== null && line.trim()) {
+      explanations.set(current, `${explanations.get(current)} ${line.trim()}`);
+    }
+  }
+  return explanations;
+}
+
+/** the blocks a change's citations are checked against: its clause in each document */
+function changeBlocks(change, base, revised) {
+  const blocks = [];
+  if (change.base) blocks.push({ filename: base.filename, pageNumber: change.base.page, pageEnd: change.base.pageEnd, unit: change.base.unit, title: change.base.title, text: change.base.text });
+  if (change.revised) blocks.push({ filename: revised.filename, pageNumber: change.revised.page, pageEnd: change.revised.pageEnd, unit: change.revised.unit, title: change.revised.title, text: change.revised.text });
+  return blocks;
+}
+
+/**
+ * Ask the model to explain the first COMPARE.maxExplained changes (in batches that fit
+ * EXPLAIN_BATCH_TOKENS). Each explained change gets explanation, segments (citations checked
+ * against its two clauses) and material (false when the model calls it immaterial).
+ */
+async function explainChanges(changes, base, revised, { signal, onProgress = () => {} } = {}) {
+  const todo = changes.slice(0, COMPARE.maxExplained);
+  const batches = [];
+  let tokens = 0;
+  todo.forEach((change, i) => {
+    const text = formatChange(change, i + 1, base, revised);
+    const t = countTokens(text);
+    if (!batches.length || (batches[batches.length - 1].length && tokens + t > EXPLAIN_BATCH_TOKENS)) {
+      batches.push([]);
+      tokens = 0;
+    }
+    batches[batches.length - 1].push({ change, number: i + 1, text });
+    tokens += t;
+  });
+
+  const provider = getChatProvider();
+  for (const [b, batch] of batches.entries()) {
+    onProgress({ stage: "explaining", batch: b + 1, totalBatches: batches.length });
+    const reply = await callWithRetry(
+      (attemptSignal) => provider.chat({
+        messages: buildCompareMessages(base.filename, revised.filename, batch.map(x => x.text).join("\n\n")),
+        max_tokens: COMPARE_SETTINGS.maxTokens,
+        temperature: COMPARE_SETTINGS.temperature,
+        task: "compare",
+        signal: attemptSignal,
+      }),
+      { stage: "comparison", provider: providerLabel(provider), signal }
+    );
+    const explanations = parseExplanations(reply);
+    for (const { change, number } of batch) {
+      const explanation = explanations.get(number);
+      if (!explanation) continue;
+      const cited = buildCitedAnswer(explanation, changeBlocks(change, base, revised));
+      change.explanation = explanation;
+      change.segments = cited.segments;
+      change.material = !/^immaterial\b/i.test(explanation);
+    }
+  }
+}
+
+/**
+ * compareDocuments(base, revised, opts)
+ * - base / revised: { documentId, filename, format, index?, path? | buffer? } (base is the earlier
+ *   version). The page text of a persisted index (see buildDocumentIndex) is used when there is
+ *   one; otherwise the file is read (and scanned PDFs OCR'd), so unindexed documents still compare.
+ * - opts.maxPages caps the pages read per document; opts.signal aborts; opts.onProgress({ stage, ... }).
+ * - Returns { base, revised, stats: { added, removed, modified, unchanged, explained },
+ *   changes: [{ kind, base, revised, similarity?, diff?, explanation?, segments?, material? }] }
+ *   where base/revised of a change are { page, pageEnd, unit, title, text } or null, and
+ *   sources: the changed clauses of each document as source excerpts (shape of the ask routes').
+ */
+export async function compareDocuments(base, revised, opts = {}) {
+  const { signal, maxPages = 400, onProgress = () => {} } = opts;
+  const t0 = Date.now();
+  const clausesOf = async (doc) => {
+    if (doc.index?.pages) {
+      onProgress({ stage: "reading", file: doc.filename, indexed: true });
+      return splitClauses(doc.index.pages.slice(0, maxPages), doc.index.unit);
+    }
+    onProgress({ stage: "reading", file: doc.filename, indexed: false });
+    const buffer = doc.buffer || fs.readFileSync(doc.path);
+    const { pages, unit } = await loadDocument(buffer, doc.format, { signal, maxPages, onProgress: (p) => onProgress({ ...p, file: doc.filename }) });
+    return splitClauses(pages.slice(0, maxPages), unit);
+  };
+  const baseClauses = await clausesOf(base);
+  const revisedClauses = await clausesOf(revised);
+
+  onProgress({ stage: "aligning", clauses: baseClauses.length + revisedClauses.length });
+  const { changes, unchanged } = await alignClauses(baseClauses, revisedClauses, { signal });
+  if (changes.length) await explainChanges(changes, base, revised, { signal, onProgress });
+
+  const count = (kind) => changes.filter(c => c.kind === kind).length;
+  console.log(`Compared ${base.filename} with ${revised.filename}: ${changes.length} change(s) in ${Date.now() - t0} ms`);
+  const describe = ({ documentId, filename, format }) => ({ documentId, filename, format });
+  const sourceOf = (doc, side) => ({
+    ...describe(doc),
+    pages: changes.filter(c => c[side]).map(c => ({
+      page: c[side].page,
+      pageEnd: c[side].pageEnd,
+      unit: c[side].unit,
+      title: c[side].title,
+      excerpt: clip(c[side].text),
+    })),
+  });
+  return {
+    base: describe(base),
+    revised: describe(revised),
+    stats: {
+      added: count("added"),
+      removed: count("removed"),
+      modified: count("modified"),
+      unchanged,
+      explained: changes.filter(c => c.explanation).length,
+    },
+    changes,
+    sources: [sourceOf(base, "base"), sourceOf(revised, "revised")],
+  };
+}
@@ -0,0 +1,56 @@
+// conversations.js
+// Server-side conversation history, one JSON file per conversation inside its upload folder:
+//   uploads/<uploadId>/conversations/<conversationId>.json
+//   { conversationId, uploadId, createdAt, updatedAt, messages: [{ role, content, at, ... }] }
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const CONVERSATION_ID_RE = /^[A-Za-z0-9-]{8,64}$/;
+
+export function isValidConversationId(id) {
+  return typeof id === "string" && CONVERSATION_ID_RE.test(id);
+}
+
+export function createConversationId() {
+  return crypto.randomUUID();
+}
+
+function conversationPath(uploadDir, conversationId) {
+  return path.join(uploadDir, "conversations", `${conversationId}.json`);
+}
+
+/** load a conversation from an upload folder; null when the id is invalid or unknown */
+export function loadConversation(uploadDir, conversationId) {
+  if (!isValidConversationId(conversationId)) return null;
+  const p = conversationPath(uploadDir, conversationId);
+  if (!fs.existsSync(p)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (e) {
+    console.warn("Failed to load conversation", conversationId, e);
+    return null;
+  }
+}
+
+/** append messages to a conversation (created on first write) and return the updated record */
+export function appendMessages(uploadDir, uploadId, conversationId, messages) {
+  if (!isValidConversationId(conversationId)) throw new Error(`Invalid conversationId: ${conversationId}`);
+  const now = new Date().toISOString();
+  const conversation = loadConversation(uploadDir, conversationId) || {
+    conversationId,
+    uploadId,
+    createdAt: now,
+    messages: [],
+  };
+  conversation.messages.push(...messages.map(m => ({ ...m, at: m.at || now })));
+  conversation.updatedAt = now;
+
+  const p = conversationPath(uploadDir, conversationId);
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(conversation, null, 2), "utf8");
+  fs.renameSync(tmp, p);
+  return conversation;
+}
@@ -0,0 +1,326 @@
+// documentLoaders.js
+// Loader registry: turns an uploaded document into the structure indexes are built from,
+//   { pages: [{ pageNumber, text, title?, tables? }], pageCount, unit: "page" | "section", ocr }
+// PDFs keep their physical pages. Formats without pages (DOCX, Markdown, HTML, plain text) are
+// split at their headings; each section becomes one numbered entry whose heading is the
+// citation anchor ("Section 3: Installation"). Tables (<table>, Markdown pipe tables, ruled PDF
+// tables) are returned as rows of cells in tables: [{ caption, rows }] (see tables.js).
+
+import { Parser } from "htmlparser2";
+import mammoth from "mammoth";
+import { extractPdfPages, inspectPdf } from "./pdfExtract.js";
+import { TABLES, normalizeTable } from "./tables.js";
+
+// plain text has no headings: cut it into sections of about this size at paragraph breaks
+const TEXT_SECTION_CHARS = 4000;
+
+const HEADING_TAGS = new Set(["h1", "h2", "h3", "h4", "h5", "h6"]);
+const SKIPPED_TAGS = new Set(["script", "style", "noscript", "template", "head", "svg"]);
+const BLOCK_TAGS = new Set([
+  "p", "div", "section", "article", "header", "footer", "main", "aside", "nav", "blockquote", "pre",
+  "ul", "ol", "li", "dl", "dt", "dd", "table", "tr", "br", "hr", "figure", "figcaption",
+]);
+
+/** numbered sections from [{ title, lines, tables? }], dropping empty ones */
+function toSections(raw) {
+  const pages = raw
+    .map(s => ({ title: s.title, text: s.lines.join("\n").replace(/\n{3,}/g, "\n\n").trim(), tables: s.tables || [] }))
+    .filter(s => s.text)
+    .map((s, i) => ({ pageNumber: i + 1, text: s.text, title: s.title || null, tables: s.tables }));
+  return { pages, pageCount: pages.length, unit: "section", ocr: null };
+}
+
+/**
+ * HTML -> sections split at <h1>-<h6>. Block elements become line breaks, table cells are
+ * tab-separated; scripts, styles and <head> are ignored. Entities are decoded by htmlparser2.
+ * Outermost <table>s are also collected as rows of cells (nested tables stay cell text), captioned
+ * by their <caption> or the section heading.
+ */
+export function htmlToSections(html) {
+  const sections = [{ title: null, lines: [], tables: [] }];
+  let line = "";
+  let heading = null; // text of the heading being read
+  let skipDepth = 0;
+  let table = null; // { depth, rows, cell, caption } while inside an outermost <table>
+
+  const endLine = () => {
+    const text = line.replace(/ +/g, " ").trim();
+    if (text) sections[sections.length - 1].lines.push(text);
+    else if (sections[sections.length - 1].lines.length) sections[sections.length - 1].lines.push("");
+    line = "";
+  };
+
+  const parser = new Parser(
+    {
+      onopentag(name) {
+        if (SKIPPED_TAGS.has(name)) skipDepth++;
+        if (skipDepth) return;
+        if (name === "table") {
+          if (table) table.depth++;
+          else if (TABLES.enabled) table = { depth: 0, rows: [], cell: null, caption: null };
+        } else if (table && !table.depth) {
+          if (name === "tr") table.rows.push([]);
+          else if (name === "td" || name === "th") {
+            if (!table.rows.length) table.rows.push([]);
+            table.cell = "";
+          } else if (name === "caption") table.caption = "";
+        }
+        if (HEADING_TAGS.has(name)) {
+          endLine();
+          heading = "";
+        } else if (BLOCK_TAGS.has(name)) {
+          endLine();
+        } else if (name === "td" || name === "th") {
+          if (line.trim()) line += "\t";
+        }
+      },
+      ontext(text) {
+        if (skipDepth) return;
+        if (table?.cell != null) table.cell += text;
+        else if (table?.caption != null) table.caption += text;
+        if (heading !== null) heading += text;
+        else line += text.replace(/\s+/g, " ");
+      },
+      onclosetag(name) {
+        if (SKIPPED_TAGS.has(name)) {
+          skipDepth = Math.max(0, skipDepth - 1);
+          return;
+        }
+        if (skipDepth) return;
+        if (table && name === "table") {
+          if (table.depth) table.depth--;
+          else {
+            const rows = normalizeTable(table.rows);
+            const current = sections[sections.length - 1];
+            if (rows) current.tables.push({ caption: table.caption?.trim() || current.title, rows });
+            table = null;
+          }
+        } else if (table && !table.depth && (name === "td" || name === "th") && table.cell != null) {
+          table.rows[table.rows.length - 1].push(table.cell);
+          table.cell = null;
+        } else if (table && !table.depth && name === "caption") {
+          table.caption = table.caption?.trim() || null;
+        }
+        if (HEADING_TAGS.has(name) && heading !== null) {
+          const title = heading.replace(/\s+/g, " ").trim();
+          heading = null;
+          if (title) sections.push({ title, lines: [title], tables: [] });
+        } else if (BLOCK_TAGS.has(name)) {
+          endLine();
+        }
+      },
+    },
+    { decodeEntities: true, lowerCaseTags: true }
+  );
+  parser.write(html);
+  parser.end();
+  endLine();
+  return toSections(sections);
+}
+
+// "| --- | :---: |" under a pipe table's header row
+const MD_TABLE_DELIMITER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/** cells of a Markdown pipe table row ("| a | b \| c |" -> ["a", "b | c"]) */
+function markdownCells(row) {
+  return row.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "").split(/(?<!\\)\|/).map(c => c.replace(/\\\|/g, "|"));
+}
+
+/**
+ * Markdown -> sections split at ATX ("## Title") and setext ("Title\n===") headings, outside code fences.
+ * Pipe tables are also collected as rows of cells, captioned by the section heading.
+ */
+export function markdownToSections(markdown) {
+  const sections = [{ title: null, lines: [], tables: [] }];
+  let fence = null;
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i];
+    const current = sections[sections.length - 1];
+    const fenceMatch = l.match(/^\s{0,3}(```|~~~)/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+      current.lines.push(l);
+      continue;
+    }
+    if (!fence && TABLES.enabled && l.includes("|") && MD_TABLE_DELIMITER.test(lines[i + 1] || "")) {
+      const rows = [markdownCells(l)];
+      current.lines.push(l, lines[i + 1]);
+      i += 2;
+      for (; i < lines.length && lines[i].includes("|") && lines[i].trim(); i++) {
+        rows.push(markdownCells(lines[i]));
+        current.lines.push(lines[i]);
+      }
+      i--; // the for loop moves past the last row
+      const table = normalizeTable(rows);
+      if (table) current.tables.push({ caption: current.title, rows: table });
+      continue;
+    }
+    if (!fence) {
+      const atx = l.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+      const setext = l.trim() && !/^\s{0,3}[-*_>#]/.test(l) && /^\s{0,3}(=+|-+)\s*$/.test(lines[i + 1] || "");
+      if (atx && atx[1]) {
+        sections.push({ title: atx[1], lines: [atx[1]], tables: [] });
+        continue;
+      }
+      if (setext) {
+        sections.push({ title: l.trim(), lines: [l.trim()], tables: [] });
+        i++; // skip the underline
+        continue;
+      }
+    }
+    current.lines.push(l);
+  }
+  return toSections(sections);
+}
+
+/** plain text -> sections of about TEXT_SECTION_CHARS, cut at blank lines */
+export function textToSections(text) {
+  const sections = [];
+  let current = null;
+  let size = 0;
+  for (const paragraph of text.replace(/\r\n?/g, "\n").split(/\n\s*\n/)) {
+    if (!current || size + paragraph.length > TEXT_SECTION_CHARS) {
+      current = { title: null, lines: [] };
+      sections.push(current);
+      size = 0;
+    }
+    current.lines.push(paragraph, "");
+    size += paragraph.length;
+  }
+  return toSections(sections);
+}
+
+/** UTF-8 text of a buffer, or an error with code NOT_TEXT for binary data */
+function decodeText(buffer) {
+  if (buffer.subarray(0, 8192).includes(0)) {
+    const err = new Error("File is not a text document (binary content)");
+    err.code = "NOT_TEXT";
+    throw err;
+  }
+  return buffer.toString("utf8").replace(/^﻿/, "");
+}
+
+async function docxToHtml(buffer) {
+  if (buffer.subarray(0, 4).toString("latin1") !== "PK\u0003\u0004") {
+    const err = new Error("File is not a DOCX document (not a zip archive)");
+    err.code = "NOT_A_DOCX";
+    throw err;
+  }
+  try {
+    const { value } = await mammoth.convertToHtml({ buffer });
+    return value;
+  } catch (e) {
+    const err = new Error("DOCX is corrupt or unreadable: " + String(e?.message || e));
+    err.code = "DOCX_CORRUPT";
+    throw err;
+  }
+}
+
+/**
+ * The registry. Each loader:
+ * - format / label, extensions and mimeTypes it is chosen by,
+ * - inspect(buffer) -> { pageCount } for upload validation (throws an Error with a `code`),
+ * - load(buffer, opts) -> { pages, pageCount, unit, ocr } (opts: signal, maxPages, onProgress; used by PDF OCR).
+ */
+export const DOCUMENT_LOADERS = [
+  {
+    format: "pdf",
+    label: "PDF",
+    extensions: [".pdf"],
+    mimeTypes: ["application/pdf"],
+    async inspect(buffer) {
+      if (!buffer.subarray(0, 1024).includes("%PDF-")) {
+        const err = new Error("File is not a PDF (missing %PDF- header)");
+        err.code = "NOT_A_PDF";
+        throw err;
+      }
+      return inspectPdf(buffer);
+    },
+    async load(buffer, opts) {
+      const { pages, pageCount, ocr } = await extractPdfPages(buffer, opts);
+      return { pages, pageCount, unit: "page", ocr };
+    },
+  },
+  {
+    format: "docx",
+    label: "Word document",
+    extensions: [".docx"],
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    async inspect(buffer) {
+      return { pageCount: htmlToSections(await docxToHtml(buffer)).pageCount };
+    },
+    async load(buffer) {
+      return htmlToSections(await docxToHtml(buffer));
+    },
+  },
+  {
+    format: "markdown",
+    label: "Markdown",
+    extensions: [".md", ".markdown"],
+    mimeTypes: ["text/markdown", "text/x-markdown"],
+    async inspect(buffer) {
+      return { pageCount: markdownToSections(decodeText(buffer)).pageCount };
+    },
+    async load(buffer) {
+      return markdownToSections(decodeText(buffer));
+    },
+  },
+  {
+    format: "html",
+    label: "HTML",
+    extensions: [".html", ".htm"],
+    mimeTypes: ["text/html", "application/xhtml+xml"],
+    async inspect(buffer) {
+      return { pageCount: htmlToSections(decodeText(buffer)).pageCount };
+    },
+    async load(buffer) {
+      return htmlToSections(decodeText(buffer));
+    },
+  },
+  {
+    format: "text",
+    label: "Plain text",
+    extensions: [".txt", ".text"],
+    mimeTypes: ["text/plain"],
+    async inspect(buffer) {
+      return { pageCount: textToSections(decodeText(buffer)).pageCount };
+    },
+    async load(buffer) {
+      return textToSections(decodeText(buffer));
+    },
+  },
+];
+
+/** every accepted file extension, e.g. for error messages and the frontend's file picker */
+export const SUPPORTED_EXTENSIONS = DOCUMENT_LOADERS.flatMap(l => l.extensions);
+
+/**
+ * Loader for an upload: by file extension first (browsers report many text types as
+ * application/octet-stream), then by MIME type. Returns null for unsupported files.
+ */
+export function loaderFor(filename, mimetype) {
+  const name = String(filename || "").toLowerCase();
+  const byExtension = DOCUMENT_LOADERS.find(l => l.extensions.some(ext => name.endsWith(ext)));
+  if (byExtension) return byExtension;
+  const type = String(mimetype || "").split(";")[0].trim().toLowerCase();
+  return DOCUMENT_LOADERS.find(l => l.mimeTypes.includes(type)) || null;
+}
+
+/** loader for a stored format name ("pdf" for documents stored before formats were recorded) */
+export function getLoader(format = "pdf") {
+  const loader = DOCUMENT_LOADERS.find(l => l.format === format);
+  if (!loader) throw new Error(`No document loader for format "${format}"`);
+  return loader;
+}
+
+/**
+ * loadDocument(buffer, format, opts)
+ * - Runs the loader for `format` and returns { pages, pageCount, unit, ocr }.
+ * - Section-based formats number their sections 1..n in `pageNumber` and keep the heading in `title`.
+ */
+export async function loadDocument(buffer, format = "pdf", opts = {}) {
+  if (!buffer) throw new Error("No document buffer provided.");
+  return getLoader(format).load(buffer, opts);
+}
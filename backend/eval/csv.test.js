@@ -0,0 +1,41 @@
+// eval/csv.test.js
+// CSV output of field extraction (see extractionTable / tableToCsv in extractor.js). Run by npm test.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractionTable, tableToCsv } from "../extractor.js";
+
+const field = (value) => ({ value, page: 1, confidence: 0.9 });
+
+/** CSV of one document whose only field holds `value`, without the header row */
+function csvRow(value) {
+  const csv = tableToCsv(extractionTable({ fields: ["v"], documents: [{ filename: "a.pdf", fields: { v: field(value) } }] }));
+  return csv.split("\r\n")[1];
+}
+
+test("cells spreadsheet apps would run as formulas are quoted", () => {
+  assert.equal(csvRow("=1+1"), "a.pdf,'=1+1,1,0.9,");
+  assert.equal(csvRow("+1+1"), "a.pdf,'+1+1,1,0.9,");
+  assert.equal(csvRow("-2+3+cmd|' /C calc'!A0"), "a.pdf,'-2+3+cmd|' /C calc'!A0,1,0.9,");
+  assert.equal(csvRow("@SUM(A1)"), "a.pdf,'@SUM(A1),1,0.9,");
+  assert.equal(csvRow("\tx"), "a.pdf,'\tx,1,0.9,");
+});
+
+test("numbers, including negative ones, stay numbers", () => {
+  assert.equal(csvRow(-12.5), "a.pdf,-12.5,1,0.9,");
+  assert.equal(csvRow(1200), "a.pdf,1200,1,0.9,");
+});
+
+test("commas, quotes and line breaks are escaped", () => {
+  assert.equal(csvRow('ACME, "Inc"'), 'a.pdf,"ACME, ""Inc""",1,0.9,');
+  assert.equal(csvRow("a\nb"), 'a.pdf,"a\nb",1,0.9,');
+  assert.equal(csvRow(["x", "y"]), 'a.pdf,"[""x"",""y""]",1,0.9,');
+});
+
+test("missing fields and failed documents leave their cells empty", () => {
+  const csv = tableToCsv(extractionTable({
+    fields: ["v"],
+    documents: [{ filename: "b.pdf", error: "Extraction failed", details: "boom" }],
+  }));
+  assert.equal(csv, "document,v,v_page,v_confidence,error\r\nb.pdf,,,,Extraction failed: boom\r\n");
+});
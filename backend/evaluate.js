@@ -0,0 +1,366 @@
+// evaluate.js
+// Retrieval/answer evaluation over a checked-in golden set (eval/golden.json + eval/documents/).
+// Every question runs through the same pipeline as POST /ask (index -> searchDocuments across all
+// documents -> answer mode prompt + context -> model -> citation checks) and is scored on:
+//   recall@k            share of expected pages found in the k best blocks (answerable questions)
+//   mrr                 mean reciprocal rank of the first block on an expected page
+//   citationAccuracy    citations that are verified and point at an expected page
+//   answerAccuracy      answers containing every expected snippet
+//   notFoundAccuracy    "Not found in the document." exactly when the golden set expects it
+//   grounding           mean grounding score of the answers given (see grounding.js)
+// Results are compared with eval/baseline.json: a metric dropping by more than --tolerance or a
+// question that passed there and fails now exits with code 1. The baseline never holds failing
+// questions (--update-baseline refuses them), so with the fake provider every question must pass.
+//
+// Usage (from backend/):
+//   npm test                                       eval/*.test.js, then npm run eval: the regression gate,
+//                                                  with hybrid retrieval and with --retrieval lexical
+//                                                  (against eval/baseline-lexical.json)
+//   npm run eval                                   offline, deterministic fake provider
+//   npm run eval -- --topK 5 --chunkSize 128       try other settings against the baseline
+//   npm run eval -- --mode detailed                evaluate another answer mode (see prompts.js)
+//   npm run eval -- --minScore 0.2                 answer "Not found" below this retrieval score (what
+//                                                  MIN_RETRIEVAL_SCORE does for the ask routes; default:
+//                                                  the embedding model's, see grounding.js; 0 turns it off)
+//   npm run eval -- --minCoverage 0.5              same for the share of question terms the blocks contain
+//                                                  (MIN_QUESTION_COVERAGE)
+//   npm run eval -- --update-baseline              accept the current results as the new baseline
+//                                                  (add --allow-failures to keep failing questions in it)
+//   npm run eval -- --provider record              call the configured provider (MODEL_BACKEND, ...)
+//                                                  and save its responses to eval/recordings.json
+//   npm run eval -- --provider replay              rerun on the recorded responses, offline
+// Other flags: --strategy, --chunkOverlap, --retrieval, --maxContextTokens, --maxPerDocument,
+//              --golden <file>, --baseline <file>, --tolerance <0-1> (default 0.01), --json
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { buildDocumentIndex, searchDocuments, RETRIEVAL_DEFAULTS } from "./vectorStore.js";
+import { askWithLlama } from "./llama.js";
+import { buildCitedAnswer } from "./citations.js";
+import { DEFAULT_ANSWER_MODE, NOT_FOUND_ANSWER, describeAnswerModes, getAnswerMode } from "./prompts.js";
+import { bestRetrievalScore, isNotFoundAnswer, questionCoverage, retrievalGatesFor, verifyGrounding, weakRetrievalReason } from "./grounding.js";
+import { DEFAULT_CHUNKING, normalizeChunking } from "./chunker.js";
+import { INDEX_OPTIONS } from "./indexStore.js";
+import {
+  createChatProvider,
+  createEmbeddingProvider,
+  getChatProvider,
+  getEmbeddingProvider,
+  providerConfigFromEnv,
+  setProviders,
+} from "./providers.js";
+
+const EVAL_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "eval");
+const RECORDINGS_FILE = path.join(EVAL_DIR, "recordings.json");
+const METRICS = ["recall@1", "recall@3", "recall@k", "mrr", "citationAccuracy", "answerAccuracy", "notFoundAccuracy", "grounding"];
+
+function parseCli() {
+  const { values } = parseArgs({
+    options: {
+      golden: { type: "string", default: path.join(EVAL_DIR, "golden.json") },
+      baseline: { type: "string", default: path.join(EVAL_DIR, "baseline.json") },
+      "update-baseline": { type: "boolean", default: false },
+      "allow-failures": { type: "boolean", default: false },
+      provider: { type: "string", default: "fake" }, // fake | live | record | replay
+      tolerance: { type: "string", default: "0.01" },
+      json: { type: "boolean", default: false },
+      mode: { type: "string", default: DEFAULT_ANSWER_MODE },
+      topK: { type: "string" },
+      maxContextTokens: { type: "string" },
+      maxPerDocument: { type: "string" },
+      strategy: { type: "string" },
+      chunkSize: { type: "string" },
+      chunkOverlap: { type: "string" },
+      retrieval: { type: "string" },
+      minScore: { type: "string" },
+      minCoverage: { type: "string" },
+    },
+  });
+  return values;
+}
+
+// ---------- Providers ----------
+
+const keyOf = (value) => crypto.createHash("sha256").update(JSON.stringify(value)).digest("hex");
+
+function loadRecordings() {
+  if (!fs.existsSync(RECORDINGS_FILE)) return { models: null, embeddings: {}, chat: {} };
+  return JSON.parse(fs.readFileSync(RECORDINGS_FILE, "utf8"));
+}
+
+/** providers answering from eval/recordings.json; a request that was never recorded fails */
+function replayProviders(recordings) {
+  if (!recordings.models) throw new Error(`No recordings in ${RECORDINGS_FILE} (run with --provider record first)`);
+  const missing = (kind) => new Error(`No recorded ${kind} response for this request; record again with --provider record`);
+  return {
+    embedding: {
+      name: "recorded",
+      model: recordings.models.embedding,
+      async embed(inputs) {
+        const list = Array.isArray(inputs) ? inputs : [inputs];
+        const vectors = list.map(text => recordings.embeddings[keyOf(text)]);
+        if (vectors.some(v => !v)) throw missing("embedding");
+        return Array.isArray(inputs) ? vectors : vectors[0];
+      },
+    },
+    chat: {
+      name: "recorded",
+      model: recordings.models.chat,
+      async chat({ messages }) {
+        const text = recordings.chat[keyOf(messages)];
+        if (text === undefined) throw missing("chat");
+        return text;
+      },
+    },
+  };
+}
+
+/** the configured providers, saving every response into `recordings` */
+function recordingProviders(recordings) {
+  const embedding = createEmbeddingProvider();
+  const chat = createChatProvider();
+  recordings.models = { embedding: embedding.model, chat: chat.model };
+  return {
+    embedding: {
+      name: embedding.name,
+      model: embedding.model,
+      async embed(inputs, opts) {
+        const result = await embedding.embed(inputs, opts);
+        const list = Array.isArray(inputs) ? inputs : [inputs];
+        const vectors = Array.isArray(inputs) ? result : [result];
+        list.forEach((text, i) => { recordings.embeddings[keyOf(text)] = vectors[i]; });
+        return result;
+      },
+    },
+    chat: {
+      name: chat.name,
+      model: chat.model,
+      async chat(args) {
+        const text = await chat.chat(args);
+        recordings.chat[keyOf(args.messages)] = text;
+        return text;
+      },
+    },
+  };
+}
+
+function setupProviders(mode) {
+  if (mode === "fake") {
+    const config = providerConfigFromEnv({ MODEL_BACKEND: "fake" });
+    setProviders({ chat: createChatProvider(config), embedding: createEmbeddingProvider(config) });
+  } else if (mode === "replay") {
+    setProviders(replayProviders(loadRecordings()));
+  } else if (mode === "record") {
+    const recordings = { models: null, embeddings: {}, chat: {} };
+    setProviders(recordingProviders(recordings));
+    return recordings;
+  } else if (mode !== "live") {
+    throw new Error(`Unknown --provider "${mode}" (expected fake, live, record or replay)`);
+  }
+  return null;
+}
+
+// ---------- Scoring ----------
+
+/** true when a block/citation range of `filename` covers one of the expected pages */
+function onExpectedPage(expected, filename, page, pageEnd = page) {
+  return expected.some(e => e.document === filename && e.pages.some(p => p >= page && p <= pageEnd));
+}
+
+/** retrieval, answer and citation results of one golden question */
+function scoreQuestion(q, { topPages, answer, cited, grounding }) {
+  const best = bestRetrievalScore(topPages);
+  const coverage = questionCoverage(q.question, topPages);
+  const expected = q.expected || [];
+  const wanted = expected.flatMap(e => e.pages.map(page => ({ document: e.document, page })));
+  const covered = (k) => wanted.filter(w =>
+    topPages.slice(0, k).some(b => b.filename === w.document && w.page >= b.pageNumber && w.page <= (b.pageEnd ?? b.pageNumber))
+  ).length;
+  const rank = topPages.findIndex(b => onExpectedPage(expected, b.filename, b.pageNumber, b.pageEnd)) + 1;
+  const citations = cited.segments.flatMap(s => s.citations);
+  const correctCitations = citations.filter(c => c.verified && onExpectedPage(expected, c.document, c.page, c.pageEnd)).length;
+  const notFound = isNotFoundAnswer(answer);
+  const answerOk = !q.notFound && !notFound && (q.answer || []).every(a => answer.toLowerCase().includes(a.toLowerCase()));
+  return {
+    id: q.id,
+    notFoundExpected: !!q.notFound,
+    rank: rank || null,
+    recall: wanted.length
+      ? { "recall@1": covered(1) / wanted.length, "recall@3": covered(3) / wanted.length, "recall@k": covered(topPages.length) / wanted.length }
+      : null,
+    citations: citations.length,
+    correctCitations,
+    answerOk,
+    notFoundOk: notFound === !!q.notFound,
+    retrievalScore: best === null ? null : Math.round(best * 1000) / 1000,
+    questionCoverage: coverage === null ? null : Math.round(coverage * 1000) / 1000,
+    grounding: grounding?.score ?? null,
+    answer,
+  };
+}
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+function aggregate(results) {
+  const answerable = results.filter(r => !r.notFoundExpected);
+  const citations = answerable.reduce((n, r) => n + r.citations, 0);
+  return {
+    "recall@1": mean(answerable.map(r => r.recall["recall@1"])),
+    "recall@3": mean(answerable.map(r => r.recall["recall@3"])),
+    "recall@k": mean(answerable.map(r => r.recall["recall@k"])),
+    mrr: mean(answerable.map(r => (r.rank ? 1 / r.rank : 0))),
+    citationAccuracy: citations ? answerable.reduce((n, r) => n + r.correctCitations, 0) / citations : null,
+    answerAccuracy: mean(answerable.map(r => (r.answerOk ? 1 : 0))),
+    notFoundAccuracy: mean(results.map(r => (r.notFoundOk ? 1 : 0))),
+    grounding: mean(results.filter(r => r.grounding !== null).map(r => r.grounding)),
+  };
+}
+
+// ---------- Run ----------
+
+async function run(cli) {
+  const golden = JSON.parse(fs.readFileSync(cli.golden, "utf8"));
+  const documentsDir = path.join(path.dirname(cli.golden), "documents");
+  const mode = getAnswerMode(cli.mode);
+  if (!mode) throw new Error(`Unknown --mode ${cli.mode} (one of: ${describeAnswerModes().map(m => m.id).join(", ")})`);
+  const recordings = setupProviders(cli.provider);
+
+  const indexOptions = {
+    ...INDEX_OPTIONS,
+    ...normalizeChunking({
+      strategy: cli.strategy || DEFAULT_CHUNKING.strategy,
+      chunkSize: cli.chunkSize ?? DEFAULT_CHUNKING.chunkSize,
+      chunkOverlap: cli.chunkOverlap ?? DEFAULT_CHUNKING.chunkOverlap,
+    }),
+  };
+  // same precedence as the ask routes: flags, then the mode's retrieval settings, then the defaults
+  const retrievalDefaults = { ...RETRIEVAL_DEFAULTS, ...mode.retrieval };
+  const retrievalOptions = {
+    topK: Number(cli.topK) || retrievalDefaults.topK,
+    maxContextTokens: Number(cli.maxContextTokens) || retrievalDefaults.maxContextTokens,
+    maxPerDocument: Number(cli.maxPerDocument) || retrievalDefaults.maxPerDocument,
+    retrieval: cli.retrieval || "hybrid",
+  };
+  const gates = retrievalGatesFor(getEmbeddingProvider().model);
+  const minScore = cli.minScore === undefined ? gates.minScore : Number(cli.minScore) || 0;
+  const minCoverage = cli.minCoverage === undefined ? gates.minCoverage : Number(cli.minCoverage) || 0;
+
+  // indexes are built in memory: the evaluation never reads or writes persisted indexes or uploads
+  const docs = [];
+  for (const filename of golden.documents) {
+    const buffer = fs.readFileSync(path.join(documentsDir, filename));
+    docs.push({ filename, index: await buildDocumentIndex(buffer, indexOptions) });
+  }
+
+  const results = [];
+  for (const q of golden.questions) {
+    const { topPages, contextForLlama } = await searchDocuments(docs, q.question, { ...indexOptions, ...retrievalOptions });
+    const weak = weakRetrievalReason(q.question, topPages, { minScore, minCoverage });
+    const answer = weak ? NOT_FOUND_ANSWER : await askWithLlama(contextForLlama, q.question, { mode });
+    const cited = buildCitedAnswer(answer, topPages);
+    const grounding = await verifyGrounding(answer, cited.segments, { blocks: topPages, context: contextForLlama });
+    results.push(scoreQuestion(q, { topPages, answer, cited, grounding }));
+  }
+
+  if (recordings) {
+    fs.writeFileSync(RECORDINGS_FILE, JSON.stringify(recordings), "utf8");
+    console.log(`Saved provider responses to ${path.relative(process.cwd(), RECORDINGS_FILE)}`);
+  }
+
+  return {
+    config: {
+      provider: cli.provider,
+      embeddingModel: getEmbeddingProvider().model,
+      chatModel: getChatProvider().model,
+      mode: mode.id,
+      ...normalizeChunking(indexOptions),
+      ...retrievalOptions,
+      maxPerDocument: Number.isFinite(retrievalOptions.maxPerDocument) ? retrievalOptions.maxPerDocument : null,
+      minScore,
+      minCoverage,
+    },
+    metrics: aggregate(results),
+    questions: results.map(({ answer, ...r }) => ({ ...r, answer: answer.slice(0, 300) })),
+  };
+}
+
+const formatMetric = (v) => (v === null || v === undefined ? "  n/a" : v.toFixed(3));
+
+/** print the metrics next to the baseline; returns the metrics that dropped by more than tolerance */
+function compare(report, baseline, tolerance) {
+  const regressions = [];
+  console.log(`\n${"metric".padEnd(18)} ${"current".padStart(8)} ${"baseline".padStart(8)} ${"delta".padStart(8)}`);
+  for (const m of METRICS) {
+    const current = report.metrics[m];
+    const base = baseline?.metrics?.[m];
+    const delta = current !== null && base !== null && base !== undefined ? current - base : null;
+    const flag = delta !== null && delta < -tolerance ? "  REGRESSION" : "";
+    if (flag) regressions.push(m);
+    const shownDelta = delta === null ? "" : `${delta >= 0 ? "+" : ""}${delta.toFixed(3)}`;
+    console.log(`${m.padEnd(18)} ${formatMetric(current).padStart(8)} ${(base === undefined ? "" : formatMetric(base)).padStart(8)} ${shownDelta.padStart(8)}${flag}`);
+  }
+  return regressions;
+}
+
+/** a question passes when it is answered correctly from a top-ranked block, or "Not found" as expected */
+const questionPassed = (q) => (q.notFoundExpected ? q.notFoundOk : q.answerOk && q.rank === 1);
+
+/** ids of questions that pass in the baseline but fail now (or are new and fail) */
+function failedQuestions(report, baseline) {
+  const before = new Map((baseline?.questions || []).map(q => [q.id, questionPassed(q)]));
+  return report.questions.filter(q => !questionPassed(q) && before.get(q.id) !== false).map(q => q.id);
+}
+
+function printQuestions(report) {
+  for (const q of report.questions) {
+    const ok = questionPassed(q);
+    const parts = q.notFoundExpected
+      ? [q.notFoundOk ? "not found (expected)" : "answered, expected not found"]
+      : [`rank ${q.rank ?? "-"}`, q.answerOk ? "answer ok" : "answer wrong", `citations ${q.correctCitations}/${q.citations}`];
+    console.log(`${ok ? "✓" : "✗"} ${q.id.padEnd(22)} ${parts.join(", ")}`);
+  }
+}
+
+async function main() {
+  const cli = parseCli();
+  const tolerance = Number(cli.tolerance);
+  const report = await run(cli);
+
+  if (cli.json) console.log(JSON.stringify(report, null, 2));
+  else printQuestions(report);
+
+  const baseline = fs.existsSync(cli.baseline) ? JSON.parse(fs.readFileSync(cli.baseline, "utf8")) : null;
+  if (baseline && JSON.stringify(baseline.config) !== JSON.stringify(report.config)) {
+    console.log(`\nNote: baseline was recorded with different settings: ${JSON.stringify(baseline.config)}`);
+  }
+  const regressions = compare(report, baseline, tolerance);
+  const failed = failedQuestions(report, baseline);
+
+  if (cli["update-baseline"]) {
+    const failing = report.questions.filter(q => !questionPassed(q)).map(q => q.id);
+    if (failing.length && !cli["allow-failures"]) {
+      console.log(`\nBaseline not updated: ${failing.length} question(s) fail (${failing.join(", ")}); fix them or pass --allow-failures`);
+      return 1;
+    }
+    fs.writeFileSync(cli.baseline, JSON.stringify({ ...report, createdAt: new Date().toISOString() }, null, 2) + "\n", "utf8");
+    console.log(`\nBaseline updated: ${path.relative(process.cwd(), cli.baseline)}`);
+    return 0;
+  }
+  if (!baseline) console.log("\nNo baseline yet: run with --update-baseline to save these results.");
+  if (regressions.length) {
+    console.log(`\n${regressions.length} metric(s) regressed by more than ${tolerance}: ${regressions.join(", ")}`);
+  }
+  if (failed.length) console.log(`\n${failed.length} question(s) failed: ${failed.join(", ")}`);
+  return regressions.length || failed.length ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error("Evaluation failed:", e);
+    process.exit(2);
+  }
+);
@@ -0,0 +1,471 @@
+// extractor.js
+// Structured field extraction against a user-supplied JSON schema (e.g. invoice number, date, line
+// items, total). Every top-level field is retrieved for separately (its name and description are
+// the query), the fields' passages are sent together (split over several calls beyond
+// EXTRACT_MAX_CONTEXT_TOKENS) and the model replies with JSON. Replies are validated against the
+// schema and coerced ("$1,200.00" -> 1200, "March 3, 2024" -> "2024-03-03"); a reply that isn't
+// valid JSON or doesn't fit the schema is sent back once to be repaired. Each value comes back
+// with the page it was found on, its quote (checked like answer citations, see citations.js)
+// and a confidence. Several documents give one row each, as JSON or CSV (see extractionTable).
+//
+// Env:
+//   EXTRACT_TOP_K                passages retrieved per field                 (default 3)
+//   EXTRACT_MAX_CONTEXT_TOKENS   context tokens per model call                (default 3000)
+//   EXTRACT_MAX_FIELDS           top-level fields a schema may have           (default 40)
+
+import { getChatProvider, providerLabel } from "./providers.js";
+import { callWithRetry } from "./resilience.js";
+import { EXTRACTION_SETTINGS, buildExtractionMessages, buildExtractionRepairMessages } from "./prompts.js";
+import { countTokens } from "./chunker.js";
+import { callProviderEmbeddings, pageLabel, searchDocuments } from "./vectorStore.js";
+import { buildCitedAnswer } from "./citations.js";
+
+function intFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+export const EXTRACT = {
+  topK: intFromEnv("EXTRACT_TOP_K", 3),
+  maxContextTokens: intFromEnv("EXTRACT_MAX_CONTEXT_TOKENS", 3000),
+  maxFields: intFromEnv("EXTRACT_MAX_FIELDS", 40),
+};
+
+const SCALAR_TYPES = ["string", "number", "integer", "boolean"];
+const FIELD_NAME_RE = /^[\w.-]{1,64}$/;
+// arrays and objects may nest this deep (e.g. line items: array -> object -> scalars)
+const MAX_DEPTH = 2;
+
+// ---------- Schema ----------
+
+function schemaError(message) {
+  const err = new Error(`Invalid schema: ${message}`);
+  err.code = "INVALID_SCHEMA";
+  return err;
+}
+
+function normalizeProperty(prop, path, depth) {
+  if (!prop || typeof prop !== "object" || Array.isArray(prop)) throw schemaError(`${path} must be an object`);
+  const type = prop.type || (prop.properties ? "object" : prop.items ? "array" : "string");
+  if (!SCALAR_TYPES.includes(type) && type !== "array" && type !== "object") {
+    throw schemaError(`${path} has unsupported type ${JSON.stringify(type)}`);
+  }
+  if ((type === "array" || type === "object") && depth >= MAX_DEPTH) throw schemaError(`${path} is nested too deeply`);
+  const out = { type, description: typeof prop.description === "string" ? prop.description.trim() : "" };
+  if (typeof prop.format === "string") out.format = prop.format;
+  if (Array.isArray(prop.enum) && prop.enum.length) out.enum = prop.enum;
+  if (type === "array") out.items = normalizeProperty(prop.items || { type: "string" }, `${path}[]`, depth + 1);
+  if (type === "object") Object.assign(out, normalizeProperties(prop, path, depth + 1));
+  return out;
+}
+
+function normalizeProperties(schema, path, depth) {
+  const { properties, required } = schema;
+  if (!properties || typeof properties !== "object" || Array.isArray(properties) || !Object.keys(properties).length) {
+    throw schemaError(`${path || "the schema"} needs a non-empty "properties" object`);
+  }
+  const out = {};
+  for (const [name, prop] of Object.entries(properties)) {
+    if (!FIELD_NAME_RE.test(name)) throw schemaError(`field name ${JSON.stringify(name)} may only use letters, digits, "_", "." and "-"`);
+    out[name] = normalizeProperty(prop, path ? `${path}.${name}` : name, depth);
+  }
+  return { properties: out, required: Array.isArray(required) ? required.filter(n => Object.hasOwn(out, n)) : [] };
+}
+
+/**
+ * normalizeSchema(schema)
+ * - schema: a JSON Schema object (or its JSON text) of type "object" with "properties"; fields may
+ *   be string (optionally format "date" or an enum), number, integer, boolean, or arrays/objects of
+ *   those (one level, e.g. line items). Only type, description, format, enum, items, properties
+ *   and required are used.
+ * - Returns { properties, required } or throws an Error with code "INVALID_SCHEMA".
+ */
+export function normalizeSchema(schema) {
+  let parsed = schema;
+  if (typeof schema === "string") {
+    try {
+      parsed = JSON.parse(schema);
+    } catch (e) {
+      throw schemaError("not valid JSON (" + String(e.message || e) + ")");
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw schemaError("expected a JSON object");
+  if (parsed.type && parsed.type !== "object") throw schemaError('the top level must be of type "object"');
+  const normalized = normalizeProperties(parsed, "", 0);
+  const count = Object.keys(normalized.properties).length;
+  if (count > EXTRACT.maxFields) throw schemaError(`${count} fields, at most ${EXTRACT.maxFields} are allowed`);
+  return normalized;
+}
+
+/** short type notation for the prompt: number, date, ["a" | "b"], [{ "qty": number }] */
+function describeType(prop) {
+  if (prop.enum) return prop.enum.map(v => JSON.stringify(v)).join(" | ");
+  if (prop.type === "array") return `[${describeType(prop.items)}]`;
+  if (prop.type === "object") {
+    return `{ ${Object.entries(prop.properties).map(([name, p]) => `"${name}": ${describeType(p)}`).join(", ")} }`;
+  }
+  return prop.format === "date" ? "date" : prop.type;
+}
+
+/** "- name (type): description" lines listing fields for buildExtractionMessages */
+function describeFields(names, properties) {
+  return names.map((name) => {
+    const prop = properties[name];
+    const shape = SCALAR_TYPES.includes(prop.type) && !prop.enum && prop.format !== "date" ? "" : ` Value: ${describeType(prop)}.`;
+    return `- ${name} (${prop.type}): ${(prop.description || name.replace(/[_.-]+/g, " ")).replace(/\.$/, "")}.${shape}`;
+  }).join("\n");
+}
+
+/** retrieval query of a field: its name in words plus its description */
+function fieldQuery(name, prop) {
+  const words = name.replace(/[_.-]+|(?<=[a-z])(?=[A-Z])/g, " ").toLowerCase();
+  return prop.description ? `${words}: ${prop.description}` : words;
+}
+
+// ---------- Coercion ----------
+
+/** "1,200.50", "1.200,50", "$ 1 200" -> number (NaN when there is no number) */
+function parseNumber(text) {
+  let s = String(text).replace(/[^\d.,-]/g, "");
+  if (!/\d/.test(s)) return NaN;
+  const lastComma = s.lastIndexOf(",");
+  const lastDot = s.lastIndexOf(".");
+  if (lastComma >= 0 && lastDot >= 0) {
+    // the later separator is the decimal one
+    s = lastDot > lastComma ? s.replace(/,/g, "") : s.replace(/\./g, "").replace(",", ".");
+  } else if (lastComma >= 0) {
+    s = /^-?\d{1,3}(,\d{3})+$/.test(s) ? s.replace(/,/g, "") : s.replace(",", ".");
+  } else if ((s.match(/\./g) || []).length > 1) {
+    s = s.replace(/\./g, "");
+  }
+  return Number(s);
+}
+
+/** YYYY-MM-DD for anything Date can read, null otherwise */
+function toIsoDate(text) {
+  const iso = String(text).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = iso ? new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]))) : new Date(`${text} UTC`);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * value coerced to a schema property: { value } or { value: null, error } when it can't be.
+ * Empty values become null; arrays accept a single value; unknown object keys are dropped.
+ */
+function coerceValue(value, prop) {
+  if (value === null || value === undefined || value === "") return { value: null };
+  const fail = (what) => ({ value: null, error: `expected ${what}, got ${JSON.stringify(value).slice(0, 80)}` });
+  switch (prop.type) {
+    case "number":
+    case "integer": {
+      const n = typeof value === "number" ? value : typeof value === "string" ? parseNumber(value) : NaN;
+      if (!Number.isFinite(n)) return fail(prop.type === "integer" ? "an integer" : "a number");
+      if (prop.type === "integer" && !Number.isInteger(n)) return fail("an integer");
+      return { value: n };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return { value };
+      const s = String(value).trim().toLowerCase();
+      if (["true", "yes", "y"].includes(s)) return { value: true };
+      if (["false", "no", "n"].includes(s)) return { value: false };
+      return fail("true or false");
+    }
+    case "array": {
+      const items = [];
+      for (const [i, item] of (Array.isArray(value) ? value : [value]).entries()) {
+        const coerced = coerceValue(item, prop.items);
+        if (coerced.error) return { value: null, error: `item ${i + 1}: ${coerced.error}` };
+        if (coerced.value !== null) items.push(coerced.value);
+      }
+      return { value: items };
+    }
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return fail("an object");
+      const out = {};
+      for (const [name, p] of Object.entries(prop.properties)) {
+        const coerced = coerceValue(value[name], p);
+        if (coerced.error) return { value: null, error: `${name}: ${coerced.error}` };
+        out[name] = coerced.value;
+      }
+      return { value: out };
+    }
+    default: {
+      if (typeof value === "object") return fail("text");
+      let s = String(value).trim();
+      if (prop.enum) {
+        const match = prop.enum.find(e => String(e).toLowerCase() === s.toLowerCase());
+        if (match === undefined) return fail(`one of ${prop.enum.map(e => JSON.stringify(e)).join(", ")}`);
+        return { value: match };
+      }
+      if (prop.format === "date") {
+        s = toIsoDate(s);
+        if (!s) return fail("a date");
+      }
+      return { value: s };
+    }
+  }
+}
+
+/** the JSON object in a model reply (code fences and text around it are ignored) */
+function parseJsonReply(reply) {
+  const text = String(reply || "");
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start < 0 || end < start) throw new Error("the reply contains no JSON object");
+  const parsed = JSON.parse(text.slice(start, end + 1));
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("the reply is not a JSON object");
+  return parsed;
+}
+
+/**
+ * Check a parsed reply against the requested fields. Returns { fields: { name: { value, raw,
+ * page, quote, error? } }, problems } where problems are the lines sent back for repair.
+ */
+function checkReply(parsed, names, properties) {
+  const fields = {};
+  const problems = [];
+  for (const name of names) {
+    if (!Object.hasOwn(parsed, name)) {
+      problems.push(`- "${name}" is missing`);
+      fields[name] = { value: null, raw: null, page: null, quote: null, error: "missing from the reply" };
+      continue;
+    }
+    const entry = parsed[name];
+    // { value, page, quote } as asked, or a bare value
+    const wrapped = entry && typeof entry === "object" && !Array.isArray(entry) && "value" in entry;
+    const raw = wrapped ? entry.value : entry;
+    const coerced = coerceValue(raw, properties[name]);
+    const page = wrapped ? parseInt(entry.page, 10) : NaN;
+    fields[name] = {
+      value: coerced.value,
+      raw,
+      page: Number.isInteger(page) && page > 0 ? page : null,
+      quote: wrapped && typeof entry.quote === "string" && entry.quote.trim() ? entry.quote.trim() : null,
+      ...(coerced.error && { error: coerced.error }),
+    };
+    if (coerced.error) problems.push(`- "${name}": ${coerced.error}`);
+  }
+  return { fields, problems };
+}
+
+// ---------- Sources and confidence ----------
+
+const normalizeText = (s) => String(s).toLowerCase().replace(/(\d),(?=\d{3})/g, "$1").replace(/\s+/g, " ").trim();
+
+/**
+ * Page, verified quote and confidence of one extracted value. The quote is checked like an
+ * answer citation against the passages the value was extracted from. Confidence (0..1): found
+ * (0.4), its quote is on the cited page (+0.3), the value is written there (+0.2), it needed no
+ * repair or correction (+0.1).
+ */
+function locateValue(field, blocks, filename) {
+  const unit = blocks[0]?.unit || "page";
+  const base = { value: field.value, page: null, pageEnd: null, unit, quote: null, verified: false, confidence: 0, issues: field.error ? [field.error] : [] };
+  if (field.value === null) return base;
+
+  let { page } = field;
+  // quotes with parentheses would end the citation early; the part before them is still verbatim
+  const quote = field.quote ? field.quote.split(/[()]/)[0].trim() || null : null;
+  if (!page && quote) page = blocks.find(b => normalizeText(b.text).includes(normalizeText(quote)))?.pageNumber ?? null;
+  if (!page) return { ...base, confidence: 0.4, issues: [...base.issues, "no page given"] };
+
+  const label = unit === "section" ? "Section" : "Page";
+  const claim = typeof field.value === "object" ? "Extracted value" : String(field.value);
+  const citation = `${claim} (Doc: ${filename} — ${label} ${page}${quote ? ` — "${quote.replace(/"/g, "'")}"` : ""})`;
+  const cited = buildCitedAnswer(citation, blocks).segments.flatMap(s => s.citations)[0];
+  const verified = Boolean(cited?.verified);
+
+  const pageText = blocks.filter(b => page >= b.pageNumber && page <= (b.pageEnd ?? b.pageNumber)).map(b => b.text).join(" ");
+  const haystack = normalizeText(`${quote || ""} ${pageText}`);
+  const written = typeof field.value === "object"
+    ? verified
+    : [field.raw, field.value].some(v => v !== null && typeof v !== "object" && haystack.includes(normalizeText(v)));
+
+  let confidence = 0.4 + (verified ? 0.3 : 0) + (written ? 0.2 : 0) + (field.repaired || field.error ? 0 : 0.1);
+  confidence = Math.round(confidence * 100) / 100;
+  const issues = [...base.issues];
+  if (cited && !verified) issues.push(cited.issueMessage || cited.issue);
+  if (!written) issues.push("the value is not written on the cited page");
+  if (field.repaired) issues.push("repaired after an invalid reply");
+  return {
+    ...base,
+    page: cited?.page ?? page,
+    pageEnd: cited?.pageEnd ?? page,
+    quote: cited?.quote ?? quote,
+    verified,
+    confidence,
+    issues,
+  };
+}
+
+// ---------- Extraction ----------
+
+/** tagged context of the passages (same header as the ask routes' context, see vectorStore.js) */
+function formatBlocks(blocks, filename) {
+  return blocks.map(b => `--- Document: ${filename} — ${pageLabel(b)}${b.table ? " [table]" : ""} ---\n${b.text.trim()}\n`).join("\n");
+}
+
+/**
+ * Split the fields into model calls: fields are added to a call while the union of their
+ * passages fits EXTRACT.maxContextTokens. Returns [{ names, blocks }].
+ */
+function groupFields(names, blocksByField) {
+  const groups = [];
+  let current = null;
+  for (const name of names) {
+    const fresh = blocksByField[name].filter(b => !current?.keys.has(b.key));
+    const tokens = fresh.reduce((n, b) => n + countTokens(b.text), 0);
+    if (!current || (current.names.length && current.tokens + tokens > EXTRACT.maxContextTokens)) {
+      current = { names: [], blocks: [], keys: new Set(), tokens: 0 };
+      groups.push(current);
+    }
+    current.names.push(name);
+    for (const b of blocksByField[name]) {
+      if (current.keys.has(b.key)) continue;
+      current.keys.add(b.key);
+      current.blocks.push(b);
+      current.tokens += countTokens(b.text);
+    }
+  }
+  // passages in document order read better than in per-field rank order
+  for (const g of groups) g.blocks.sort((a, b) => a.pageNumber - b.pageNumber || a.seq - b.seq);
+  return groups;
+}
+
+async function askForFields(messages, signal) {
+  const provider = getChatProvider();
+  return callWithRetry(
+    (attemptSignal) => provider.chat({
+      messages,
+      max_tokens: EXTRACTION_SETTINGS.maxTokens,
+      temperature: EXTRACTION_SETTINGS.temperature,
+      task: "extract",
+      signal: attemptSignal,
+    }),
+    { stage: "extraction", provider: providerLabel(provider), signal }
+  );
+}
+
+/** one model call (plus at most one repair call) for a group of fields of one document */
+async function extractGroup(doc, group, schema, signal) {
+  const messages = buildExtractionMessages(doc.filename, describeFields(group.names, schema.properties), formatBlocks(group.blocks, doc.filename));
+  const reply = await askForFields(messages, signal);
+  let checked = null;
+  let problems;
+  try {
+    checked = checkReply(parseJsonReply(reply), group.names, schema.properties);
+    problems = checked.problems;
+  } catch (e) {
+    problems = [`- ${e.message}`];
+  }
+  if (!problems.length) return checked.fields;
+
+  console.warn(`Extraction reply for ${doc.filename} needs repair: ${problems.length} problem(s)`);
+  const repairReply = await askForFields(buildExtractionRepairMessages(messages, reply, problems.join("\n")), signal);
+  try {
+    const repaired = checkReply(parseJsonReply(repairReply), group.names, schema.properties);
+    for (const name of group.names) if (!checked || checked.fields[name].error) repaired.fields[name].repaired = true;
+    // keep the first reply's fields the repair made no better
+    if (checked) for (const name of group.names) if (repaired.fields[name].error && !checked.fields[name].error) repaired.fields[name] = checked.fields[name];
+    return repaired.fields;
+  } catch (e) {
+    if (checked) return checked.fields;
+    throw new Error("Extraction reply is not valid JSON, even after repair: " + String(e.message || e));
+  }
+}
+
+/** fields of one ready document: { name: { value, page, pageEnd, unit, quote, verified, confidence, issues } } */
+async function extractDocument(doc, schema, queries, embeddings, signal) {
+  const names = Object.keys(schema.properties);
+  const blocksByField = {};
+  for (const [i, name] of names.entries()) {
+    const { topPages } = await searchDocuments([doc], queries[i], {
+      topK: EXTRACT.topK,
+      maxContextTokens: EXTRACT.maxContextTokens,
+      questionEmbedding: embeddings[i],
+      signal,
+    });
+    blocksByField[name] = topPages.map(p => ({ ...p, key: `${p.pageNumber}:${p.pageEnd}:${p.seq}:${p.tableId ?? ""}` }));
+  }
+
+  const fields = {};
+  for (const group of groupFields(names, blocksByField)) {
+    const values = group.blocks.length
+      ? await extractGroup(doc, group, schema, signal)
+      : Object.fromEntries(group.names.map(n => [n, { value: null, raw: null, page: null, quote: null }]));
+    for (const name of group.names) fields[name] = locateValue(values[name], group.blocks, doc.filename);
+  }
+  for (const name of schema.required) {
+    if (fields[name].value === null) fields[name].issues.push("required field not found");
+  }
+  return fields;
+}
+
+/**
+ * extractFields(docs, schema, opts)
+ * - docs: ready documents [{ documentId, filename, format, index }] (see collectIndexes in sever.js).
+ * - schema: as accepted by normalizeSchema (validate it first to report schema errors as a 400).
+ * - opts.signal aborts; opts.onProgress({ stage: "extracting", file, fileIndex, totalFiles }).
+ * - A document whose extraction fails gets error/details instead of fields; rate limits, open
+ *   circuits and aborts fail the whole batch.
+ * - Returns { fields: [names], documents: [{ documentId, filename, format, fields | error, details }] }.
+ */
+export async function extractFields(docs, schema, opts = {}) {
+  const { signal, onProgress = () => {} } = opts;
+  const normalized = normalizeSchema(schema);
+  const names = Object.keys(normalized.properties);
+  const queries = names.map(name => fieldQuery(name, normalized.properties[name]));
+  // every document is searched with the same field queries: embed them once
+  const embeddings = docs.length ? await callProviderEmbeddings(queries, signal, "field embedding") : [];
+
+  const t0 = Date.now();
+  const documents = [];
+  for (const [i, doc] of docs.entries()) {
+    onProgress({ stage: "extracting", file: doc.filename, fileIndex: i + 1, totalFiles: docs.length });
+    const entry = { documentId: doc.documentId, filename: doc.filename, format: doc.format || "pdf" };
+    try {
+      entry.fields = await extractDocument(doc, normalized, queries, embeddings, signal);
+    } catch (e) {
+      if (signal?.aborted || e.code === "RATE_LIMITED" || e.code === "CIRCUIT_OPEN") throw e;
+      console.error(`Extraction failed for ${doc.filename}:`, e);
+      Object.assign(entry, { error: "Extraction failed", ...(e.stage && { stage: e.stage }), details: String(e) });
+    }
+    documents.push(entry);
+  }
+  console.log(`Extracted ${names.length} field(s) from ${docs.length} document(s) in ${Date.now() - t0} ms`);
+  return { fields: names, documents };
+}
+
+// ---------- Tables ----------
+
+/**
+ * One row per document: document, then value, page and confidence columns per field (lists and
+ * objects as JSON text). Returns { columns, rows } with rows as arrays.
+ */
+export function extractionTable({ fields, documents }) {
+  const columns = ["document", ...fields.flatMap(name => [name, `${name}_page`, `${name}_confidence`]), "error"];
+  const rows = documents.map(d => [
+    d.filename,
+    ...fields.flatMap((name) => {
+      const f = d.fields?.[name];
+      if (!f) return [null, null, null];
+      return [f.value !== null && typeof f.value === "object" ? JSON.stringify(f.value) : f.value, f.page, f.confidence];
+    }),
+    d.error ? `${d.error}: ${d.details}` : null,
+  ]);
+  return { columns, rows };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value);
+  // spreadsheet apps run cells starting with these as formulas
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** RFC 4180 CSV of an extractionTable */
+export function tableToCsv({ columns, rows }) {
+  return [columns, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
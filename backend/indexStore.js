@@ -0,0 +1,150 @@
+// indexStore.js
+// Persisted chunk/embedding indexes under indexes/, keyed by document content hash + embedding model
+// (+ a short hash of the chunking options and document format). Built once when a file is first seen so follow-up
+// questions only embed the question. Identical files uploaded twice share one index. Recently used
+// indexes stay parsed in memory (keyed by file and mtime), so each question doesn't re-read them.
+//
+// Env:
+//   INDEX_CACHE_SIZE   parsed indexes kept in memory, least recently used evicted first (default 8)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { buildDocumentIndex, indexOptionsFor, isIndexCompatible } from "./vectorStore.js";
+import { DEFAULT_CHUNKING } from "./chunker.js";
+
+export const INDEX_DIR = path.resolve(process.cwd(), "indexes");
+if (!fs.existsSync(INDEX_DIR)) {
+  fs.mkdirSync(INDEX_DIR, { recursive: true });
+}
+
+// default chunking for persisted indexes; requests may override strategy/sizes
+export const INDEX_OPTIONS = { ...DEFAULT_CHUNKING, maxPages: 400 };
+
+export function hashBuffer(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+/** short hash of index options (chunking, embedding model, format) */
+export function indexOptionsHash(indexOpts) {
+  return crypto.createHash("sha256").update(JSON.stringify(indexOptionsFor(indexOpts))).digest("hex").slice(0, 12);
+}
+
+function getIndexKeyFor(hash, indexOpts) {
+  const model = indexOptionsFor(indexOpts).embeddingModel.replace(/[^a-z0-9.\-_]/gi, "_");
+  // different chunking settings get their own file instead of overwriting each other
+  return `${hash}_${model}_${indexOptionsHash(indexOpts)}`;
+}
+function getIndexPathFor(key) {
+  return path.join(INDEX_DIR, `${key}.pages.json`);
+}
+
+const CACHE_SIZE = (() => {
+  const n = Number(process.env.INDEX_CACHE_SIZE);
+  return Number.isInteger(n) && n >= 0 ? n : 8;
+})();
+// index key -> { mtimeMs, index }; Map order is recency (oldest first)
+const indexCache = new Map();
+
+function cacheIndex(key, mtimeMs, index) {
+  indexCache.delete(key);
+  if (!CACHE_SIZE) return;
+  indexCache.set(key, { mtimeMs, index });
+  while (indexCache.size > CACHE_SIZE) indexCache.delete(indexCache.keys().next().value);
+}
+
+function loadIndexIfExists(key) {
+  const p = getIndexPathFor(key);
+  let stat;
+  try {
+    stat = fs.statSync(p);
+  } catch {
+    indexCache.delete(key);
+    return null;
+  }
+  const hit = indexCache.get(key);
+  // a file rewritten since (another process, a rebuild) is read again
+  if (hit && hit.mtimeMs === stat.mtimeMs) {
+    cacheIndex(key, hit.mtimeMs, hit.index);
+    return hit.index;
+  }
+  try {
+    const index = JSON.parse(fs.readFileSync(p, "utf8"));
+    cacheIndex(key, stat.mtimeMs, index);
+    return index;
+  } catch (e) {
+    console.warn("Failed to load index for", key, e);
+    return null;
+  }
+}
+function saveIndex(key, indexObj) {
+  const p = getIndexPathFor(key);
+  // write to a temp file first so a crash never leaves a truncated index behind
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(indexObj), "utf8");
+  fs.renameSync(tmp, p);
+  cacheIndex(key, fs.statSync(p).mtimeMs, indexObj);
+}
+
+/**
+ * the persisted index for a content hash + options, or null when missing or stale (never builds);
+ * format is the document loader's format (see documentLoaders.js)
+ */
+export function findIndex(hash, indexOpts = INDEX_OPTIONS, format = "pdf") {
+  const options = { ...indexOpts, format };
+  const cached = loadIndexIfExists(getIndexKeyFor(hash, options));
+  return cached && isIndexCompatible(cached, options) ? cached : null;
+}
+
+/** load the cached index for a document buffer (opts.format, default "pdf"), (re)building it when missing or stale */
+export async function getOrBuildIndex(buffer, label, opts = {}) {
+  const indexOpts = { ...(opts.indexOptions || INDEX_OPTIONS), format: opts.format || "pdf" };
+  const key = getIndexKeyFor(opts.hash || hashBuffer(buffer), indexOpts);
+  const cached = loadIndexIfExists(key);
+  if (cached && isIndexCompatible(cached, indexOpts)) {
+    console.log(`Using cached index for ${label} (${cached.pageCount} pages, ${cached.chunks.length} chunks)`);
+    return cached;
+  }
+  if (cached) console.log(`Cached index for ${label} is stale (model/chunking changed); rebuilding`);
+
+  const t0 = Date.now();
+  const index = await buildDocumentIndex(buffer, { ...indexOpts, signal: opts.signal, onProgress: opts.onProgress });
+  try {
+    saveIndex(key, index);
+  } catch (e) {
+    console.warn("Failed to save index for", label, e);
+  }
+  console.log(`Built index for ${label}: ${index.pageCount} pages, ${index.chunks.length} chunks in ${Date.now() - t0} ms`);
+  return index;
+}
+
+/**
+ * store a document summary (see summarizer.js) in the persisted index it was made from, so
+ * repeated summary requests cost no model calls; returns false when that index is gone or stale
+ */
+export function saveIndexSummary(hash, indexOpts = INDEX_OPTIONS, format = "pdf", summary) {
+  const options = { ...indexOpts, format };
+  const key = getIndexKeyFor(hash, options);
+  const index = loadIndexIfExists(key);
+  if (!index || !isIndexCompatible(index, options)) return false;
+  index.summary = summary;
+  saveIndex(key, index);
+  return true;
+}
+
+/** delete every persisted index (any model/chunking) built for a content hash; returns the count */
+export function deleteIndexesForHash(hash) {
+  if (!/^[a-f0-9]{64}$/.test(hash || "")) return 0;
+  let removed = 0;
+  for (const name of fs.readdirSync(INDEX_DIR)) {
+    if (!name.startsWith(`${hash}_`)) continue;
+    try {
+      fs.unlinkSync(path.join(INDEX_DIR, name));
+      indexCache.delete(name.replace(/\.pages\.json$/, ""));
+      removed++;
+    } catch (e) {
+      console.warn("Failed to delete index file", name, e);
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,217 @@
+// ingestQueue.js
+// In-process ingestion queue: uploads enqueue one job per document (parse, chunk, embed,
+// persist via ensureDocumentIndex) and return immediately; a small worker pool runs the jobs.
+// Job state lives in memory for the status endpoint; the manifest keeps the durable
+// indexStatus, and documents left "pending"/"indexing" by a restart are re-queued on startup.
+//
+// Env: INGEST_CONCURRENCY  jobs running at once (default 2)
+
+import crypto from "crypto";
+import fs from "fs";
+import { INDEX_OPTIONS } from "./indexStore.js";
+import {
+  UPLOAD_DIR,
+  isValidUploadId,
+  loadManifest,
+  listUploadFiles,
+  ensureDocumentIndex,
+  isDefaultIndex,
+  updateDocument,
+  touchUpload,
+} from "./uploadStore.js";
+
+const CONCURRENCY = Number(process.env.INGEST_CONCURRENCY) > 0 ? Number(process.env.INGEST_CONCURRENCY) : 2;
+// finished jobs stay visible to the status endpoint for a while
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map(); // jobId -> job
+const queue = []; // jobIds waiting to run
+let running = 0;
+
+function jobKey(documentId, indexOptions) {
+  return `${documentId}:${JSON.stringify(indexOptions)}`;
+}
+
+/** rough completion percentage from the last progress event */
+function percentFor(job) {
+  if (job.status === "done") return 100;
+  const p = job.progress;
+  if (!p) return 0;
+  if (p.stage === "ocr" && p.totalPages) return Math.min(9, 1 + Math.round((8 * p.page) / p.totalPages));
+  if (p.stage === "parsed") return 10;
+  if (p.stage === "embedding" && p.totalBatches) return Math.min(99, 10 + Math.round((85 * p.batch) / p.totalBatches));
+  return 5;
+}
+
+/** public view of a job */
+export function describeJob(job) {
+  return {
+    id: job.id,
+    uploadId: job.uploadId,
+    documentId: job.documentId,
+    filename: job.filename,
+    status: job.status,
+    progress: job.progress,
+    percent: percentFor(job),
+    error: job.error,
+    failure: job.failure,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+function pruneFinishedJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > FINISHED_JOB_TTL_MS) jobs.delete(id);
+  }
+}
+
+async function runJob(job) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  const file = (listUploadFiles(job.uploadId) || []).find(f => f.documentId === job.documentId);
+  if (!file) {
+    job.status = "failed";
+    job.error = "Document no longer exists";
+    job.finishedAt = new Date().toISOString();
+    return;
+  }
+  console.log(`Ingestion started: ${file.originalname} (${job.uploadId})`);
+  // the manifest's indexStatus tracks the default index only (see uploadStore.js)
+  if (isDefaultIndex(job.indexOptions)) updateDocument(job.uploadId, job.documentId, { indexStatus: "indexing" });
+
+  try {
+    await ensureDocumentIndex(job.uploadId, file, {
+      indexOptions: job.indexOptions,
+      signal: job.controller.signal,
+      onProgress: (p) => {
+        job.progress = p;
+        touchUpload(job.uploadId); // long ingestions must not look idle to the retention sweeper
+      },
+    });
+    job.status = "done";
+    console.log(`Ingestion finished: ${file.originalname} in ${Date.now() - Date.parse(job.startedAt)} ms`);
+  } catch (e) {
+    job.status = job.controller.signal.aborted ? "cancelled" : "failed";
+    job.error = String(e && e.message ? e.message : e);
+    // which provider call gave up (see resilience.js), so clients can tell outages from bad files
+    if (e && e.stage) job.failure = { stage: e.stage, provider: e.provider, status: e.status || null, code: e.code };
+    console.error(`Ingestion ${job.status}: ${file.originalname}:`, job.error);
+  } finally {
+    job.finishedAt = new Date().toISOString();
+  }
+}
+
+function drain() {
+  while (running < CONCURRENCY && queue.length) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.status !== "queued") continue;
+    running++;
+    runJob(job)
+      .catch(e => console.error("Ingestion job crashed:", e))
+      .finally(() => {
+        running--;
+        pruneFinishedJobs();
+        drain();
+      });
+  }
+}
+
+/** queued or running job for a document (and options), if any */
+function activeJob(documentId, indexOptions) {
+  const key = jobKey(documentId, indexOptions);
+  for (const job of jobs.values()) {
+    if (job.key === key && (job.status === "queued" || job.status === "running")) return job;
+  }
+  return null;
+}
+
+/**
+ * Queue ingestion of documents (entries from listUploadFiles). A document that already has a
+ * queued/running job for the same options reuses it. Returns the jobs (public view).
+ */
+export function enqueueIngestion(uploadId, files, indexOptions = INDEX_OPTIONS) {
+  const result = [];
+  for (const file of files) {
+    let job = activeJob(file.documentId, indexOptions);
+    if (!job) {
+      job = {
+        id: crypto.randomUUID(),
+        key: jobKey(file.documentId, indexOptions),
+        uploadId,
+        documentId: file.documentId,
+        filename: file.originalname,
+        indexOptions,
+        status: "queued",
+        progress: null,
+        error: null,
+        failure: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        controller: new AbortController(),
+      };
+      jobs.set(job.id, job);
+      queue.push(job.id);
+      console.log(`Queued ingestion of ${file.originalname} (${uploadId}), ${queue.length} waiting`);
+    }
+    result.push(describeJob(job));
+  }
+  drain();
+  return result;
+}
+
+/** latest job per document of a session (public view), keyed by documentId */
+export function getUploadJobs(uploadId) {
+  const latest = {};
+  for (const job of jobs.values()) {
+    if (job.uploadId !== uploadId) continue;
+    const prev = latest[job.documentId];
+    if (!prev || job.createdAt >= prev.createdAt) latest[job.documentId] = job;
+  }
+  return Object.fromEntries(Object.entries(latest).map(([id, job]) => [id, describeJob(job)]));
+}
+
+/** abort queued/running jobs of a session (or one of its documents), e.g. before deleting it */
+export function cancelIngestion(uploadId, documentId = null) {
+  let cancelled = 0;
+  for (const job of jobs.values()) {
+    if (job.uploadId !== uploadId || (documentId && job.documentId !== documentId)) continue;
+    if (job.status === "queued") {
+      job.status = "cancelled";
+      job.finishedAt = new Date().toISOString();
+      cancelled++;
+    } else if (job.status === "running") {
+      job.controller.abort(new Error("Ingestion cancelled"));
+      cancelled++;
+    }
+  }
+  return cancelled;
+}
+
+/** true while a session has queued or running jobs */
+export function hasActiveIngestion(uploadId) {
+  for (const job of jobs.values()) {
+    if (job.uploadId === uploadId && (job.status === "queued" || job.status === "running")) return true;
+  }
+  return false;
+}
+
+/** re-queue documents a previous process left "pending" or "indexing" */
+export function resumePendingIngestion() {
+  let resumed = 0;
+  for (const id of fs.readdirSync(UPLOAD_DIR)) {
+    if (!isValidUploadId(id)) continue;
+    const manifest = loadManifest(id);
+    if (!manifest) continue;
+    const unfinished = new Set(manifest.documents.filter(d => d.indexStatus === "pending" || d.indexStatus === "indexing").map(d => d.id));
+    if (!unfinished.size) continue;
+    const files = (listUploadFiles(id) || []).filter(f => unfinished.has(f.documentId));
+    enqueueIngestion(id, files);
+    resumed += files.length;
+  }
+  if (resumed) console.log(`Resumed ingestion of ${resumed} document(s)`);
+  return resumed;
+}
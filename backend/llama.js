@@ -1,24 +1,78 @@
-import { InferenceClient } from "@huggingface/inference";
+import { getChatProvider, providerLabel } from "./providers.js";
+import { callWithRetry, streamWithRetry } from "./resilience.js";
+import { DEFAULT_ANSWER_MODE, REWRITE_SETTINGS, buildAnswerMessages, buildRewriteMessages, getAnswerMode } from "./prompts.js";
 
-const client = new InferenceClient(process.env.HF_TOKEN);
+// how many earlier messages (user + assistant) are replayed to the model
+const MAX_HISTORY_MESSAGES = 8;
 
-export async function askWithLlama(pdfText, question) {
-  const prompt = `
-  You are an AI assistant. Answer ONLY using the information in the context.
-  If the answer is not found in the document, say: "Not found in the document."
+function answerRequest(context, question, opts) {
+  const mode = opts.mode || getAnswerMode(DEFAULT_ANSWER_MODE);
+  const messages = buildAnswerMessages({ mode, context, question, history: opts.history, maxHistory: MAX_HISTORY_MESSAGES });
+  return { messages, max_tokens: mode.maxTokens, temperature: mode.temperature, task: "answer" };
+}
 
-  Context:
-  ${pdfText}
+/**
+ * askWithLlama(context, question, opts)
+ * - context: the tagged document blocks from searchDocuments.
+ * - opts.mode: answer mode from getAnswerMode (prompts.js), which sets the system prompt, token
+ *   budget and temperature (defaults to DEFAULT_ANSWER_MODE).
+ * - opts.history: earlier { role, content } turns of the conversation.
+ */
+export async function askWithLlama(context, question, opts = {}) {
+  const provider = getChatProvider();
+  const request = answerRequest(context, question, opts);
+  return callWithRetry(
+    (signal) => provider.chat({ ...request, signal }),
+    { stage: "generation", provider: providerLabel(provider), signal: opts.signal }
+  );
+}
 
-  Question:
-  ${question}
-  `;
+/**
+ * streamWithLlama(context, question, opts)
+ * - Same prompt and options as askWithLlama, but yields answer text deltas as they arrive.
+ * - opts.signal aborts the upstream request (e.g. when the client disconnects).
+ * - Retried (see resilience.js) only until the first delta arrives.
+ */
+export async function* streamWithLlama(context, question, opts = {}) {
+  const provider = getChatProvider();
+  const request = answerRequest(context, question, opts);
+  yield* streamWithRetry(
+    (signal) => provider.chatStream({ ...request, signal }),
+    { stage: "generation", provider: providerLabel(provider), signal: opts.signal }
+  );
+}
 
-  const response = await client.chatCompletion({
-    model: "meta-llama/Llama-3.1-8B-Instruct",
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 300,
-  });
+/**
+ * rewriteQuestion(history, question, opts)
+ * - Turns a follow-up ("what about the second one?") into a standalone retrieval query
+ *   using the recent conversation. Returns the question unchanged when there is no history
+ *   or the model call fails (retrieval then just uses the raw follow-up).
+ */
+export async function rewriteQuestion(history, question, opts = {}) {
+  const recent = (history || [])
+    .filter(m => (m.role === "user" || m.role === "assistant") && m.content)
+    .slice(-MAX_HISTORY_MESSAGES);
+  if (!recent.length) return question;
 
-  return response.choices[0].message.content;
+  const transcript = recent.map(m => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`).join("\n");
+  try {
+    const provider = getChatProvider();
+    // one retry at most: falling back to the raw follow-up beats a long wait
+    const rewritten = await callWithRetry(
+      (signal) => provider.chat({
+        messages: buildRewriteMessages(transcript, question),
+        max_tokens: REWRITE_SETTINGS.maxTokens,
+        temperature: REWRITE_SETTINGS.temperature,
+        task: "rewrite",
+        signal,
+      }),
+      { stage: "query rewrite", provider: providerLabel(provider), signal: opts.signal, retries: 1 }
+    );
+    const query = String(rewritten || "").trim().replace(/^["']|["']$/g, "");
+    return query || question;
+  } catch (e) {
+    if (opts.signal?.aborted) throw e;
+    console.warn("Query rewriting failed, using the raw follow-up:", e && e.message ? e.message : e);
+    return question;
+  }
 }
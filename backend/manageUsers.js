@@ -0,0 +1,50 @@
+// manageUsers.js
+// Command line for the local user store (run from the backend folder, like the server):
+//   node manageUsers.js add <username> <password>
+//   node manageUsers.js passwd <username> <password>
+//   node manageUsers.js apikey <username>      prints a new API key (shown only once)
+//   node manageUsers.js remove <username>
+//   node manageUsers.js list
+
+import { createApiKey, createUser, listUsers, removeUser, setPassword } from "./userStore.js";
+
+const [command, username, password] = process.argv.slice(2);
+
+function usage() {
+  console.error("Usage: node manageUsers.js <add|passwd|apikey|remove|list> [username] [password]");
+  process.exit(1);
+}
+
+try {
+  switch (command) {
+    case "add":
+      if (!username || !password) usage();
+      console.log(JSON.stringify(createUser(username, password)));
+      break;
+    case "passwd":
+      if (!username || !password) usage();
+      if (!setPassword(username, password)) throw new Error(`No such user: ${username}`);
+      console.log("Password updated for", username);
+      break;
+    case "apikey": {
+      if (!username) usage();
+      const key = createApiKey(username);
+      if (!key) throw new Error(`No such user: ${username}`);
+      console.log(key);
+      break;
+    }
+    case "remove":
+      if (!username) usage();
+      if (!removeUser(username)) throw new Error(`No such user: ${username}`);
+      console.log("Removed", username);
+      break;
+    case "list":
+      console.table(listUsers());
+      break;
+    default:
+      usage();
+  }
+} catch (e) {
+  console.error(String(e && e.message ? e.message : e));
+  process.exit(1);
+}
@@ -0,0 +1,98 @@
+// ocr.js
+// Text recognition for scanned pages (pages without a text layer). pdfExtract.js renders the
+// pages; this module reads the images with tesseract.js. Language data comes from the installed
+// @tesseract.js-data/<lang> package, so nothing is downloaded at runtime.
+//
+// Env:
+//   OCR_ENABLED          "false" turns the OCR fallback off                      (default on)
+//   OCR_LANG             tesseract language, needs @tesseract.js-data/<lang>     (default "eng")
+//   OCR_MIN_TEXT_CHARS   pages with less extracted text count as scanned         (default 10)
+//   OCR_MAX_PAGES        scanned pages recognized per document                   (default 100)
+//   OCR_SCALE            render scale of a page before recognition               (default 2)
+
+import { createRequire } from "module";
+import { createWorker, OEM } from "tesseract.js";
+import { createLimiter } from "./resilience.js";
+
+function numberFromEnv(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export const OCR = {
+  enabled: process.env.OCR_ENABLED !== "false",
+  lang: process.env.OCR_LANG || "eng",
+  minTextChars: numberFromEnv(process.env.OCR_MIN_TEXT_CHARS, 10),
+  maxPages: numberFromEnv(process.env.OCR_MAX_PAGES, 100),
+  scale: numberFromEnv(process.env.OCR_SCALE, 2),
+};
+
+// the worker holds ~100 MB of WASM + language data: stop it when OCR has been idle for a while
+const WORKER_IDLE_MS = 60 * 1000;
+
+const require = createRequire(import.meta.url);
+// one worker recognizes one page at a time; concurrent ingestion jobs wait their turn
+const limitOcr = createLimiter(1);
+let workerPromise = null;
+let idleTimer = null;
+
+function getWorker() {
+  if (!workerPromise) {
+    let langData;
+    try {
+      langData = require(`@tesseract.js-data/${OCR.lang}`);
+    } catch {
+      throw new Error(`OCR language data for "${OCR.lang}" is not installed (npm install @tesseract.js-data/${OCR.lang})`);
+    }
+    console.log(`Starting OCR worker (${OCR.lang})`);
+    workerPromise = createWorker(OCR.lang, OEM.LSTM_ONLY, {
+      langPath: langData.langPath,
+      gzip: langData.gzip,
+      cacheMethod: "none", // read the packaged file, never write a copy into the working directory
+    }).catch((e) => {
+      workerPromise = null;
+      throw e;
+    });
+  }
+  return workerPromise;
+}
+
+function scheduleIdleShutdown() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    const pending = workerPromise;
+    workerPromise = null;
+    try {
+      await (await pending)?.terminate();
+      console.log("Stopped idle OCR worker");
+    } catch (e) {
+      console.warn("Failed to stop OCR worker:", e);
+    }
+  }, WORKER_IDLE_MS);
+  idleTimer.unref();
+}
+
+/** true when a page's extracted text is too short to be a real text layer */
+export function needsOcr(text) {
+  return String(text || "").replace(/\s+/g, "").length < OCR.minTextChars;
+}
+
+/**
+ * recognizeImage(image)
+ * - image: PNG/JPEG bytes (Buffer) of a rendered page.
+ * - Returns { text, confidence } with confidence 0-100 (tesseract's mean word confidence).
+ */
+export function recognizeImage(image) {
+  return limitOcr(async () => {
+    clearTimeout(idleTimer);
+    try {
+      const worker = await getWorker();
+      const { data } = await worker.recognize(image);
+      return { text: (data.text || "").trim(), confidence: Math.round(data.confidence || 0) };
+    } catch (e) {
+      throw new Error("OCR failed: " + String(e && e.message ? e.message : e));
+    } finally {
+      scheduleIdleShutdown();
+    }
+  });
+}
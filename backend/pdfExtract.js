@@ -0,0 +1,165 @@
+// pdfExtract.js
+// Single place where PDFs are turned into text. Returns real per-page text taken from the
+// PDF page tree (pdf-parse v2), so page numbers used in citations match the viewer's.
+// Pages without a text layer (scans) are rendered and read with OCR (see ocr.js).
+// Ruled tables are detected from the drawn grid lines and returned as rows of cells (see tables.js).
+
+import * as pdfParseModule from "pdf-parse";
+import { OCR, needsOcr, recognizeImage } from "./ocr.js";
+import { TABLES, findCaption, normalizeTable } from "./tables.js";
+
+/** run PDFParse.getText(), retrying with the legacy { buffer } form if { data } is rejected */
+async function getTextWithPDFParse(PDFParseCtor, buffer) {
+  try {
+    const parser = new PDFParseCtor({ data: new Uint8Array(buffer) });
+    try {
+      return await parser.getText();
+    } finally {
+      if (parser?.destroy) await parser.destroy();
+    }
+  } catch (e1) {
+    console.warn("PDFParse({ data: Uint8Array }) failed, retrying with { buffer }:", e1 && e1.message ? e1.message : e1);
+    const parser2 = new PDFParseCtor({ buffer });
+    try {
+      return await parser2.getText();
+    } finally {
+      if (parser2?.destroy) await parser2.destroy();
+    }
+  }
+}
+
+/**
+ * inspectPdf(buffer)
+ * - Opens the document without extracting text and returns { pageCount }.
+ * - Throws an Error with code "PDF_ENCRYPTED" (password protected) or "PDF_CORRUPT"
+ *   (unreadable structure), so uploads can be rejected before indexing.
+ */
+export async function inspectPdf(buffer) {
+  const PDFParseCtor = pdfParseModule.PDFParse || pdfParseModule.default?.PDFParse;
+  if (typeof PDFParseCtor !== "function") {
+    // legacy pdf-parse: no cheap way to open the document; extraction reports problems later
+    return { pageCount: null };
+  }
+  const parser = new PDFParseCtor({ data: new Uint8Array(buffer) });
+  try {
+    const info = await parser.getInfo();
+    return { pageCount: info?.total ?? null };
+  } catch (e) {
+    const encrypted = e?.name === "PasswordException";
+    const err = new Error(encrypted ? "PDF is password protected" : "PDF is corrupt or unreadable: " + String(e?.message || e));
+    err.code = encrypted ? "PDF_ENCRYPTED" : "PDF_CORRUPT";
+    throw err;
+  } finally {
+    if (parser?.destroy) await parser.destroy();
+  }
+}
+
+/**
+ * Replace the text of pages without a text layer by OCR of the rendered page (in place).
+ * Each recognized page gets ocr: { confidence } (0-100). OCR problems never fail extraction:
+ * the pages stay empty and the returned summary carries the error.
+ */
+async function ocrScannedPages(PDFParseCtor, buffer, pages, { signal, maxPages, onProgress = () => {} } = {}) {
+  // pages past maxPages are never indexed, so they aren't worth recognizing
+  const scanned = pages.filter(p => needsOcr(p.text) && !(p.pageNumber > maxPages));
+  if (!scanned.length) return { pages: 0, skipped: 0, error: null };
+  const todo = scanned.slice(0, OCR.maxPages);
+  console.log(`OCR: ${scanned.length} page(s) without a text layer${todo.length < scanned.length ? `, reading the first ${todo.length}` : ""}`);
+
+  const parser = new PDFParseCtor({ data: new Uint8Array(buffer) });
+  let done = 0;
+  try {
+    for (const page of todo) {
+      signal?.throwIfAborted();
+      const shot = await parser.getScreenshot({ partial: [page.pageNumber], scale: OCR.scale, imageDataUrl: false, imageBuffer: true });
+      const image = shot?.pages?.[0]?.data;
+      if (image) {
+        const { text, confidence } = await recognizeImage(Buffer.from(image));
+        page.text = text;
+        page.ocr = { confidence };
+      }
+      onProgress({ stage: "ocr", page: ++done, totalPages: todo.length });
+    }
+    return { pages: done, skipped: scanned.length - todo.length, error: null };
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    console.warn("OCR fallback failed:", e);
+    return { pages: done, skipped: scanned.length - done, error: String(e && e.message ? e.message : e) };
+  } finally {
+    if (parser?.destroy) await parser.destroy();
+  }
+}
+
+/**
+ * Detect ruled tables on pages with a text layer (in place): page.tables = [{ caption, rows }].
+ * Like OCR, a failure only loses the tables; the page text is kept.
+ */
+async function detectTables(PDFParseCtor, buffer, pages, { signal, maxPages } = {}) {
+  const candidates = pages.filter(p => p.text && !p.ocr && !(p.pageNumber > maxPages));
+  if (!candidates.length) return 0;
+  const parser = new PDFParseCtor({ data: new Uint8Array(buffer) });
+  let found = 0;
+  try {
+    for (const page of candidates) {
+      signal?.throwIfAborted();
+      const result = await parser.getTable({ partial: [page.pageNumber] });
+      const tables = (result?.pages?.[0]?.tables || []).map(normalizeTable).filter(Boolean);
+      if (!tables.length) continue;
+      page.tables = tables.map((rows, n) => ({ caption: findCaption(page.text, rows[0], n), rows }));
+      found += tables.length;
+    }
+    if (found) console.log(`Tables: ${found} detected`);
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    console.warn("Table detection failed:", e);
+  } finally {
+    if (parser?.destroy) await parser.destroy();
+  }
+  return found;
+}
+
+/**
+ * extractPdfPages(buffer, opts)
+ * - Returns { pages: [{ pageNumber, text, ocr?, tables? }], pageCount, text, ocr }.
+ * - pages always covers every physical page in order (empty pages have text "").
+ * - Pages without a text layer are OCR'd when OCR is enabled; they carry ocr: { confidence }
+ *   and the result's ocr summary is { pages, skipped, error } (null when OCR didn't run).
+ * - Ruled tables are detected on text pages when TABLES_ENABLED (see tables.js): tables: [{ caption, rows }].
+ * - opts.maxPages limits OCR and table detection to the pages that will be indexed.
+ * - opts.onProgress({ stage: "ocr", page, totalPages }) after each recognized page; opts.signal aborts between pages.
+ * - With the legacy pdf-parse v1 API there is no page tree; pages come from "\f"
+ *   separators when present, otherwise a single entry spanning the document (no OCR).
+ */
+export async function extractPdfPages(buffer, opts = {}) {
+  if (!buffer) throw new Error("No PDF buffer provided.");
+
+  try {
+    const PDFParseCtor = pdfParseModule.PDFParse || pdfParseModule.default?.PDFParse;
+    if (typeof PDFParseCtor === "function") {
+      const result = await getTextWithPDFParse(PDFParseCtor, buffer);
+      const pages = (result?.pages || [])
+        .map(p => ({ pageNumber: p.num, text: (p.text || "").trim() }))
+        .sort((a, b) => a.pageNumber - b.pageNumber);
+      const ocr = OCR.enabled ? await ocrScannedPages(PDFParseCtor, buffer, pages, opts) : null;
+      if (TABLES.enabled) await detectTables(PDFParseCtor, buffer, pages, opts);
+      return { pages, pageCount: result?.total || pages.length, text: pages.map(p => p.text).join("\n\n"), ocr };
+    }
+
+    // pdf-parse v1 fallback: default export is a function returning { text, numpages }
+    const pdfParseV1 = pdfParseModule.default || pdfParseModule;
+    if (typeof pdfParseV1 === "function") {
+      const parseRes = await pdfParseV1(buffer);
+      const fullText = (parseRes && parseRes.text) ? parseRes.text : (typeof parseRes === "string" ? parseRes : "");
+      const pageCount = parseRes?.numpages || 1;
+      const pages = fullText.includes("\f")
+        ? fullText.split("\f").map((text, i) => ({ pageNumber: i + 1, text: text.trim() }))
+        : [{ pageNumber: 1, pageEnd: pageCount, text: fullText.trim() }];
+      return { pages, pageCount, text: fullText, ocr: null };
+    }
+
+    throw new Error("pdf-parse: no usable export found.");
+  } catch (err) {
+    if (opts.signal?.aborted) throw err;
+    throw new Error("PDF text extraction failed: " + String(err));
+  }
+}
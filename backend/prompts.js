@@ -0,0 +1,243 @@
+// prompts.js
+// Prompt template registry. Every model call's messages are assembled here: the answer modes used
+// by the ask routes (sever.js) and the evaluation (evaluate.js), the follow-up rewrite prompt, the
+// map/reduce summary prompts (summarizer.js), the change explanations of comparisons (comparer.js),
+// the JSON field extraction prompts (extractor.js) and the answer grounding check (grounding.js).
+// Each answer mode has its own instruction, token budget, temperature and, optionally, retrieval
+// defaults (e.g. "compare" spreads the context over documents).
+//
+// Env:
+//   PROMPTS_FILE   JSON file overriding or adding modes: { "modes": { "<id>": { label, description,
+//                  instruction, maxTokens, temperature, retrieval } } }; fields left out keep the
+//                  built-in values                                                   (default none)
+
+import fs from "fs";
+
+// the exact reply asked for when the context doesn't answer the question
+export const NOT_FOUND_ANSWER = "Not found in the document.";
+
+// citation syntax (parsed by citations.js), shared by answers and summaries
+const CITATION_FORMAT = `For each fact or claim cite the document and page number in parentheses, with a short exact quote from that page that supports it, e.g. "(Doc: invoice.pdf — Page 3 — "Total due: $5,000")".
+Documents without pages are split into numbered sections: cite those by section number instead, e.g. "(Doc: handbook.docx — Section 4 — "Refunds are issued within 14 days")".
+Contexts marked [table] are Markdown tables: read values by their row and column headers, and quote the whole row when citing one, e.g. "(Doc: report.pdf — Page 7 — "| Q3 | 17.2 | 36% |")".`;
+
+// rules every answer mode shares: grounding, citations, "not found"
+const CITATION_RULES = `Use ONLY the information in the provided document contexts.
+${CITATION_FORMAT}
+If the answer cannot be found in the provided contexts, reply exactly: "${NOT_FOUND_ANSWER}"`;
+
+const BUILT_IN_MODES = {
+  concise: {
+    label: "Concise answer",
+    description: "A short, direct answer",
+    instruction: "Answer the user's question directly in one to three sentences.",
+    maxTokens: 300,
+    temperature: 0.2,
+  },
+  detailed: {
+    label: "Detailed answer",
+    description: "A thorough answer with context and caveats",
+    instruction:
+      "Answer the user's question thoroughly in a few short paragraphs: give the answer first, then the relevant details, conditions and exceptions stated in the documents.",
+    maxTokens: 900,
+    temperature: 0.3,
+  },
+  summary: {
+    label: "Summary",
+    description: "A structured summary of what the documents say",
+    instruction:
+      "Summarize what the documents say about the user's request (or the documents as a whole when the request is general). Start with a one-sentence overview, then cover the main points in order of importance.",
+    maxTokens: 700,
+    temperature: 0.3,
+    retrieval: { topK: 12, maxContextTokens: 4000 },
+  },
+  bullets: {
+    label: "Bullet extraction",
+    description: "The relevant facts as a bulleted list",
+    instruction:
+      'Extract every fact relevant to the user\'s question as a bulleted list ("- " per line), one fact per bullet, each bullet ending with its citation. No introduction or conclusion.',
+    maxTokens: 600,
+    temperature: 0.1,
+  },
+  compare: {
+    label: "Compare documents",
+    description: "Similarities and differences between the documents",
+    instruction:
+      "Compare what the different documents say about the user's question: first the points they agree on, then the differences, naming the document for each position. Say explicitly when a document does not cover a point.",
+    maxTokens: 800,
+    temperature: 0.2,
+    retrieval: { maxPerDocument: 4 },
+  },
+  quotes: {
+    label: "Quotes only",
+    description: "Verbatim passages, no paraphrase",
+    instruction:
+      'Reply only with verbatim quotes from the contexts that answer the user\'s question, one per line as "<quote>" followed by its citation. Do not paraphrase, summarize or add commentary.',
+    maxTokens: 500,
+    temperature: 0,
+  },
+};
+
+export const DEFAULT_ANSWER_MODE = "concise";
+
+function loadModes() {
+  const file = process.env.PROMPTS_FILE;
+  if (!file) return BUILT_IN_MODES;
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(file, "utf8")).modes || {};
+  } catch (e) {
+    throw new Error(`Loading PROMPTS_FILE ${file} failed: ` + String(e));
+  }
+  const modes = { ...BUILT_IN_MODES };
+  for (const [id, mode] of Object.entries(overrides)) {
+    modes[id] = { ...BUILT_IN_MODES[id], ...mode };
+    if (!modes[id].instruction) throw new Error(`PROMPTS_FILE mode "${id}" has no instruction`);
+  }
+  console.log(`Loaded prompt overrides for ${Object.keys(overrides).length} mode(s) from ${file}`);
+  return modes;
+}
+
+export const ANSWER_MODES = loadModes();
+
+/** the mode named `id` ({ id, label, instruction, maxTokens, temperature, retrieval? }), the default for an empty id, or null */
+export function getAnswerMode(id) {
+  const key = id || DEFAULT_ANSWER_MODE;
+  return Object.hasOwn(ANSWER_MODES, key) ? { id: key, ...ANSWER_MODES[key] } : null;
+}
+
+/** public list of the modes for the frontend's selector */
+export function describeAnswerModes() {
+  return Object.entries(ANSWER_MODES).map(([id, m]) => ({ id, label: m.label || id, description: m.description || "" }));
+}
+
+/**
+ * buildAnswerMessages({ mode, context, question, history })
+ * - mode: from getAnswerMode; context: the tagged blocks from searchDocuments; history: earlier
+ *   { role, content } turns (only their text is replayed, context is sent once for this turn).
+ * - Returns the chat messages: the mode's system prompt, the prior turns, then context + question.
+ */
+export function buildAnswerMessages({ mode, context, question, history = [], maxHistory = 8 }) {
+  const prior = history
+    .filter(m => (m.role === "user" || m.role === "assistant") && m.content)
+    .slice(-maxHistory)
+    .map(m => ({ role: m.role, content: m.content }));
+  return [
+    { role: "system", content: `You are an AI assistant answering questions about the user's documents.\n${mode.instruction}\n${CITATION_RULES}` },
+    ...prior,
+    { role: "user", content: `Context:\n${context}\n\nQuestion:\n${question}` },
+  ];
+}
+
+// query rewriting wants a short, deterministic reply
+export const REWRITE_SETTINGS = { maxTokens: 64, temperature: 0 };
+
+/** messages turning a follow-up into a standalone search query (see rewriteQuestion in llama.js) */
+export function buildRewriteMessages(transcript, question) {
+  const prompt = `
+  Rewrite the follow-up question as a single standalone search query that can be understood
+  without the conversation. Resolve pronouns and references ("it", "the second one") using the
+  conversation. Reply with the query only, no explanation.
+
+  Conversation:
+  ${transcript}
+
+  Follow-up question:
+  ${question}
+  `;
+  return [{ role: "user", content: prompt }];
+}
+
+// ---------- Summaries (see summarizer.js) ----------
+
+// bump when the summary prompts change: summaries cached with older prompts are then redone
+export const SUMMARY_PROMPT_VERSION = 1;
+
+export const SUMMARY_SETTINGS = { maxTokens: 500, temperature: 0.2 };
+
+const SUMMARY_STAGES = {
+  // one group of consecutive passages; the title becomes the group's outline entry
+  map: `Summarize the passages below in 3 to 5 sentences, keeping names, numbers, dates and obligations.
+Start your reply with a line "Title: <heading of at most 8 words for these passages>", then the summary.`,
+  // partial summaries of one document, combined in rounds until one is left
+  reduce: "Below are summaries of consecutive parts of one document. Merge them into one summary of 4 to 6 sentences that covers every part in order.",
+  document: `Below are summaries of consecutive parts of one document. Write the summary of the whole document:
+one sentence on what the document is, then its main points in order, in at most 8 sentences.`,
+  collection: `Below are summaries of several documents. Summarize the collection: what the documents are, the main points
+of each and where they agree or differ, in at most 10 sentences.`,
+};
+
+/** messages for one summary step: stage is "map", "reduce", "document" or "collection"; passages are tagged blocks */
+export function buildSummaryMessages(stage, passages) {
+  const rules = stage === "map"
+    ? `Use ONLY the information in the passages.\n${CITATION_FORMAT}`
+    : "Use ONLY the information in the summaries and keep the citations, e.g. (Doc: ... — Page 3 — \"...\"), of the points you keep.";
+  return [
+    { role: "system", content: `You are an AI assistant summarizing the user's documents.\n${SUMMARY_STAGES[stage]}\n${rules}` },
+    { role: "user", content: `Passages to summarize:\n${passages}` },
+  ];
+}
+
+// ---------- Comparisons (see comparer.js) ----------
+
+export const COMPARE_SETTINGS = { maxTokens: 900, temperature: 0.1 };
+
+/** messages asking for one explanation line per numbered change ("=== Change N: kind ===" blocks) */
+export function buildCompareMessages(baseName, revisedName, changes) {
+  const instruction = `Below are clauses that differ between two versions of a document: ${baseName} (the earlier version) and ${revisedName} (the later version).
+For every change write exactly one line "Change <number>: <explanation>" in 1 or 2 sentences: what changed and its practical effect (obligations, amounts, dates, parties, scope).
+Cite the clause in each document it appears in: the earlier version for what was removed or replaced, the later version for what was added or now applies.
+If a change is immaterial (formatting, numbering, spelling, rewording with the same meaning), write "Change <number>: Immaterial" followed by a short reason.`;
+  return [
+    { role: "system", content: `You are an AI assistant comparing the user's documents.\n${instruction}\nUse ONLY the information in the clauses.\n${CITATION_FORMAT}` },
+    { role: "user", content: `Changes to explain:\n${changes}` },
+  ];
+}
+
+// ---------- Field extraction (see extractor.js) ----------
+
+export const EXTRACTION_SETTINGS = { maxTokens: 1200, temperature: 0 };
+
+const EXTRACTION_REPLY = `Reply with a single JSON object and nothing else: one key per field, each mapped to
+{ "value": <the value, in the field's type>, "page": <page or section number it was found on>, "quote": "<short exact quote from that page containing the value>" }.
+Use { "value": null, "page": null, "quote": null } for a field the contexts do not contain. Never guess or compute values that are not written in the contexts.
+Write numbers without currency symbols or thousands separators and dates as YYYY-MM-DD.`;
+
+/**
+ * messages extracting the listed fields from one document's contexts. fields is one line per
+ * field: "- name (type): description"; list items describe their entries as a JSON example.
+ */
+export function buildExtractionMessages(filename, fields, context) {
+  return [
+    { role: "system", content: `You are an AI assistant extracting structured data from the user's document ${filename}.\nUse ONLY the information in the provided document contexts.\n${EXTRACTION_REPLY}` },
+    { role: "user", content: `Context:\n${context}\n\nFields to extract:\n${fields}` },
+  ];
+}
+
+/** follow-up asking the model to fix a reply that was not valid JSON or did not match the fields */
+export function buildExtractionRepairMessages(messages, reply, problems) {
+  return [
+    ...messages,
+    { role: "assistant", content: reply },
+    { role: "user", content: `Your reply could not be used:\n${problems}\n\nReply again with the corrected JSON object only.` },
+  ];
+}
+
+// ---------- Grounding check (see grounding.js) ----------
+
+export const GROUNDING_SETTINGS = { maxTokens: 400, temperature: 0 };
+
+// entailment labels, from the reply line "Claim <number>: <LABEL>"
+export const GROUNDING_LABELS = ["SUPPORTED", "PARTIAL", "UNSUPPORTED"];
+
+/** messages asking whether each numbered claim of an answer follows from the context it was written from */
+export function buildGroundingMessages(context, claims) {
+  const instruction = `Below are document contexts and numbered claims taken from an answer written from them.
+For every claim write exactly one line "Claim <number>: <LABEL>" where LABEL is
+SUPPORTED if the contexts state it (paraphrase is fine), PARTIAL if they support only part of it, UNSUPPORTED if they do not state it or contradict it.
+Judge only against the contexts, not your own knowledge. No other text.`;
+  return [
+    { role: "system", content: `You are an AI assistant checking answers against the user's documents.\n${instruction}` },
+    { role: "user", content: `Context:\n${context}\n\nClaims to verify:\n${claims}` },
+  ];
+}
@@ -0,0 +1,473 @@
+// providers.js
+// Chat + embedding provider layer. Every adapter exposes the same shape:
+//   chat:      { name, model, chat(req) -> Promise<string>, chatStream(req) -> AsyncGenerator<string> }
+//              where req = { messages, max_tokens, temperature, signal, task }; task names the kind
+//              of request ("answer", "rewrite", "summary", "compare", "extract", "verify"), which
+//              only the fake backend uses
+//   embedding: { name, model, embed(inputs, { signal }) -> Promise<number[] | number[][]> }
+//
+// Selected by env (defaults keep the original Hugging Face setup):
+//   MODEL_BACKEND              shortcut for both below ("huggingface" | "openai" | "fake")
+//   LLM_BACKEND, LLM_MODEL, LLM_HF_PROVIDER
+//   EMBEDDING_BACKEND, EMBEDDING_MODEL, EMBEDDING_HF_PROVIDER
+//   OPENAI_BASE_URL, OPENAI_API_KEY     (any OpenAI-compatible server: llama.cpp, Ollama, vLLM...)
+//   FAKE_EMBEDDING_DIM                  (fake backend only)
+
+import { InferenceClient } from "@huggingface/inference";
+
+const DEFAULT_CHAT_MODEL = "meta-llama/Llama-3.1-8B-Instruct";
+const DEFAULT_EMBEDDING_MODEL = "intfloat/e5-mistral-7b-instruct";
+const DEFAULT_EMBEDDING_HF_PROVIDER = "sambanova";
+const DEFAULT_OPENAI_BASE_URL = "http://localhost:11434/v1"; // Ollama's OpenAI-compatible endpoint
+
+/** read provider config from env (pass an object to override for tests/scripts) */
+export function providerConfigFromEnv(env = process.env) {
+  const backend = env.MODEL_BACKEND || "huggingface";
+  return {
+    hfToken: env.HF_TOKEN,
+    openaiBaseUrl: env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+    openaiApiKey: env.OPENAI_API_KEY || "",
+    chat: {
+      backend: env.LLM_BACKEND || backend,
+      model: env.LLM_MODEL || DEFAULT_CHAT_MODEL,
+      hfProvider: env.LLM_HF_PROVIDER || undefined,
+    },
+    embedding: {
+      backend: env.EMBEDDING_BACKEND || backend,
+      model: env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+      hfProvider: env.EMBEDDING_HF_PROVIDER || DEFAULT_EMBEDDING_HF_PROVIDER,
+      fakeDim: Number(env.FAKE_EMBEDDING_DIM) || 256,
+    },
+  };
+}
+
+/** normalize provider embedding response for single or batch inputs */
+export function normalizeProviderResponse(res, isArrayInput) {
+  // Many providers return arrays directly; others return objects.
+  // If provider returns plain array for batch: [ [..], [..] ]
+  if (Array.isArray(res) && (Array.isArray(res[0]) && typeof res[0][0] === "number")) {
+    return isArrayInput ? res : res[0];
+  }
+
+  // Some clients return {embedding: [...] } for single or [ { embedding: [...] }, ... ] for batch
+  if (!isArrayInput && Array.isArray(res) && typeof res[0] === "object" && Array.isArray(res[0].embedding)) {
+    return res[0].embedding;
+  }
+  if (isArrayInput && Array.isArray(res) && typeof res[0] === "object" && Array.isArray(res[0].embedding)) {
+    return res.map(item => item.embedding);
+  }
+
+  // Some versions of the HF client return plain arrays for single inputs
+  if (!isArrayInput && Array.isArray(res) && typeof res[0] === "number") return res;
+
+  // if provider returns { result: [...] } or { data: [...] } shapes, try common keys
+  if (res && typeof res === "object") {
+    if (Array.isArray(res.data)) {
+      // data: [ { embedding: [...] }, ... ]
+      if (isArrayInput) return res.data.map(d => d.embedding || d);
+      return res.data[0]?.embedding || res.data[0];
+    }
+    if (Array.isArray(res.result)) {
+      if (isArrayInput) return res.result.map(d => d.embedding || d);
+      return res.result[0]?.embedding || res.result[0];
+    }
+    if (Array.isArray(res.embedding)) {
+      // single
+      return isArrayInput ? [res.embedding] : res.embedding;
+    }
+  }
+
+  throw new Error("Unexpected embedding provider response shape: " + JSON.stringify(res).slice(0, 400));
+}
+
+// ---------- Hugging Face ----------
+
+function createHuggingFaceChat(config) {
+  const client = new InferenceClient(config.hfToken);
+  const { model, hfProvider } = config.chat;
+  return {
+    name: "huggingface",
+    model,
+    async chat({ messages, max_tokens, temperature, signal }) {
+      const response = await client.chatCompletion({ model, provider: hfProvider, messages, max_tokens, temperature }, { signal });
+      return response.choices[0].message.content;
+    },
+    async *chatStream({ messages, max_tokens, temperature, signal }) {
+      const stream = client.chatCompletionStream({ model, provider: hfProvider, messages, max_tokens, temperature }, { signal });
+      for await (const chunk of stream) {
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+  };
+}
+
+function createHuggingFaceEmbedding(config) {
+  const client = new InferenceClient(config.hfToken);
+  const { model, hfProvider } = config.embedding;
+  return {
+    name: `huggingface:${hfProvider}`,
+    model,
+    async embed(inputs, { signal } = {}) {
+      const res = await client.featureExtraction({ model, provider: hfProvider, inputs }, { signal });
+      return normalizeProviderResponse(res, Array.isArray(inputs));
+    },
+  };
+}
+
+// ---------- OpenAI-compatible (llama.cpp server, Ollama, vLLM, OpenAI...) ----------
+
+async function postJson(config, route, body, signal) {
+  const url = `${config.openaiBaseUrl.replace(/\/+$/, "")}${route}`;
+  const headers = { "Content-Type": "application/json" };
+  if (config.openaiApiKey) headers.Authorization = `Bearer ${config.openaiApiKey}`;
+  const res = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    const err = new Error(`${url} responded ${res.status}: ${text.slice(0, 400)}`);
+    // kept for the retry policy (see resilience.js)
+    err.status = res.status;
+    err.retryAfter = res.headers.get("retry-after");
+    throw err;
+  }
+  return res;
+}
+
+function createOpenAIChat(config) {
+  const { model } = config.chat;
+  return {
+    name: "openai",
+    model,
+    async chat({ messages, max_tokens, temperature, signal }) {
+      const res = await postJson(config, "/chat/completions", { model, messages, max_tokens, temperature }, signal);
+      const data = await res.json();
+      return data.choices[0].message.content;
+    },
+    async *chatStream({ messages, max_tokens, temperature, signal }) {
+      const res = await postJson(config, "/chat/completions", { model, messages, max_tokens, temperature, stream: true }, signal);
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const bytes of res.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        let nl;
+        while ((nl = buffer.indexOf("\n")) !== -1) {
+          const line = buffer.slice(0, nl).trim();
+          buffer = buffer.slice(nl + 1);
+          if (!line.startsWith("data:")) continue;
+          const payload = line.slice(5).trim();
+          if (payload === "[DONE]") return;
+          const delta = JSON.parse(payload)?.choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      }
+    },
+  };
+}
+
+function createOpenAIEmbedding(config) {
+  const { model } = config.embedding;
+  return {
+    name: "openai",
+    model,
+    async embed(inputs, { signal } = {}) {
+      const res = await postJson(config, "/embeddings", { model, input: inputs }, signal);
+      return normalizeProviderResponse(await res.json(), Array.isArray(inputs));
+    },
+  };
+}
+
+// ---------- Deterministic in-process fake (tests, offline demos) ----------
+
+const FAKE_STOPWORDS = new Set("a an and are as at be by for from has have how in is it its of on or that the this to was were what when where which who why will with".split(" "));
+
+function fakeTerms(text) {
+  return String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter(t => t && !FAKE_STOPWORDS.has(t));
+}
+
+/** 32-bit FNV-1a */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** feature-hashed bag of words, L2-normalized */
+export function hashingEmbedding(text, dim = 256) {
+  const vec = new Array(dim).fill(0);
+  for (const term of fakeTerms(text)) {
+    const h = fnv1a(term);
+    vec[h % dim] += (h & 0x80000000) ? -1 : 1;
+  }
+  const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+  return norm ? vec.map(v => v / norm) : vec;
+}
+
+/**
+ * Templated answer: the context line sharing the most terms with the question,
+ * cited with the nearest preceding "--- Document: x — Page n" (or "Pages n-m") header
+ * and its first words as the supporting quote. Instructions before the first header are skipped.
+ */
+function fakeAnswer(messages) {
+  const prompt = [...messages].reverse().find(m => m.role === "user")?.content || "";
+  const qIdx = prompt.lastIndexOf("Question:");
+  const question = qIdx >= 0 ? prompt.slice(qIdx + "Question:".length) : prompt;
+  const context = qIdx >= 0 ? prompt.slice(0, qIdx) : prompt;
+  const qTerms = new Set(fakeTerms(question));
+
+  let best = null;
+  let bestOverlap = 0;
+  let citation = null;
+  let inContext = false;
+  for (const raw of context.split("\n")) {
+    const line = raw.trim();
+    const header = line.match(/^--- Document: (.+?) — ((?:Pages?|Sections?) [\d-]+)/);
+    if (header) citation = { doc: header[1], pages: header[2] };
+    if (line.startsWith("---")) {
+      inContext = true;
+      continue;
+    }
+    if (!line || !inContext) continue;
+    const overlap = new Set(fakeTerms(line).filter(t => qTerms.has(t))).size;
+    if (overlap > bestOverlap) {
+      best = { line, citation };
+      bestOverlap = overlap;
+    }
+  }
+
+  if (!best) return "Not found in the document.";
+  if (!best.citation) return `According to the provided context: ${best.line}`;
+  const quote = best.line.split(/\s+/).slice(0, 8).join(" ");
+  return `According to the provided context: ${best.line} (Doc: ${best.citation.doc} — ${best.citation.pages} — "${quote}")`;
+}
+
+/**
+ * Templated standalone query for rewrite prompts (see rewriteQuestion in llama.js):
+ * the last user line of the conversation followed by the follow-up itself.
+ */
+function fakeRewrite(prompt) {
+  const [conversation, followUp] = prompt.split("Follow-up question:");
+  const lastUser = conversation.split("\n").map(l => l.trim()).filter(l => l.startsWith("User:")).pop();
+  return [lastUser ? lastUser.slice("User:".length).trim() : "", followUp.trim()].filter(Boolean).join(" ");
+}
+
+/**
+ * Extractive stand-in for summary prompts (see buildSummaryMessages in prompts.js): the first
+ * line of each passage, cited when its header names a document page or section (summaries being
+ * combined already carry their citations), preceded by a title line when the prompt asks for one.
+ */
+function fakeSummary(messages) {
+  const system = messages.find(m => m.role === "system")?.content || "";
+  const prompt = [...messages].reverse().find(m => m.role === "user")?.content || "";
+  const points = [];
+  let citation = null;
+  let taken = true;
+  for (const raw of prompt.slice(prompt.indexOf("Passages to summarize:")).split("\n").slice(1)) {
+    const line = raw.trim();
+    if (line.startsWith("---")) {
+      const header = line.match(/^--- Document: (.+?) — ((?:Pages?|Sections?) [\d-]+)/);
+      citation = header ? { doc: header[1], pages: header[2] } : null;
+      taken = false;
+      continue;
+    }
+    if (!line || taken) continue;
+    taken = true;
+    if (!citation) {
+      points.push(line);
+      continue;
+    }
+    const sentence = line.split(/(?<=[.!?])\s/)[0].replace(/[.!?]+$/, "");
+    const quote = sentence.split(/\s+/).slice(0, 8).join(" ");
+    points.push(`${sentence} (Doc: ${citation.doc} — ${citation.pages} — "${quote}").`);
+  }
+  const summary = points.slice(0, 6).join(" ") || "The passages contain no text.";
+  if (!system.includes('"Title:')) return summary;
+  return `Title: ${(points[0] || "Untitled").split(/\s+\(Doc:/)[0].split(/\s+/).slice(0, 6).join(" ")}\n${summary}`;
+}
+
+/**
+ * Templated explanations for comparison prompts (see buildCompareMessages in prompts.js): one
+ * "Change N:" line per change block, citing the first words of the clause in each document.
+ */
+function fakeCompare(prompt) {
+  const lines = [];
+  let change = null;
+  let citation = null;
+  const flush = () => {
+    if (change) lines.push(`Change ${change.number}: The clause was ${change.kind}. ${change.cited.join(" ")}`.trim());
+  };
+  for (const raw of prompt.slice(prompt.indexOf("Changes to explain:")).split("\n").slice(1)) {
+    const line = raw.trim();
+    const block = line.match(/^=== Change (\d+): (\w+) ===/);
+    if (block) {
+      flush();
+      change = { number: block[1], kind: block[2], cited: [] };
+      continue;
+    }
+    const header = line.match(/^--- Document: (.+?) — ((?:Pages?|Sections?) [\d-]+)/);
+    if (header) {
+      citation = { doc: header[1], pages: header[2] };
+      continue;
+    }
+    if (!line || !change || !citation) continue;
+    const quote = line.split(/\s+/).slice(0, 8).join(" ");
+    change.cited.push(`(Doc: ${citation.doc} — ${citation.pages} — "${quote}")`);
+    citation = null;
+  }
+  flush();
+  return lines.join("\n");
+}
+
+/**
+ * Templated JSON for extraction prompts (see buildExtractionMessages in prompts.js): context lines
+ * are cut into "Label: value" pieces; per field, the piece sharing the most terms with its name and
+ * description gives the value after its colon (its first number for numeric fields). Lists,
+ * objects and booleans stay null.
+ */
+function fakeExtract(prompt) {
+  const [context, fieldList] = prompt.split("Fields to extract:");
+  const lines = [];
+  let page = null;
+  for (const raw of context.split("\n")) {
+    const line = raw.trim();
+    const header = line.match(/^--- Document: .+? — (?:Pages?|Sections?) (\d+)/);
+    if (header) page = Number(header[1]);
+    if (line.startsWith("---")) continue;
+    if (!line || page === null) continue;
+    for (const piece of line.split(/(?=\b[A-Z][A-Za-z ]{0,30}:)/)) if (piece.trim()) lines.push({ line: piece.trim(), page });
+  }
+  const result = {};
+  for (const raw of fieldList.split("\n")) {
+    const field = raw.trim().match(/^- (\S+) \((\w+)\)(?::\s*(.*))?/);
+    if (!field) continue;
+    const [, name, type, description = ""] = field;
+    const fTerms = new Set(fakeTerms(`${name.replace(/[_-]+|(?<=[a-z])(?=[A-Z])/g, " ")} ${description}`));
+    let best = null;
+    let bestOverlap = 0;
+    for (const l of lines) {
+      const overlap = new Set(fakeTerms(l.line).filter(t => fTerms.has(t))).size;
+      if (overlap > bestOverlap) {
+        best = l;
+        bestOverlap = overlap;
+      }
+    }
+    let value = null;
+    if (best && type !== "array" && type !== "object" && type !== "boolean") {
+      const afterColon = (best.line.includes(":") ? best.line.slice(best.line.indexOf(":") + 1) : best.line).split(/\s\||\.\s|;/)[0].trim();
+      value = type === "number" || type === "integer" ? afterColon.match(/(?<![\w-])-?\d[\d,]*(?:\.\d+)?/)?.[0] ?? null : afterColon;
+    }
+    result[name] = value === null
+      ? { value: null, page: null, quote: null }
+      : { value, page: best.page, quote: best.line.split(/\s+/).slice(0, 12).join(" ") };
+  }
+  return JSON.stringify(result);
+}
+
+/**
+ * Templated labels for grounding checks (see buildGroundingMessages in prompts.js): a claim is
+ * SUPPORTED when most of its terms appear in the context, PARTIAL when some do.
+ */
+function fakeVerify(prompt) {
+  const [context, claims] = prompt.split("Claims to verify:");
+  const cTerms = new Set(fakeTerms(context));
+  return claims.split("\n").map((raw) => {
+    const claim = raw.trim().match(/^(\d+)\.\s+(.*)$/);
+    if (!claim) return null;
+    const terms = fakeTerms(claim[2]);
+    const share = terms.length ? terms.filter(t => cTerms.has(t)).length / terms.length : 0;
+    return `Claim ${claim[1]}: ${share >= 0.7 ? "SUPPORTED" : share >= 0.4 ? "PARTIAL" : "UNSUPPORTED"}`;
+  }).filter(Boolean).join("\n");
+}
+
+const lastUserContent = (messages) => [...messages].reverse().find(m => m.role === "user")?.content || "";
+
+// fake reply per request task (req.task)
+const FAKE_TASKS = {
+  answer: fakeAnswer,
+  rewrite: (messages) => fakeRewrite(lastUserContent(messages)),
+  summary: fakeSummary,
+  compare: (messages) => fakeCompare(lastUserContent(messages)),
+  // repair follow-ups are answered like the extraction request they follow
+  extract: (messages) => fakeExtract(messages.find(m => m.role === "user")?.content || ""),
+  verify: (messages) => fakeVerify(lastUserContent(messages)),
+};
+
+function fakeChat({ messages, task = "answer" }) {
+  const reply = FAKE_TASKS[task];
+  if (!reply) throw new Error(`Fake chat has no reply for task "${task}"`);
+  return reply(messages);
+}
+
+function createFakeChat(config) {
+  return {
+    name: "fake",
+    model: "fake-chat",
+    async chat({ messages, task, signal }) {
+      signal?.throwIfAborted();
+      return fakeChat({ messages, task });
+    },
+    async *chatStream({ messages, task, signal }) {
+      for (const word of fakeChat({ messages, task }).split(/(?<=\s)/)) {
+        signal?.throwIfAborted();
+        yield word;
+      }
+    },
+  };
+}
+
+function createFakeEmbedding(config) {
+  const dim = config.embedding.fakeDim;
+  return {
+    name: "fake",
+    model: `fake-hashing-${dim}`,
+    async embed(inputs, { signal } = {}) {
+      signal?.throwIfAborted();
+      return Array.isArray(inputs) ? inputs.map(t => hashingEmbedding(t, dim)) : hashingEmbedding(inputs, dim);
+    },
+  };
+}
+
+// ---------- Registry ----------
+
+const CHAT_BACKENDS = { huggingface: createHuggingFaceChat, openai: createOpenAIChat, fake: createFakeChat };
+const EMBEDDING_BACKENDS = { huggingface: createHuggingFaceEmbedding, openai: createOpenAIEmbedding, fake: createFakeEmbedding };
+
+export function createChatProvider(config = providerConfigFromEnv()) {
+  const factory = CHAT_BACKENDS[config.chat.backend];
+  if (!factory) throw new Error(`Unknown LLM backend "${config.chat.backend}" (expected one of: ${Object.keys(CHAT_BACKENDS).join(", ")})`);
+  return factory(config);
+}
+
+export function createEmbeddingProvider(config = providerConfigFromEnv()) {
+  const factory = EMBEDDING_BACKENDS[config.embedding.backend];
+  if (!factory) throw new Error(`Unknown embedding backend "${config.embedding.backend}" (expected one of: ${Object.keys(EMBEDDING_BACKENDS).join(", ")})`);
+  return factory(config);
+}
+
+let chatProvider = null;
+let embeddingProvider = null;
+
+/** process-wide chat provider, created from env on first use */
+export function getChatProvider() {
+  if (!chatProvider) chatProvider = createChatProvider();
+  return chatProvider;
+}
+
+/** process-wide embedding provider, created from env on first use */
+export function getEmbeddingProvider() {
+  if (!embeddingProvider) embeddingProvider = createEmbeddingProvider();
+  return embeddingProvider;
+}
+
+/** "name/model" label used in logs, error payloads and as the circuit breaker key */
+export function providerLabel(provider) {
+  return `${provider.name}/${provider.model}`;
+}
+
+/** swap the process-wide providers (tests, evaluation scripts) */
+export function setProviders({ chat, embedding } = {}) {
+  if (chat) chatProvider = chat;
+  if (embedding) embeddingProvider = embedding;
+}
@@ -0,0 +1,261 @@
+// resilience.js
+// Shared wrapper for model provider calls: per-attempt timeout, retries with exponential
+// backoff + full jitter (honoring Retry-After), a circuit breaker per provider, and a
+// concurrency limiter. Errors that escape carry { stage, provider, status, attempts, code }
+// so routes can say which step and which provider failed.
+//
+// Env:
+//   PROVIDER_MAX_RETRIES        retries after the first attempt       (default 3)
+//   PROVIDER_TIMEOUT_MS         per-attempt timeout                   (default 60000)
+//   EMBEDDING_CONCURRENCY       embedding calls in flight, process-wide (default 3)
+//   BREAKER_FAILURE_THRESHOLD   consecutive failures that open the circuit (default 5)
+//   BREAKER_COOLDOWN_MS         how long an open circuit fails fast   (default 30000)
+
+function intFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+export const RESILIENCE = {
+  maxRetries: intFromEnv("PROVIDER_MAX_RETRIES", 3),
+  timeoutMs: intFromEnv("PROVIDER_TIMEOUT_MS", 60000),
+  embeddingConcurrency: Math.max(1, intFromEnv("EMBEDDING_CONCURRENCY", 3)),
+  breakerThreshold: Math.max(1, intFromEnv("BREAKER_FAILURE_THRESHOLD", 5)),
+  breakerCooldownMs: intFromEnv("BREAKER_COOLDOWN_MS", 30000),
+};
+
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 20000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// ---------- error classification ----------
+
+/** HTTP status of a provider error (HF client, OpenAI-compatible fetch), if any */
+export function statusOf(err) {
+  return err?.status ?? err?.httpResponse?.status ?? null;
+}
+
+function isRetryable(err) {
+  if (err?.code === "TIMEOUT") return true;
+  const status = statusOf(err);
+  if (status) return status === 408 || status === 425 || status === 429 || status >= 500;
+  // network-level failures (fetch failed, connection reset, DNS hiccups)
+  const code = err?.cause?.code || err?.code;
+  return err?.name === "TypeError" || ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "UND_ERR_SOCKET"].includes(code);
+}
+
+/** Retry-After (seconds or HTTP date) in ms, or null */
+function retryAfterMs(err) {
+  const raw = err?.retryAfter ?? err?.httpResponse?.headers?.["retry-after"];
+  if (raw === undefined || raw === null || raw === "") return null;
+  const seconds = Number(raw);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(raw) - Date.now();
+  return Number.isFinite(ms) && ms >= 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : null;
+}
+
+function backoffMs(attempt, err) {
+  const hinted = retryAfterMs(err);
+  if (hinted !== null) return hinted;
+  // full jitter: anywhere between 0 and the exponential cap
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// ---------- circuit breaker ----------
+
+const breakers = new Map(); // provider -> { failures, openedUntil }
+
+function breakerFor(provider) {
+  if (!breakers.has(provider)) breakers.set(provider, { failures: 0, openedUntil: 0 });
+  return breakers.get(provider);
+}
+
+function recordSuccess(provider) {
+  const b = breakerFor(provider);
+  b.failures = 0;
+  b.openedUntil = 0;
+}
+
+function recordFailure(provider) {
+  const b = breakerFor(provider);
+  b.failures++;
+  // opens from closed, or re-opens when the half-open trial call fails
+  if (b.failures >= RESILIENCE.breakerThreshold && b.openedUntil <= Date.now()) {
+    b.openedUntil = Date.now() + RESILIENCE.breakerCooldownMs;
+    console.warn(`Circuit opened for ${provider} after ${b.failures} consecutive failures`);
+  }
+}
+
+/** state of every breaker seen so far (closed | open | half-open) */
+export function breakerStates() {
+  const now = Date.now();
+  return Object.fromEntries([...breakers].map(([provider, b]) => [
+    provider,
+    { state: !b.openedUntil ? "closed" : b.openedUntil > now ? "open" : "half-open", failures: b.failures },
+  ]));
+}
+
+// ---------- concurrency limiter ----------
+
+/**
+ * limiter(fn, { priority }) runs fn once fewer than `concurrency` limited calls are in flight;
+ * priority calls are started before any waiting normal ones (FIFO within each lane)
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+  const urgent = [];
+  const next = () => {
+    if (active >= concurrency || (!urgent.length && !waiting.length)) return;
+    active++;
+    const { fn, resolve, reject } = urgent.shift() || waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (fn, { priority = false } = {}) => new Promise((resolve, reject) => {
+    (priority ? urgent : waiting).push({ fn, resolve, reject });
+    next();
+  });
+}
+
+// one limiter for all embedding calls, so concurrent ingestion jobs share the budget;
+// request-time embeddings take its priority lane so a question never queues behind a whole document
+export const limitEmbedding = createLimiter(RESILIENCE.embeddingConcurrency);
+
+// ---------- the wrapper ----------
+
+function timeoutError(ms) {
+  const err = new Error(`timed out after ${ms} ms`);
+  err.code = "TIMEOUT";
+  return err;
+}
+
+function describeFailure(err, { stage, provider, attempts }) {
+  const status = statusOf(err);
+  const tries = attempts ? ` after ${attempts} attempt(s)` : "";
+  const e = new Error(`${stage} via ${provider} failed${tries}: ${err && err.message ? err.message : String(err)}`);
+  e.stage = stage;
+  e.provider = provider;
+  e.status = status;
+  e.attempts = attempts;
+  e.code = err?.code || (status === 429 ? "RATE_LIMITED" : "PROVIDER_ERROR");
+  e.cause = err;
+  return e;
+}
+
+/**
+ * Run fn(signal) with the retry/timeout/breaker policy.
+ * - opts.stage: what we were doing ("embedding", "question embedding", "generation", ...)
+ * - opts.provider: breaker key and label, e.g. "huggingface:sambanova/intfloat/e5-mistral-7b-instruct"
+ * - opts.signal: caller's abort signal (client disconnect); aborts are never retried
+ * - opts.retries / opts.timeoutMs override the env defaults
+ */
+export async function callWithRetry(fn, opts = {}) {
+  const { stage = "provider call", provider = "unknown", signal } = opts;
+  const retries = opts.retries ?? RESILIENCE.maxRetries;
+  const timeoutMs = opts.timeoutMs ?? RESILIENCE.timeoutMs;
+
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    const b = breakerFor(provider);
+    if (b.openedUntil > Date.now()) {
+      const err = new Error(`Circuit open for ${provider}; retry in ${Math.ceil((b.openedUntil - Date.now()) / 1000)}s`);
+      err.code = "CIRCUIT_OPEN";
+      throw describeFailure(err, { stage, provider, attempts: attempt });
+    }
+
+    const timeout = timeoutMs ? AbortSignal.timeout(timeoutMs) : null;
+    const attemptSignal = signal && timeout ? AbortSignal.any([signal, timeout]) : signal || timeout || undefined;
+    try {
+      const result = await fn(attemptSignal);
+      recordSuccess(provider);
+      return result;
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      const err = timeout?.aborted ? timeoutError(timeoutMs) : e;
+      const retryable = isRetryable(err);
+      if (retryable) recordFailure(provider);
+      if (!retryable || attempt >= retries) throw describeFailure(err, { stage, provider, attempts: attempt + 1 });
+
+      const delay = backoffMs(attempt, err);
+      console.warn(`${stage} via ${provider} failed (${statusOf(err) || err.code || err.message}); retry ${attempt + 1}/${retries} in ${Math.round(delay)} ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Streaming variant: retries (like callWithRetry) only until the first delta arrives;
+ * a failure after output has started is surfaced, since the client already has partial text.
+ * makeStream(signal) returns an async iterable of deltas. Only the wait for the first delta
+ * is timed, so a long answer may keep streaming.
+ */
+export async function* streamWithRetry(makeStream, opts = {}) {
+  const { stage = "generation", provider = "unknown", signal } = opts;
+  const timeoutMs = opts.timeoutMs ?? RESILIENCE.timeoutMs;
+  let iterator = null;
+  // abort listener of the attempt that started streaming; it forwards the caller's abort until the stream ends
+  let onAbort = null;
+
+  const first = await callWithRetry(async () => {
+    const controller = new AbortController();
+    const forward = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", forward, { once: true });
+    const timer = timeoutMs ? setTimeout(() => controller.abort(timeoutError(timeoutMs)), timeoutMs) : null;
+    let started = false;
+    try {
+      iterator = makeStream(controller.signal)[Symbol.asyncIterator]();
+      const step = await iterator.next();
+      started = true;
+      onAbort = forward;
+      return step;
+    } catch (e) {
+      // report our timeout rather than the provider's generic abort error
+      if (!signal?.aborted && controller.signal.aborted) throw controller.signal.reason;
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      // failed attempts drop their listener, so retries don't pile them up on the caller's signal
+      if (!started) signal?.removeEventListener("abort", forward);
+    }
+  }, { ...opts, timeoutMs: 0 });
+
+  let finished = first.done;
+  try {
+    if (finished) return;
+    yield first.value;
+    for (;;) {
+      const step = await iterator.next();
+      finished = step.done;
+      if (finished) return;
+      yield step.value;
+    }
+  } catch (e) {
+    finished = true; // a stream that threw is already closed
+    if (signal?.aborted) throw e;
+    throw describeFailure(e, { stage, provider, attempts: 1 });
+  } finally {
+    if (onAbort) signal?.removeEventListener("abort", onAbort);
+    // the consumer stopped early (break, return, throw): close the provider stream and its connection
+    if (!finished) await Promise.resolve(iterator.return?.()).catch(() => {});
+  }
+}
@@ -0,0 +1,278 @@
+// retention.js
+// Keeps uploads/ and indexes/ from growing forever. A periodic sweeper deletes upload sessions
+// that have not been accessed for too long, then the least recently used ones while the
+// session count or total disk usage is over its limit, and finally the index files no remaining
+// session's documents use. Expired ids are remembered for a while so clients get a clear 410
+// instead of a generic "not found".
+//
+// Env (0 disables a limit):
+//   RETENTION_MAX_AGE_HOURS   idle time before a session expires   (default 168 = 7 days)
+//   RETENTION_MAX_TOTAL_MB    uploads + indexes disk budget        (default 2048)
+//   RETENTION_MAX_SESSIONS    number of upload sessions kept       (default 1000)
+//   RETENTION_SWEEP_MINUTES   sweep interval                       (default 30)
+
+import fs from "fs";
+import path from "path";
+import { INDEX_DIR, deleteIndexesForHash } from "./indexStore.js";
+import { UPLOAD_DIR, isValidUploadId, loadManifest, deleteUploadSession, lastAccessOf } from "./uploadStore.js";
+import { hasActiveIngestion } from "./ingestQueue.js";
+
+const TOMBSTONE_FILE = path.join(UPLOAD_DIR, ".expired.json");
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // remember expired ids for 30 days
+// never evict a session for size/count while it may still be serving a request
+const ACTIVE_GRACE_MS = 10 * 60 * 1000;
+// temp files older than this are orphans from a crashed/failed request
+const TEMP_FILE_MAX_AGE_MS = 60 * 60 * 1000;
+// "<sha256>_<model>_<options>.pages.json", see indexStore.js
+const INDEX_FILE_RE = /^([a-f0-9]{64})_.+\.pages\.json$/;
+
+function numberFromEnv(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function retentionConfigFromEnv(env = process.env) {
+  return {
+    maxAgeHours: numberFromEnv(env.RETENTION_MAX_AGE_HOURS, 168),
+    maxTotalMb: numberFromEnv(env.RETENTION_MAX_TOTAL_MB, 2048),
+    maxSessions: numberFromEnv(env.RETENTION_MAX_SESSIONS, 1000),
+    sweepMinutes: numberFromEnv(env.RETENTION_SWEEP_MINUTES, 30),
+  };
+}
+
+export const RETENTION = retentionConfigFromEnv();
+
+let lastSweep = null;
+
+// ---------- expired-id tombstones ----------
+
+function loadTombstones() {
+  try {
+    return JSON.parse(fs.readFileSync(TOMBSTONE_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function recordExpired(uploadIds) {
+  if (!uploadIds.length) return;
+  const now = Date.now();
+  const tombstones = loadTombstones();
+  for (const id of uploadIds) tombstones[id] = new Date(now).toISOString();
+  for (const [id, at] of Object.entries(tombstones)) {
+    if (now - Date.parse(at) > TOMBSTONE_TTL_MS) delete tombstones[id];
+  }
+  const tmp = `${TOMBSTONE_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(tombstones), "utf8");
+  fs.renameSync(tmp, TOMBSTONE_FILE);
+}
+
+/** true when the session was removed by the retention policy (and is not back) */
+export function isUploadExpired(uploadId) {
+  if (!isValidUploadId(uploadId)) return false;
+  return Boolean(loadTombstones()[uploadId]) && !fs.existsSync(path.join(UPLOAD_DIR, uploadId));
+}
+
+// ---------- disk usage ----------
+
+function dirSize(dir) {
+  let bytes = 0;
+  let files = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const p = path.join(dir, entry.name);
+    try {
+      if (entry.isDirectory()) {
+        const sub = dirSize(p);
+        bytes += sub.bytes;
+        files += sub.files;
+      } else if (entry.isFile()) {
+        bytes += fs.statSync(p).size;
+        files++;
+      }
+    } catch {
+      // removed while we were walking
+    }
+  }
+  return { bytes, files };
+}
+
+function listSessions() {
+  const sessions = [];
+  for (const id of fs.readdirSync(UPLOAD_DIR)) {
+    if (!isValidUploadId(id)) continue;
+    const dir = path.join(UPLOAD_DIR, id);
+    if (!fs.statSync(dir).isDirectory()) continue;
+    const manifest = loadManifest(id);
+    sessions.push({
+      uploadId: id,
+      documents: manifest ? manifest.documents.length : 0,
+      lastAccess: manifest ? lastAccessOf(manifest) : fs.statSync(dir).mtimeMs,
+      bytes: dirSize(dir).bytes,
+    });
+  }
+  return sessions;
+}
+
+/** storage usage report for the admin endpoint */
+export function storageUsage() {
+  const sessions = listSessions();
+  const uploadBytes = dirSize(UPLOAD_DIR).bytes;
+  const indexes = dirSize(INDEX_DIR);
+  return {
+    uploads: {
+      sessions: sessions.length,
+      documents: sessions.reduce((n, s) => n + s.documents, 0),
+      bytes: uploadBytes,
+      oldestAccess: sessions.length ? new Date(Math.min(...sessions.map(s => s.lastAccess))).toISOString() : null,
+    },
+    indexes: { files: indexes.files, bytes: indexes.bytes },
+    totalBytes: uploadBytes + indexes.bytes,
+    limits: RETENTION,
+    lastSweep,
+  };
+}
+
+// ---------- cleanup ----------
+
+/**
+ * Remove leftovers of interrupted requests: multer files that never got moved into a session
+ * (top level of uploads/) and "*.tmp" files from atomic writes. maxAgeMs = 0 removes them all
+ * (used at startup, when no request can be in flight).
+ */
+export function cleanupOrphanTempFiles(maxAgeMs = TEMP_FILE_MAX_AGE_MS) {
+  const now = Date.now();
+  let removed = 0;
+  const removeIfOld = (p) => {
+    try {
+      if (now - fs.statSync(p).mtimeMs < maxAgeMs) return;
+      fs.unlinkSync(p);
+      removed++;
+    } catch (e) {
+      console.warn("Failed to remove temp file", p, e);
+    }
+  };
+
+  for (const entry of fs.readdirSync(UPLOAD_DIR, { withFileTypes: true })) {
+    const p = path.join(UPLOAD_DIR, entry.name);
+    if (entry.isFile() && p !== TOMBSTONE_FILE) {
+      removeIfOld(p);
+    } else if (entry.isDirectory() && isValidUploadId(entry.name)) {
+      for (const sub of [p, path.join(p, "conversations")]) {
+        if (!fs.existsSync(sub)) continue;
+        for (const name of fs.readdirSync(sub)) if (name.endsWith(".tmp")) removeIfOld(path.join(sub, name));
+      }
+    }
+  }
+  for (const name of fs.readdirSync(INDEX_DIR)) {
+    if (name.endsWith(".tmp")) removeIfOld(path.join(INDEX_DIR, name));
+  }
+  if (removed) console.log(`Removed ${removed} orphan temp file(s)`);
+  return removed;
+}
+
+/**
+ * Delete persisted indexes whose content hash no session's manifest references any more (left
+ * behind when a session was deleted mid-ingestion, a delete failed half-way, ...). Recently
+ * written files are kept, since their document may be on its way into a manifest; nothing is
+ * deleted while some session's manifest can't be read.
+ */
+export function cleanupOrphanIndexes(minAgeMs = ACTIVE_GRACE_MS) {
+  const live = new Set();
+  for (const id of fs.readdirSync(UPLOAD_DIR)) {
+    if (!isValidUploadId(id) || !fs.statSync(path.join(UPLOAD_DIR, id)).isDirectory()) continue;
+    const manifest = loadManifest(id);
+    if (!manifest) {
+      console.warn(`Skipping orphan index cleanup: manifest of ${id} is unreadable`);
+      return 0;
+    }
+    for (const doc of manifest.documents) if (doc.sha256) live.add(doc.sha256);
+  }
+
+  const now = Date.now();
+  const orphans = new Set();
+  for (const name of fs.readdirSync(INDEX_DIR)) {
+    const hash = name.match(INDEX_FILE_RE)?.[1];
+    if (!hash || live.has(hash)) continue;
+    try {
+      if (now - fs.statSync(path.join(INDEX_DIR, name)).mtimeMs < minAgeMs) continue;
+    } catch {
+      continue; // removed while we were walking
+    }
+    orphans.add(hash);
+  }
+  let removed = 0;
+  for (const hash of orphans) removed += deleteIndexesForHash(hash);
+  if (removed) console.log(`Removed ${removed} orphan index file(s)`);
+  return removed;
+}
+
+/**
+ * One retention pass: expire idle sessions, then evict least recently used sessions while
+ * over the session-count or disk budget, then drop orphan indexes. Returns a summary of what was removed.
+ */
+export function sweepStorage(config = RETENTION) {
+  const t0 = Date.now();
+  const now = Date.now();
+  const expired = [];
+  const evicted = [];
+
+  const tempFiles = cleanupOrphanTempFiles();
+
+  // oldest access first
+  let sessions = listSessions().sort((a, b) => a.lastAccess - b.lastAccess);
+
+  if (config.maxAgeHours > 0) {
+    const maxAgeMs = config.maxAgeHours * 60 * 60 * 1000;
+    for (const s of sessions) {
+      if (now - s.lastAccess <= maxAgeMs || hasActiveIngestion(s.uploadId)) continue;
+      if (deleteUploadSession(s.uploadId)) expired.push(s.uploadId);
+    }
+    sessions = sessions.filter(s => !expired.includes(s.uploadId));
+  }
+
+  const maxBytes = config.maxTotalMb > 0 ? config.maxTotalMb * 1024 * 1024 : Infinity;
+  const maxSessions = config.maxSessions > 0 ? config.maxSessions : Infinity;
+  let totalBytes = dirSize(UPLOAD_DIR).bytes + dirSize(INDEX_DIR).bytes;
+  for (const s of sessions) {
+    if (sessions.length - evicted.length <= maxSessions && totalBytes <= maxBytes) break;
+    if (now - s.lastAccess < ACTIVE_GRACE_MS) break; // everything after this is even newer
+    if (hasActiveIngestion(s.uploadId)) continue;
+    if (!deleteUploadSession(s.uploadId)) continue;
+    evicted.push(s.uploadId);
+    // indexes released with the session are not tracked per session; re-measure
+    totalBytes = dirSize(UPLOAD_DIR).bytes + dirSize(INDEX_DIR).bytes;
+  }
+  const orphanIndexes = cleanupOrphanIndexes();
+  if (orphanIndexes) totalBytes = dirSize(UPLOAD_DIR).bytes + dirSize(INDEX_DIR).bytes;
+  if (totalBytes > maxBytes) console.warn(`Storage still over budget after sweep (${totalBytes} bytes > ${maxBytes})`);
+
+  recordExpired([...expired, ...evicted]);
+  lastSweep = {
+    at: new Date().toISOString(),
+    expired: expired.length,
+    evicted: evicted.length,
+    tempFiles,
+    orphanIndexes,
+    totalBytes,
+    durationMs: Date.now() - t0,
+  };
+  console.log(`Retention sweep: ${expired.length} expired, ${evicted.length} evicted, ${tempFiles} temp file(s), ${orphanIndexes} orphan index file(s), ${totalBytes} bytes in use`);
+  return lastSweep;
+}
+
+/** startup cleanup + periodic sweeps (timer doesn't keep the process alive) */
+export function startRetentionSweeper(config = RETENTION) {
+  cleanupOrphanTempFiles(0);
+  const sweep = () => {
+    try {
+      sweepStorage(config);
+    } catch (e) {
+      console.error("Retention sweep failed:", e);
+    }
+  };
+  sweep();
+  if (config.sweepMinutes > 0) {
+    setInterval(sweep, config.sweepMinutes * 60 * 1000).unref();
+  }
+  console.log("Retention policy:", JSON.stringify(config));
+}
@@ -0,0 +1,50 @@
+// routeHelpers.js
+// Response helpers shared by the routes in sever.js and uploadRoutes.js: provider failure
+// payloads (stage/provider/code, 503 + Retry-After while rate limited), client-disconnect
+// aborts and Server-Sent Events.
+
+import { RESILIENCE } from "./resilience.js";
+
+/** which stage/provider failed (set by resilience.js on provider errors), for error payloads */
+export function failureInfo(err) {
+  const info = {};
+  for (const key of ["stage", "provider", "code"]) if (err && err[key]) info[key] = err[key];
+  return info;
+}
+
+/** 503 + Retry-After while the provider is rate limiting us or its circuit is open */
+export function failureStatus(res, err) {
+  if (err.code !== "RATE_LIMITED" && err.code !== "CIRCUIT_OPEN") return 500;
+  res.set("Retry-After", String(Math.ceil(RESILIENCE.breakerCooldownMs / 1000)));
+  return 503;
+}
+
+/**
+ * Abort controller tied to the client connection. We listen on `res` rather than `req`:
+ * `req` emits "close" as soon as multer has consumed the body, `res` only when the socket goes away.
+ */
+export function abortOnDisconnect(res, isFinished) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (isFinished()) return;
+    console.warn("Client closed connection before response finished (aborted).");
+    controller.abort(new Error("Client disconnected"));
+  });
+  return controller;
+}
+
+/** send the headers of a Server-Sent Events response */
+export function startEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable proxy buffering (nginx/render)
+  });
+  res.flushHeaders();
+}
+
+/** write one Server-Sent Event */
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -1,245 +1,771 @@
 import express from "express";
-import fs from "fs";
-import path from "path";
-import multer from "multer";
-import { PDFParse } from "pdf-parse";
-import { askWithLlama } from "./llama.js";
-import { vectorSearchForPdfBuffer } from "./vectorStore.js";
 import crypto from "crypto";
+import { askWithLlama, streamWithLlama, rewriteQuestion } from "./llama.js";
+import { RETRIEVAL_DEFAULTS, searchDocuments } from "./vectorStore.js";
+import { CHUNK_STRATEGIES, normalizeChunking } from "./chunker.js";
+import { appendMessages, createConversationId, loadConversation } from "./conversations.js";
+import { INDEX_OPTIONS, findIndex } from "./indexStore.js";
+import { uploadDocuments } from "./uploadValidation.js";
+import {
+  isValidUploadId,
+  getUploadDir,
+  loadManifest,
+  createUploadSession,
+  addDocuments,
+  listUploadFiles,
+  touchUpload,
+  discardUploadedFiles,
+  indexFailureFor,
+} from "./uploadStore.js";
+import { uploadRouter } from "./uploadRoutes.js";
+import { isUploadExpired, startRetentionSweeper, storageUsage } from "./retention.js";
+import { authRouter, requireAuth, canAccessUpload } from "./auth.js";
+import { enqueueIngestion, resumePendingIngestion } from "./ingestQueue.js";
+import { buildCitedAnswer } from "./citations.js";
+import { NOT_FOUND_ANSWER, describeAnswerModes, getAnswerMode } from "./prompts.js";
+import { summarizeUpload } from "./summarizer.js";
+import { lowRetrievalGrounding, verifyGrounding, weakRetrievalReason } from "./grounding.js";
+import { extractFields, extractionTable, normalizeSchema, tableToCsv } from "./extractor.js";
+import { RESILIENCE, breakerStates } from "./resilience.js";
+import { abortOnDisconnect, failureInfo, failureStatus, sendEvent, startEventStream } from "./routeHelpers.js";
 
 const app = express();
 app.use(express.json());
 
-// ---------- Upload persistence setup ----------
-const UPLOAD_DIR = path.resolve(process.cwd(), "uploads");
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-  console.log("Created upload dir:", UPLOAD_DIR);
+// login / token endpoints; everything else needs a token or API key
+app.use("/auth", authRouter);
+app.use(["/ask", "/summarize", "/extract", "/uploads"], requireAuth);
+
+// upload session / document management API
+app.use("/uploads", uploadRouter);
+
+/**
+ * Multer has already saved any uploaded parts into UPLOAD_DIR as file.path.
+ * req.files may be empty on follow-ups. We support both flows:
+ * 1) New upload: req.files present -> move them into a session (a new one, or the existing
+ *    session named by req.body.uploadId) and ask across all of that session's documents.
+ * 2) Follow-up: req.files empty but req.body.uploadId provided -> load the session's documents
+ *    from its manifest.
+ * Only sessions owned by req.user are used; new sessions are created for req.user.
+ * Returns { files, uploadId, expired, invalidUploadId, forbidden } (files is empty when nothing
+ * usable was found; expired is true when the requested uploadId was removed by the retention policy).
+ */
+function resolveRequestFiles(req) {
+  // collect all uploaded parts (may be empty)
+  const allFiles = req.files || [];
+  console.log("raw uploaded parts count:", allFiles.length);
+
+  // read uploadId from body (if client supplied it for follow-up)
+  const uploadIdFromClient = req.body && req.body.uploadId ? String(req.body.uploadId) : null;
+  // ids are only ever used through getUploadDir, but reject malformed ones explicitly
+  if (uploadIdFromClient && !isValidUploadId(uploadIdFromClient)) {
+    discardUploadedFiles(allFiles);
+    return { files: [], uploadId: null, expired: false, invalidUploadId: true };
+  }
+  const existing = uploadIdFromClient ? loadManifest(uploadIdFromClient) : null;
+  if (uploadIdFromClient && !existing) console.warn("Requested uploadId not found:", uploadIdFromClient);
+  if (existing && !canAccessUpload(req.user, existing)) {
+    console.warn(`User ${req.user?.username} denied access to upload ${existing.uploadId}`);
+    discardUploadedFiles(allFiles);
+    return { files: [], uploadId: null, expired: false, forbidden: true };
+  }
+  const expired = Boolean(uploadIdFromClient && !existing && isUploadExpired(uploadIdFromClient));
+  if (expired && allFiles.length === 0) return { files: [], uploadId: null, expired };
+
+  let uploadId = existing ? existing.uploadId : null;
+  if (uploadId) touchUpload(uploadId);
+  if (allFiles.length > 0) {
+    // We will store files in uploads/<uploadId>/... and record them in its manifest
+    if (!uploadId) uploadId = createUploadSession(req.user.id).uploadId;
+    addDocuments(uploadId, allFiles);
+  }
+
+  // leave files empty (so the caller returns the existing 400) when no session was resolved
+  const files = uploadId ? listUploadFiles(uploadId) || [] : [];
+  console.log("Effective files count for processing:", files.length, "uploadId:", uploadId || "(none)");
+  return { files, uploadId, expired };
 }
 
-// store files on disk with original name + timestamp to avoid collisions
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const safe = file.originalname.replace(/[^a-z0-9.\-_]/gi, "_");
-    cb(null, `${Date.now()}_${safe}`);
-  },
-});
-const upload = multer({ storage });
+/** 400/403/410 for requests without usable files; null when the request can proceed */
+function validateAskRequest({ files, expired, invalidUploadId, forbidden }, question, mode) {
+  if (invalidUploadId) return { status: 400, error: "Invalid uploadId format", code: "INVALID_UPLOAD_ID" };
+  if (forbidden) return { status: 403, error: "You do not have access to this upload", code: "FORBIDDEN" };
+  if (!files.length && expired) {
+    return {
+      status: 410,
+      error: "Upload expired",
+      code: "UPLOAD_EXPIRED",
+      details: "This uploadId was removed by the retention policy; upload the documents again.",
+    };
+  }
+  if (!files.length) {
+    return { status: 400, error: "No documents uploaded (field name must be 'file') or uploadId missing/invalid", code: "NO_FILES" };
+  }
+  if (!question) return { status: 400, error: "No question provided", code: "NO_QUESTION" };
+  if (!mode) {
+    return {
+      status: 400,
+      error: "Unknown answer mode",
+      code: "INVALID_MODE",
+      details: `mode must be one of: ${describeAnswerModes().map(m => m.id).join(", ")}`,
+    };
+  }
+  return null;
+}
+
+// chunkings a request may ask for. Each one is a separate index (a full re-embed) of every
+// document, so clients pick from these few: the default, any strategy at the default sizes, and
+// smaller or larger sentence chunks (other settings are for the eval harness, see evaluate.js)
+const ALLOWED_CHUNKINGS = [
+  ...CHUNK_STRATEGIES.map(strategy => normalizeChunking({ ...INDEX_OPTIONS, strategy })),
+  normalizeChunking({ strategy: "sentence", chunkSize: 128, chunkOverlap: 16 }),
+  normalizeChunking({ strategy: "sentence", chunkSize: 512, chunkOverlap: 64 }),
+];
+
+const INVALID_CHUNKING = {
+  error: "Unsupported chunking options",
+  code: "INVALID_CHUNKING",
+  details: `chunkStrategy / chunkSize / chunkOverlap must be one of: ${ALLOWED_CHUNKINGS.map(c => `${c.strategy} ${c.chunkSize}/${c.chunkOverlap}`).join(", ")}`,
+};
 
-// Optional: lightweight index dir scaffolding (for future caching of pages/embeddings)
-const INDEX_DIR = path.resolve(process.cwd(), "indexes");
-if (!fs.existsSync(INDEX_DIR)) {
-  fs.mkdirSync(INDEX_DIR, { recursive: true });
+/**
+ * optional per-request chunking overrides: chunkStrategy, chunkSize, chunkOverlap (tokens);
+ * null when the combination isn't one of ALLOWED_CHUNKINGS
+ */
+function chunkingFromBody(body = {}) {
+  const chunking = normalizeChunking({
+    strategy: body.chunkStrategy || INDEX_OPTIONS.strategy,
+    chunkSize: body.chunkSize ?? INDEX_OPTIONS.chunkSize,
+    chunkOverlap: body.chunkOverlap ?? INDEX_OPTIONS.chunkOverlap,
+  });
+  if (!ALLOWED_CHUNKINGS.some(c => JSON.stringify(c) === JSON.stringify(chunking))) return null;
+  return { ...INDEX_OPTIONS, ...chunking };
 }
-// helper functions (not used by default, but ready if you want caching later)
-function getIndexPathFor(filename) {
-  return path.join(INDEX_DIR, `${filename}.pages.json`);
+
+/**
+ * optional per-request retrieval overrides: topK, maxContextTokens, maxPerDocument
+ * (unset values fall back to the answer mode's retrieval settings, then RETRIEVAL_DEFAULTS)
+ */
+function retrievalFromBody(body = {}, mode = {}) {
+  const defaults = { ...RETRIEVAL_DEFAULTS, ...mode.retrieval };
+  const positiveInt = (v, fallback) => (Number.isInteger(Number(v)) && Number(v) > 0 ? Number(v) : fallback);
+  return {
+    topK: Math.min(positiveInt(body.topK, defaults.topK), 50),
+    maxContextTokens: positiveInt(body.maxContextTokens, defaults.maxContextTokens),
+    maxPerDocument: positiveInt(body.maxPerDocument, defaults.maxPerDocument),
+  };
 }
-function loadIndexIfExists(filename) {
-  const p = getIndexPathFor(filename);
-  if (!fs.existsSync(p)) return null;
+
+/**
+ * Split a session's documents into those already indexed (with the requested chunking) and
+ * those still being ingested. Missing indexes are queued on the ingestion worker instead of
+ * being built inside the request; documents whose ingestion failed are reported, not retried.
+ * Returns { ready: [{ filename, index }], pending: [{ documentId, filename, status, percent, error }] }.
+ */
+function collectIndexes(uploadId, files, indexOptions = INDEX_OPTIONS) {
+  const ready = [];
+  const pending = [];
+  const toQueue = [];
+  for (const file of files) {
+    const index = findIndex(file.sha256, indexOptions, file.format);
+    const failure = index ? null : indexFailureFor(file, indexOptions);
+    if (index) {
+      ready.push({ documentId: file.documentId, filename: file.originalname, sha256: file.sha256, format: file.format, index });
+    } else if (failure) {
+      pending.push({ documentId: file.documentId, filename: file.originalname, status: "failed", percent: 0, error: failure });
+    } else {
+      toQueue.push(file);
+    }
+  }
+  for (const job of enqueueIngestion(uploadId, toQueue, indexOptions)) {
+    pending.push({ documentId: job.documentId, filename: job.filename, status: job.status, percent: job.percent, error: job.error });
+  }
+  if (pending.length) console.log(`${ready.length}/${files.length} document(s) ready, ${pending.length} pending/failed`);
+  return { ready, pending };
+}
+
+/** 202 "still indexing" (or 422 when every document failed) when nothing is ready yet; null otherwise */
+function notReadyResponse(uploadId, { ready, pending }) {
+  if (ready.length) return null;
+  if (pending.every(p => p.status === "failed")) {
+    return { status: 422, error: "No document could be indexed", code: "INDEXING_FAILED", uploadId, documents: pending };
+  }
+  return {
+    status: 202,
+    error: "Documents are still being indexed; try again shortly",
+    code: "STILL_INDEXING",
+    uploadId,
+    documents: pending,
+  };
+}
+
+/**
+ * Rank chunks from all ready documents together for the question
+ * (global topK + token budget, see searchDocuments in vectorStore.js).
+ * - docs: [{ documentId, filename, index }] from collectIndexes.
+ * - opts.indexOptions: chunking the indexes were built with (defaults to INDEX_OPTIONS).
+ * - opts.retrievalOptions: { topK, maxContextTokens, maxPerDocument } (defaults to RETRIEVAL_DEFAULTS).
+ * - opts.signal aborts the question embedding.
+ * Returns { perDocTopPages, contextForLlama } (entries carry the documentId, so sources can
+ * link to the stored file). Failures throw an Error carrying
+ * `details` so routes can report what broke.
+ */
+async function retrieveDocContexts(docs, question, opts = {}) {
+  const { signal, indexOptions = INDEX_OPTIONS, retrievalOptions = RETRIEVAL_DEFAULTS } = opts;
+
+  // one ranking across all documents (only the question is embedded here)
   try {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch (e) {
-    console.warn("Failed to load index for", filename, e);
-    return null;
+    const { perDocument, contextForLlama, usedTokens } = await searchDocuments(docs, question, {
+      ...indexOptions,
+      ...retrievalOptions,
+      signal,
+    });
+    console.log(`Selected ${perDocument.reduce((n, d) => n + d.topPages.length, 0)} block(s) from ${perDocument.length}/${docs.length} document(s), ~${usedTokens} tokens`);
+    const perDocTopPages = perDocument.map(d => ({
+      ...d,
+      documentId: docs[d.docIndex].documentId,
+      format: docs[d.docIndex].index.options?.format || "pdf",
+    }));
+    return { perDocTopPages, contextForLlama };
+  } catch (searchErr) {
+    if (signal?.aborted) throw searchErr;
+    console.error("Retrieval error:", searchErr);
+    const err = new Error("Retrieval failed");
+    err.details = String(searchErr);
+    Object.assign(err, failureInfo(searchErr));
+    throw err;
   }
 }
-function saveIndex(filename, indexObj) {
-  const p = getIndexPathFor(filename);
-  fs.writeFileSync(p, JSON.stringify(indexObj, null, 2), "utf8");
+
+// source excerpts are shown next to citations; keep stored conversations reasonably small
+const SOURCE_EXCERPT_CHARS = 2000;
+
+function buildSources(perDocTopPages) {
+  return perDocTopPages.map(d => ({
+    documentId: d.documentId,
+    filename: d.filename,
+    format: d.format,
+    pages: d.topPages.map(p => ({
+      page: p.pageNumber,
+      pageEnd: p.pageEnd,
+      unit: p.unit, // "section" for documents without pages (page/pageEnd are then section numbers)
+      title: p.title, // heading of the first section, if any
+      score: p.score,
+      semanticScore: p.semanticScore,
+      lexicalScore: p.lexicalScore,
+      excerpt: p.text.length > SOURCE_EXCERPT_CHARS ? `${p.text.slice(0, SOURCE_EXCERPT_CHARS)} [...]` : p.text,
+      ocr: p.ocr, // [{ page, confidence }] when the text was read from a scan
+      table: p.table, // { caption, page, header, rows } when the passage is a table
+    })),
+  }));
+}
+
+/**
+ * Documents whose pages yielded no text even after OCR, so an empty or "Not found" answer
+ * comes with an explanation: [{ filename, code, pages?, message }].
+ */
+function textWarnings(docs) {
+  const warnings = [];
+  for (const { filename, index } of docs) {
+    const empty = index.pagesWithoutText || [];
+    if (!empty.length) continue;
+    const all = empty.length >= Math.min(index.pageCount, index.options?.maxPages ?? Infinity);
+    warnings.push(all
+      ? { filename, code: "NO_TEXT", message: "No text could be extracted from this document (scanned pages could not be read)" }
+      : { filename, code: "PAGES_WITHOUT_TEXT", pages: empty, message: `No text could be extracted from ${empty.length} page(s)` });
+  }
+  return warnings;
+}
+
+/** answer split into segments with citations checked against the retrieved blocks (see citations.js) */
+function citeAnswer(answer, perDocTopPages) {
+  const cited = buildCitedAnswer(answer, perDocTopPages.flatMap(d => d.topPages));
+  if (cited.unverifiedCount) console.warn(`${cited.unverifiedCount}/${cited.citationCount} citation(s) could not be verified`);
+  return cited;
+}
+
+/**
+ * Resume the conversation the client asked for (when it exists in this upload) or start a new one.
+ * Returns { conversationId, history } where history is the stored message list.
+ */
+function openConversation(uploadId, requestedId) {
+  const uploadDir = getUploadDir(uploadId);
+  const existing = requestedId ? loadConversation(uploadDir, String(requestedId)) : null;
+  if (existing) return { conversationId: existing.conversationId, history: existing.messages };
+  if (requestedId) console.log("Unknown conversationId for this upload, starting a new conversation:", requestedId);
+  return { conversationId: createConversationId(), history: [] };
+}
+
+/** persist one question/answer exchange; failures are logged, never fatal for the response */
+function recordTurn(uploadId, conversationId, { question, standaloneQuery, mode, answer, segments, sources, grounding }) {
+  try {
+    appendMessages(getUploadDir(uploadId), uploadId, conversationId, [
+      { role: "user", content: question, standaloneQuery, mode },
+      { role: "assistant", content: answer, segments, sources, ...(grounding && { grounding }) },
+    ]);
+  } catch (e) {
+    console.warn("Failed to save conversation turn:", e);
+  }
 }
 
 // improved route with robust logging and abort detection (multi-PDF support)
-app.post("/ask", upload.array("pdf"), async (req, res) => {
+app.post("/ask", uploadDocuments(), async (req, res) => {
   const start = Date.now();
   let finished = false;
   let answer = null;
 
-  req.on("close", () => {
-    if (!finished) console.warn("Client closed connection before response finished (aborted).");
-  });
+  const controller = abortOnDisconnect(res, () => finished);
+  const { signal } = controller;
 
   try {
     console.log("--- /ask called (multi-pdf, uploadId support) ---");
     console.log("Headers:", req.headers["content-type"]);
     console.log("Body keys:", Object.keys(req.body || {}));
 
-    // Multer has now processed any uploaded files into UPLOAD_DIR as file.path
-    // req.files may be empty on follow-ups. We'll support both flows:
-    // 1) New upload: req.files present -> create a new uploadId folder and move files into it.
-    // 2) Follow-up: req.files empty but req.body.uploadId provided -> load files from that folder.
-
-    // collect all uploaded parts (may be empty)
-    const allFiles = req.files || [];
-    console.log("raw uploaded parts count:", allFiles.length);
-
-    // read uploadId from body (if client supplied it for follow-up)
-    let uploadIdFromClient = req.body && req.body.uploadId ? String(req.body.uploadId) : null;
-
-    // If there were uploaded files, create a new uploadId (unless client explicitly supplied one)
-    // We will store files in uploads/<uploadId>/...
-    let uploadId = uploadIdFromClient;
-    if (allFiles.length > 0 && !uploadId) {
-      // generate a stable random id
-      uploadId = (crypto && crypto.randomUUID) ? crypto.randomUUID() : `${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
-      const dir = path.join(UPLOAD_DIR, uploadId);
-      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-
-      // move each multer-saved file into the uploadId folder
-      for (const f of allFiles) {
-        const dest = path.join(dir, f.filename);
-        try {
-          fs.renameSync(f.path, dest); // move file
-          // update f.path to new location so later code can read it
-          f.path = dest;
-          f.savedToUploadId = uploadId;
-          console.log(`Moved uploaded file ${f.originalname} -> ${dest}`);
-        } catch (mvErr) {
-          console.warn("Failed to move uploaded file to uploadId folder, attempting copy then unlink:", mvErr);
-          fs.copyFileSync(f.path, dest);
-          fs.unlinkSync(f.path);
-          f.path = dest;
-          f.savedToUploadId = uploadId;
-        }
-      }
+    const resolved = resolveRequestFiles(req);
+    const { files, uploadId } = resolved;
+
+    const { question } = req.body;
+    const mode = getAnswerMode(req.body.mode);
+    const invalid = validateAskRequest(resolved, question, mode);
+    if (invalid) {
+      finished = true;
+      const { status, ...body } = invalid;
+      return res.status(status).json(body);
     }
 
-    // If no files were uploaded in this request, but the client supplied uploadId,
-    // load the saved files from that upload folder
-    let files = [];
-    if ((allFiles.length === 0) && uploadIdFromClient) {
-      const dir = path.join(UPLOAD_DIR, uploadIdFromClient);
-      console.log("No files in request. Attempting to load files from uploadId:", uploadIdFromClient, "dir:", dir);
-      if (fs.existsSync(dir)) {
-        const names = fs.readdirSync(dir).filter(n => n.toLowerCase().endsWith(".pdf"));
-        files = names.map(fname => {
-          const full = path.join(dir, fname);
-          return {
-            originalname: fname.replace(/^\d+_/, ""), // best-effort original name (we saved with timestamp prefix)
-            filename: fname,
-            mimetype: "application/pdf",
-            size: fs.statSync(full).size,
-            path: full
-          };
-        });
-        console.log("Loaded", files.length, "files from uploadId");
-        // keep uploadId variable consistent
-        uploadId = uploadIdFromClient;
-      } else {
-        console.warn("Requested uploadId not found:", uploadIdFromClient);
-        // leave files empty so we return the existing 400 later
-      }
+    // answer from what is already indexed; the rest is ingested in the background
+    const indexOptions = chunkingFromBody(req.body);
+    if (!indexOptions) {
+      finished = true;
+      return res.status(400).json(INVALID_CHUNKING);
+    }
+    const indexes = collectIndexes(uploadId, files, indexOptions);
+    const notReady = notReadyResponse(uploadId, indexes);
+    if (notReady) {
+      finished = true;
+      const { status, ...body } = notReady;
+      return res.status(status).json(body);
+    }
+
+    // follow-ups: replay earlier turns and retrieve with a standalone version of the question
+    const { conversationId, history } = openConversation(uploadId, req.body.conversationId);
+    const standaloneQuery = await rewriteQuestion(history, question, { signal });
+    if (standaloneQuery !== question) console.log("Rewrote follow-up for retrieval:", standaloneQuery);
+
+    let retrieval;
+    try {
+      retrieval = await retrieveDocContexts(indexes.ready, standaloneQuery, {
+        signal,
+        indexOptions,
+        retrievalOptions: retrievalFromBody(req.body, mode),
+      });
+    } catch (retrievalErr) {
+      if (signal.aborted) return;
+      finished = true;
+      return res.status(failureStatus(res, retrievalErr)).json({
+        error: retrievalErr.message,
+        ...failureInfo(retrievalErr),
+        details: retrievalErr.details || String(retrievalErr),
+      });
+    }
+    const { perDocTopPages, contextForLlama } = retrieval;
+    const blocks = perDocTopPages.flatMap(d => d.topPages);
+
+    // nothing retrieved is close enough to the question: "Not found" without asking the model
+    const weakRetrieval = weakRetrievalReason(standaloneQuery, blocks);
+    if (weakRetrieval) {
+      console.log(`Retrieval too weak (${weakRetrieval}), answering not found`);
+      answer = NOT_FOUND_ANSWER;
     } else {
-      // use files from the current upload (after possible moved-to-folder)
-      files = allFiles;
+      // the mode's prompt (see prompts.js) and LLM call
+      console.log(`Calling Llama (${mode.id} mode) with combined context...`);
+      try {
+        answer = await askWithLlama(contextForLlama, question, { signal, history, mode });
+      } catch (hfErr) {
+        if (signal.aborted) return;
+        console.error("Hugging Face / Llama error:", hfErr);
+        finished = true;
+        return res.status(failureStatus(res, hfErr)).json({ error: "LLM inference failed", ...failureInfo(hfErr), details: String(hfErr) });
+      }
     }
 
-    console.log("Effective files count for processing:", files.length, "uploadId:", uploadId || "(none)");
+    const sources = buildSources(perDocTopPages);
+    const { segments, citationCount, unverifiedCount } = citeAnswer(answer, perDocTopPages);
+    const grounding = weakRetrieval
+      ? lowRetrievalGrounding(standaloneQuery, blocks, weakRetrieval)
+      : await verifyGrounding(answer, segments, { blocks, context: contextForLlama, signal });
+    recordTurn(uploadId, conversationId, { question, standaloneQuery, mode: mode.id, answer, segments, sources, grounding });
 
+    finished = true;
+    console.log("Total request time (ms):", Date.now() - start);
+    // return uploadId + conversationId so client can reference them for follow-ups;
+    // segments carry the checked citations, grounding how well the context supports the answer;
+    // pending lists documents that were still being indexed
+    return res.json({
+      answer,
+      segments,
+      citations: { total: citationCount, unverified: unverifiedCount },
+      grounding,
+      sources,
+      uploadId: uploadId || null,
+      conversationId,
+      standaloneQuery,
+      mode: mode.id,
+      pending: indexes.pending,
+      warnings: textWarnings(indexes.ready),
+    });
+  } catch (err) {
+    finished = true;
+    console.error("Route error:", err);
+    discardUploadedFiles(req.files);
+    return res.status(500).json({ error: "Error processing request", details: String(err) });
+  }
+});
+
+// streaming variant of /ask: same inputs, answers over Server-Sent Events.
+// Events: progress -> sources -> delta* -> progress (verifying) -> done (or error at any point).
+// "Still indexing" (202) and validation errors are plain JSON before the stream starts.
+app.post("/ask/stream", uploadDocuments(), async (req, res) => {
+  const start = Date.now();
+  let finished = false;
+
+  const controller = abortOnDisconnect(res, () => finished);
+  const { signal } = controller;
+
+  try {
+    console.log("--- /ask/stream called ---");
+    const resolved = resolveRequestFiles(req);
+    const { files, uploadId } = resolved;
+
+    // validation errors are still plain JSON 4xx so clients can check res.ok before reading the stream
     const { question } = req.body;
-    if (!files.length) {
+    const mode = getAnswerMode(req.body.mode);
+    const invalid = validateAskRequest(resolved, question, mode);
+    if (invalid) {
       finished = true;
-      return res.status(400).json({ error: "No PDFs uploaded (field name must be 'pdf') or uploadId missing/invalid" });
+      const { status, ...body } = invalid;
+      return res.status(status).json(body);
     }
-    if (!question) {
+
+    // answer from what is already indexed; the rest is ingested in the background
+    const indexOptions = chunkingFromBody(req.body);
+    if (!indexOptions) {
       finished = true;
-      return res.status(400).json({ error: "No question provided" });
+      return res.status(400).json(INVALID_CHUNKING);
     }
+    const indexes = collectIndexes(uploadId, files, indexOptions);
+    const notReady = notReadyResponse(uploadId, indexes);
+    if (notReady) {
+      finished = true;
+      const { status, ...body } = notReady;
+      return res.status(status).json(body);
+    }
+
+    startEventStream(res);
 
-    // process each file as before — use file.path which points to saved file on disk
-    const perDocTopPages = [];
-    const docContexts = [];
+    const { conversationId, history } = openConversation(uploadId, req.body.conversationId);
+    if (history.length) sendEvent(res, "progress", { stage: "rewriting" });
+    const standaloneQuery = await rewriteQuestion(history, question, { signal });
 
-    for (let fi = 0; fi < files.length; fi++) {
-      const file = files[fi];
-      console.log(`--- Processing file ${fi + 1}/${files.length}: ${file.originalname} (path:${file.path}) ---`);
+    let retrieval;
+    try {
+      retrieval = await retrieveDocContexts(indexes.ready, standaloneQuery, {
+        signal,
+        indexOptions,
+        retrievalOptions: retrievalFromBody(req.body, mode),
+      });
+    } catch (retrievalErr) {
+      if (signal.aborted) return;
+      sendEvent(res, "error", { error: retrievalErr.message, ...failureInfo(retrievalErr), details: retrievalErr.details || String(retrievalErr) });
+      finished = true;
+      return res.end();
+    }
+    const { perDocTopPages, contextForLlama } = retrieval;
+    const blocks = perDocTopPages.flatMap(d => d.topPages);
 
-      let result;
+    const sources = buildSources(perDocTopPages);
+    sendEvent(res, "sources", {
+      sources,
+      uploadId: uploadId || null,
+      conversationId,
+      standaloneQuery,
+      mode: mode.id,
+      pending: indexes.pending,
+      warnings: textWarnings(indexes.ready),
+    });
+
+    let answer = "";
+    const weakRetrieval = weakRetrievalReason(standaloneQuery, blocks);
+    if (weakRetrieval) {
+      // nothing retrieved is close enough to the question: "Not found" without asking the model
+      console.log(`Retrieval too weak (${weakRetrieval}), answering not found`);
+      answer = NOT_FOUND_ANSWER;
+      sendEvent(res, "delta", { text: answer });
+    } else {
+      console.log(`Streaming Llama answer (${mode.id} mode) with combined context...`);
       try {
-        // robust parse (read buffer from disk)
-        try {
-          const parser = new PDFParse({ buffer: fs.readFileSync(file.path) });
-          result = await parser.getText();
-          if (parser?.destroy) await parser.destroy();
-          console.log(`Parsed ${file.originalname} (from disk) with PDFParse({ buffer })`);
-        } catch (e1) {
-          console.warn(`PDFParse({ buffer }) failed for ${file.originalname}:`, e1 && e1.message ? e1.message : e1);
-          try {
-            const uint8 = new Uint8Array(fs.readFileSync(file.path));
-            const parser2 = new PDFParse({ data: uint8 });
-            result = await parser2.getText();
-            if (parser2?.destroy) await parser2.destroy();
-            console.log(`Parsed ${file.originalname} (from disk) with PDFParse({ data: Uint8Array })`);
-          } catch (e2) {
-            console.warn(`PDFParse({ data: Uint8Array }) failed for ${file.originalname}:`, e2 && e2.message ? e2.message : e2);
-            const pdfParseV1 = (await import("pdf-parse")).default || (await import("pdf-parse"));
-            result = await pdfParseV1(fs.readFileSync(file.path));
-            console.log(`Parsed ${file.originalname} (from disk) with pdf-parse v1 fallback`);
-          }
+        for await (const delta of streamWithLlama(contextForLlama, question, { signal, history, mode })) {
+          answer += delta;
+          sendEvent(res, "delta", { text: delta });
         }
+      } catch (hfErr) {
+        if (signal.aborted) return;
+        console.error("Hugging Face / Llama error:", hfErr);
+        sendEvent(res, "error", { error: "LLM inference failed", ...failureInfo(hfErr), details: String(hfErr) });
+        finished = true;
+        return res.end();
+      }
+    }
 
-        const pdfText = result?.text || "";
-        console.log(`${file.originalname} PDF text length:`, pdfText.length);
+    const { segments, citationCount, unverifiedCount } = citeAnswer(answer, perDocTopPages);
+    let grounding;
+    if (weakRetrieval) {
+      grounding = lowRetrievalGrounding(standaloneQuery, blocks, weakRetrieval);
+    } else {
+      sendEvent(res, "progress", { stage: "verifying" });
+      grounding = await verifyGrounding(answer, segments, { blocks, context: contextForLlama, signal });
+    }
+    recordTurn(uploadId, conversationId, { question, standaloneQuery, mode: mode.id, answer, segments, sources, grounding });
+    sendEvent(res, "done", {
+      answer,
+      segments,
+      citations: { total: citationCount, unverified: unverifiedCount },
+      grounding,
+      sources,
+      uploadId: uploadId || null,
+      conversationId,
+      standaloneQuery,
+      mode: mode.id,
+      pending: indexes.pending,
+      warnings: textWarnings(indexes.ready),
+    });
+    finished = true;
+    console.log("Total streaming request time (ms):", Date.now() - start);
+    return res.end();
+  } catch (err) {
+    discardUploadedFiles(req.files);
+    if (signal.aborted) return;
+    console.error("Route error:", err);
+    finished = true;
+    if (!res.headersSent) return res.status(500).json({ error: "Error processing request", details: String(err) });
+    sendEvent(res, "error", { error: "Error processing request", details: String(err) });
+    return res.end();
+  }
+});
+// question recorded in the conversation for a summary request
+const SUMMARY_QUESTION = "Summarize the uploaded files.";
 
-        // vector search for this file
-        const buffer = fs.readFileSync(file.path);
-        const { topPages, contextForLlama } = await vectorSearchForPdfBuffer(buffer, question, { topK: 5 });
+// whole-document summaries (map-reduce over every passage, see summarizer.js), over Server-Sent
+// Events like /ask/stream: progress* -> sources -> done (or error). Same inputs as /ask/stream
+// without a question; summaries are cached, so asking again is answered without model calls.
+app.post("/summarize/stream", uploadDocuments(), async (req, res) => {
+  const start = Date.now();
+  let finished = false;
 
-        const taggedContext = contextForLlama.replace(/--- Page (\d+) \(score=([0-9.]+)\) ---/g, (m, pnum, score) => {
-          return `--- Document: ${file.originalname} — Page ${pnum} (score=${parseFloat(score).toFixed(4)}) ---`;
-        });
+  const controller = abortOnDisconnect(res, () => finished);
+  const { signal } = controller;
 
-        perDocTopPages.push({ filename: file.originalname, topPages, contextForLlama: taggedContext });
-        docContexts.push(taggedContext);
-      } catch (fileErr) {
-        console.error(`Error processing file ${file.originalname}:`, fileErr);
-        finished = true;
-        return res.status(500).json({ error: `Error parsing/indexing file ${file.originalname}`, details: String(fileErr) });
-      }
+  try {
+    console.log("--- /summarize/stream called ---");
+    const resolved = resolveRequestFiles(req);
+    const { files, uploadId } = resolved;
+
+    const invalid = validateAskRequest(resolved, SUMMARY_QUESTION, getAnswerMode());
+    if (invalid) {
+      finished = true;
+      const { status, ...body } = invalid;
+      return res.status(status).json(body);
     }
 
-    // combined prompt and LLM call (unchanged)
-    const instruction = `You are an AI assistant. Use ONLY the information in the provided document page contexts.
-Answer the user's question and for each fact or claim cite the document and page number in parentheses, e.g. "(Doc: invoice.pdf — Page 3)". 
-If the answer cannot be found in the provided pages, reply exactly: "Not found in the document."`;
-    const combinedContext = `${instruction}\n\n${docContexts.join("\n\n")}`;
+    const indexOptions = chunkingFromBody(req.body);
+    if (!indexOptions) {
+      finished = true;
+      return res.status(400).json(INVALID_CHUNKING);
+    }
+    const indexes = collectIndexes(uploadId, files, indexOptions);
+    const notReady = notReadyResponse(uploadId, indexes);
+    if (notReady) {
+      finished = true;
+      const { status, ...body } = notReady;
+      return res.status(status).json(body);
+    }
+
+    startEventStream(res);
 
-    console.log("Calling Llama with combined context...");
+    const { conversationId } = openConversation(uploadId, req.body.conversationId);
+    let result;
     try {
-      answer = await askWithLlama(combinedContext, question);
-    } catch (hfErr) {
-      console.error("Hugging Face / Llama error:", hfErr);
+      result = await summarizeUpload(uploadId, indexes.ready, {
+        signal,
+        indexOptions,
+        onProgress: (p) => sendEvent(res, "progress", p),
+      });
+    } catch (sumErr) {
+      if (signal.aborted) return;
+      console.error("Summarization error:", sumErr);
+      sendEvent(res, "error", { error: "Summarization failed", ...failureInfo(sumErr), details: String(sumErr) });
       finished = true;
-      return res.status(500).json({ error: "LLM inference failed", details: String(hfErr) });
+      return res.end();
     }
 
-    const sources = perDocTopPages.map(d => ({
-      filename: d.filename,
-      pages: d.topPages.map(p => ({ page: p.pageNumber, score: p.score })),
-    }));
-
+    const { summary, segments, citations, documents, sources } = result;
+    const answer = summary || "No text could be extracted from the documents.";
+    recordTurn(uploadId, conversationId, { question: SUMMARY_QUESTION, standaloneQuery: SUMMARY_QUESTION, mode: "summary", answer, segments, sources });
+    const meta = {
+      sources,
+      uploadId: uploadId || null,
+      conversationId,
+      pending: indexes.pending,
+      warnings: textWarnings(indexes.ready),
+    };
+    sendEvent(res, "sources", meta);
+    sendEvent(res, "done", { answer, segments, citations, documents, ...meta });
     finished = true;
-    console.log("Total request time (ms):", Date.now() - start);
-    // return uploadId so client can reference for follow-ups
-    return res.json({ answer, sources, uploadId: uploadId || null });
+    console.log("Total summary request time (ms):", Date.now() - start);
+    return res.end();
   } catch (err) {
+    discardUploadedFiles(req.files);
+    if (signal.aborted) return;
+    console.error("Route error:", err);
     finished = true;
+    if (!res.headersSent) return res.status(500).json({ error: "Error processing request", details: String(err) });
+    sendEvent(res, "error", { error: "Error processing request", details: String(err) });
+    return res.end();
+  }
+});
+
+const EXTRACTION_QUESTION = "Extract the schema's fields.";
+
+/** documentIds from the body: a JSON array, or a comma-separated string in multipart forms */
+function documentIdsFromBody(body = {}) {
+  const ids = Array.isArray(body.documentIds) ? body.documentIds : String(body.documentIds || "").split(",");
+  return ids.map(id => String(id).trim()).filter(Boolean);
+}
+
+// structured extraction (see extractor.js): same inputs as /ask plus "schema" (a JSON schema, as
+// JSON text in multipart forms), optionally "documentIds" (default: every document of the upload)
+// and "format": "json" (default) or "csv" (one row per document, as a download)
+app.post("/extract", uploadDocuments(), async (req, res) => {
+  const start = Date.now();
+  let finished = false;
+
+  const controller = abortOnDisconnect(res, () => finished);
+  const { signal } = controller;
+
+  try {
+    console.log("--- /extract called ---");
+    const resolved = resolveRequestFiles(req);
+    const { uploadId } = resolved;
+
+    const reply = (status, body) => {
+      finished = true;
+      return res.status(status).json(body);
+    };
+    const invalid = validateAskRequest(resolved, EXTRACTION_QUESTION, getAnswerMode());
+    if (invalid) {
+      const { status, ...body } = invalid;
+      return reply(status, body);
+    }
+    let schema;
+    try {
+      schema = normalizeSchema(req.body.schema);
+    } catch (schemaErr) {
+      return reply(400, { error: "Invalid extraction schema", code: schemaErr.code, details: schemaErr.message });
+    }
+    const format = String(req.body.format || "json").toLowerCase();
+    if (format !== "json" && format !== "csv") {
+      return reply(400, { error: "Unknown output format", code: "INVALID_FORMAT", details: 'format must be "json" or "csv"' });
+    }
+    const documentIds = documentIdsFromBody(req.body);
+    const files = documentIds.length ? resolved.files.filter(f => documentIds.includes(f.documentId)) : resolved.files;
+    const unknown = documentIds.filter(id => !resolved.files.some(f => f.documentId === id));
+    if (unknown.length) {
+      return reply(404, { error: "Document not found", code: "DOCUMENT_NOT_FOUND", uploadId, details: unknown.join(", ") });
+    }
+
+    const indexOptions = chunkingFromBody(req.body);
+    if (!indexOptions) return reply(400, INVALID_CHUNKING);
+    const indexes = collectIndexes(uploadId, files, indexOptions);
+    const notReady = notReadyResponse(uploadId, indexes);
+    if (notReady) {
+      const { status, ...body } = notReady;
+      return reply(status, body);
+    }
+
+    let result;
+    try {
+      result = await extractFields(indexes.ready, schema, { signal });
+    } catch (extractErr) {
+      if (signal.aborted) return;
+      console.error("Extraction error:", extractErr);
+      return reply(failureStatus(res, extractErr), { error: "Extraction failed", ...failureInfo(extractErr), details: String(extractErr) });
+    }
+
+    const table = extractionTable(result);
+    finished = true;
+    console.log("Total extraction request time (ms):", Date.now() - start);
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="extraction-${uploadId}.csv"`);
+      return res.send(tableToCsv(table));
+    }
+    return res.json({
+      uploadId,
+      ...result,
+      table,
+      pending: indexes.pending,
+      warnings: textWarnings(indexes.ready),
+    });
+  } catch (err) {
+    discardUploadedFiles(req.files);
+    if (signal.aborted) return;
     console.error("Route error:", err);
+    finished = true;
     return res.status(500).json({ error: "Error processing request", details: String(err) });
   }
 });
+
+/** admin routes need ADMIN_TOKEN as a bearer token; they are disabled when it isn't set */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(403).json({ error: "Admin endpoints are disabled (set ADMIN_TOKEN)" });
+  // constant-time comparison, like the token signature check in auth.js
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(String(req.headers.authorization || ""));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return res.status(401).json({ error: "Unauthorized" });
+  return next();
+}
+
+// answer modes for the frontend's selector (no auth: the list holds no user data)
+app.get("/modes", (req, res) => {
+  return res.json({ modes: describeAnswerModes(), default: getAnswerMode().id });
+});
+
+// storage usage + retention limits and the last sweep's result
+app.get("/admin/storage", requireAdmin, (req, res) => {
+  try {
+    return res.json(storageUsage());
+  } catch (err) {
+    console.error("Storage usage error:", err);
+    return res.status(500).json({ error: "Failed to compute storage usage", details: String(err) });
+  }
+});
+
+// retry/timeout settings and circuit breaker state per model provider
+app.get("/admin/providers", requireAdmin, (req, res) => {
+  return res.json({ settings: RESILIENCE, breakers: breakerStates() });
+});
+
 // create server object so we can tweak timeouts
 const server = app.listen(5000, () => {
   console.log("Server running at http://localhost:5000");
+  startRetentionSweeper();
+  resumePendingIngestion();
 });
 
-// increase timeouts to allow slow LLM responses
-// 10 minutes server timeout (adjust as needed). 0 disables timeout but not recommended for production.
-server.setTimeout(10 * 60 * 1000); // 10 minutes
-// Optional: extend headers timeout if needed (Node sometimes requires headersTimeout > setTimeout)
-server.headersTimeout = 11 * 60 * 1000; // 11 minutes
+// indexing runs in the background now, so requests only wait for retrieval + the LLM answer
+server.setTimeout(3 * 60 * 1000); // 3 minutes
 
 // graceful logging of client errors
 server.on("clientError", (err, socket) => {
@@ -0,0 +1,315 @@
+// summarizer.js
+// Whole-document summaries by map-reduce, independent of retrieval: every text chunk is read.
+// Consecutive chunks are grouped into passages of about SUMMARY_GROUP_TOKENS and each passage is
+// summarized with a title (map); the titled passage summaries are the document's outline. They
+// are merged in rounds of at most SUMMARY_REDUCE_TOKENS (reduce) into one document summary, and
+// the document summaries of an upload into one summary of the collection.
+// Document summaries are cached in the document's persisted index (see saveIndexSummary in
+// indexStore.js) and the collection summary in uploads/<uploadId>/summary.json, so asking again
+// costs no model calls until the documents, prompts or chat model change.
+//
+// Env:
+//   SUMMARY_GROUP_TOKENS    source tokens summarized per map call        (default 2000)
+//   SUMMARY_REDUCE_TOKENS   summary tokens merged per reduce call        (default 2500)
+
+import fs from "fs";
+import path from "path";
+import { getChatProvider, providerLabel } from "./providers.js";
+import { callWithRetry } from "./resilience.js";
+import { SUMMARY_PROMPT_VERSION, SUMMARY_SETTINGS, buildSummaryMessages } from "./prompts.js";
+import { countTokens } from "./chunker.js";
+import { pageLabel } from "./vectorStore.js";
+import { buildCitedAnswer } from "./citations.js";
+import { INDEX_OPTIONS, saveIndexSummary } from "./indexStore.js";
+import { getUploadDir } from "./uploadStore.js";
+
+function intFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+export const SUMMARY = {
+  groupTokens: intFromEnv("SUMMARY_GROUP_TOKENS", 2000),
+  reduceTokens: intFromEnv("SUMMARY_REDUCE_TOKENS", 2500),
+};
+
+// outline titles of documents with sections list at most this many headings per passage
+const MAX_TITLE_SECTIONS = 3;
+// passage text returned as a source excerpt (same cap as the sources of answers)
+const EXCERPT_CHARS = 2000;
+
+/** what a cached summary must have been made with to be reused */
+function summaryKey() {
+  const chat = getChatProvider();
+  return { version: SUMMARY_PROMPT_VERSION, chatModel: `${chat.name}:${chat.model}`, ...SUMMARY };
+}
+
+const sameKey = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** the summary stored in an index, or null when there is none or it was made with other prompts/model/sizes */
+export function cachedSummary(index) {
+  const cached = index?.summary;
+  return cached && sameKey(cached.key, summaryKey()) ? cached : null;
+}
+
+/**
+ * A document's text in reading order as passages of up to SUMMARY.groupTokens (whole chunks,
+ * overlap dropped; table chunks are skipped, their text is part of the pages already).
+ * Passages are shaped like retrieved blocks ({ filename, unit, pageNumber, pageEnd, title, text })
+ * so citations in summaries can be checked against them; parts keeps the text per page range
+ * for the map prompt.
+ */
+export function summaryPassages(index, filename) {
+  const unit = index.unit || "page";
+  const passages = [];
+  let current = null;
+  for (const chunk of index.chunks) {
+    if (chunk.tableId !== undefined || !chunk.text?.trim()) continue;
+    const text = chunk.text.slice(current ? chunk.overlapChars || 0 : 0).trim();
+    const tokens = chunk.tokens ?? countTokens(text);
+    if (!current || (current.tokens && current.tokens + tokens > SUMMARY.groupTokens)) {
+      current = { filename, unit, pageNumber: chunk.pageStart, pageEnd: chunk.pageEnd, title: null, text: "", tokens: 0, parts: [] };
+      passages.push(current);
+    }
+    const last = current.parts[current.parts.length - 1];
+    if (last && last.pageNumber === chunk.pageStart && last.pageEnd === chunk.pageEnd) last.text += ` ${text}`;
+    else current.parts.push({ pageNumber: chunk.pageStart, pageEnd: chunk.pageEnd, text });
+    current.text += (current.text ? " " : "") + text;
+    current.pageEnd = Math.max(current.pageEnd, chunk.pageEnd);
+    current.tokens += tokens;
+  }
+  for (const p of passages) p.title = unit === "section" ? index.sectionTitles?.[p.pageNumber] || null : null;
+  return passages;
+}
+
+/** the passage as tagged blocks, one per page range, like the context of an answer */
+function formatPassage(passage, index) {
+  return passage.parts
+    .map(part => {
+      const where = pageLabel({ ...part, unit: passage.unit, title: index.sectionTitles?.[part.pageNumber] });
+      return `--- Document: ${passage.filename} — ${where} ---\n${part.text}`;
+    })
+    .join("\n\n");
+}
+
+/** { title, summary } from a map reply ("Title: ..." line first; the title is optional) */
+function parseMapReply(reply) {
+  const text = String(reply || "").trim();
+  const m = text.match(/^title:\s*(.+)\n+([\s\S]*)$/i);
+  if (!m) return { title: null, summary: text };
+  return { title: m[1].trim().replace(/^["'*]+|["'*]+$/g, "") || null, summary: m[2].trim() };
+}
+
+/** outline entry title: the section headings a passage covers, else the model's title, else its pages */
+function outlineTitle(index, passage, modelTitle) {
+  if (passage.unit === "section") {
+    const titles = [];
+    for (let s = passage.pageNumber; s <= passage.pageEnd; s++) {
+      if (index.sectionTitles?.[s]) titles.push(index.sectionTitles[s]);
+    }
+    if (titles.length > MAX_TITLE_SECTIONS) return `${titles.slice(0, MAX_TITLE_SECTIONS).join("; ")}; …`;
+    if (titles.length) return titles.join("; ");
+  }
+  return modelTitle || pageLabel(passage);
+}
+
+async function summarize(stage, passages, signal) {
+  const provider = getChatProvider();
+  const reply = await callWithRetry(
+    (attemptSignal) => provider.chat({
+      messages: buildSummaryMessages(stage, passages),
+      max_tokens: SUMMARY_SETTINGS.maxTokens,
+      temperature: SUMMARY_SETTINGS.temperature,
+      task: "summary",
+      signal: attemptSignal,
+    }),
+    { stage: "summary", provider: providerLabel(provider), signal }
+  );
+  return String(reply || "").trim();
+}
+
+/**
+ * Merge labelled summaries ([{ label, summary }]) in rounds until one is left. Each call merges
+ * consecutive summaries up to SUMMARY.reduceTokens (at least two, so every round shrinks the
+ * list); the last call uses finalStage. A single summary is returned as it is.
+ */
+async function reduceSummaries(parts, finalStage, { signal, onRound = () => {} } = {}) {
+  let level = parts.filter(p => p.summary);
+  let round = 0;
+  while (level.length > 1) {
+    const batches = [[]];
+    let tokens = 0;
+    for (const part of level) {
+      const partTokens = countTokens(part.summary);
+      if (batches[batches.length - 1].length >= 2 && tokens + partTokens > SUMMARY.reduceTokens) {
+        batches.push([]);
+        tokens = 0;
+      }
+      batches[batches.length - 1].push(part);
+      tokens += partTokens;
+    }
+    const final = batches.length === 1;
+    onRound({ round: ++round, final });
+    const next = [];
+    for (const batch of batches) {
+      if (batch.length === 1) {
+        next.push(batch[0]);
+        continue;
+      }
+      const text = batch.map(p => `--- Summary of ${p.label} ---\n${p.summary}`).join("\n\n");
+      next.push({
+        label: `${batch[0].label} to ${batch[batch.length - 1].label}`,
+        summary: await summarize(final ? finalStage : "reduce", text, signal),
+      });
+    }
+    level = next;
+  }
+  return level[0]?.summary || "";
+}
+
+/**
+ * summarizeDocument(doc, opts)
+ * - doc: { documentId, filename, sha256, format, index } (a ready document, see collectIndexes in sever.js).
+ * - Returns the summary cached in the index, or maps every passage, reduces the passage summaries
+ *   and stores the result in the persisted index built with opts.indexOptions.
+ * - opts.onProgress({ stage: "summarizing", file, part, totalParts } | { stage: "reducing", file, round })
+ * - Returns { key, summary, outline: [{ title, page, pageEnd, unit, summary }], createdAt, cached }.
+ */
+export async function summarizeDocument(doc, opts = {}) {
+  const { signal, indexOptions = INDEX_OPTIONS, onProgress = () => {} } = opts;
+  const cached = cachedSummary(doc.index);
+  if (cached) return { ...cached, cached: true };
+
+  const t0 = Date.now();
+  const passages = summaryPassages(doc.index, doc.filename);
+  const outline = [];
+  for (const [i, passage] of passages.entries()) {
+    signal?.throwIfAborted();
+    onProgress({ stage: "summarizing", file: doc.filename, part: i + 1, totalParts: passages.length });
+    const { title, summary } = parseMapReply(await summarize("map", formatPassage(passage, doc.index), signal));
+    outline.push({ title: outlineTitle(doc.index, passage, title), page: passage.pageNumber, pageEnd: passage.pageEnd, unit: passage.unit, summary });
+  }
+  const summary = await reduceSummaries(
+    outline.map(o => ({ label: `${doc.filename} — ${pageLabel({ pageNumber: o.page, pageEnd: o.pageEnd })}`, summary: o.summary })),
+    "document",
+    { signal, onRound: (r) => onProgress({ stage: "reducing", file: doc.filename, ...r }) }
+  );
+
+  const record = { key: summaryKey(), summary, outline, createdAt: new Date().toISOString() };
+  if (!doc.sha256 || !saveIndexSummary(doc.sha256, indexOptions, doc.format, record)) {
+    console.warn(`Could not cache the summary of ${doc.filename}: its index is gone or was rebuilt`);
+  }
+  console.log(`Summarized ${doc.filename}: ${passages.length} passage(s) in ${Date.now() - t0} ms`);
+  return { ...record, cached: false };
+}
+
+function uploadSummaryPath(uploadId) {
+  return path.join(getUploadDir(uploadId), "summary.json");
+}
+
+function loadUploadSummary(uploadId, key) {
+  try {
+    const stored = JSON.parse(fs.readFileSync(uploadSummaryPath(uploadId), "utf8"));
+    return sameKey(stored.key, key) ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+/** what the collection summary depends on: the document summaries it was made from */
+function uploadSummaryKey(entries) {
+  return { ...summaryKey(), documents: entries.map(e => [e.doc.documentId, e.result.createdAt]) };
+}
+
+/**
+ * The response shape of a summary request: the overall summary (of the collection, or of the
+ * only document) with citations checked against the documents' passages, each document's summary
+ * and outline (entries with their summaries as segments too), and sources listing the outline
+ * passages (for the viewer).
+ */
+function describeSummaries(entries, summary) {
+  const passagesOf = new Map(entries.map(e => [e.doc, summaryPassages(e.doc.index, e.doc.filename)]));
+  const allPassages = [...passagesOf.values()].flat();
+  const cited = buildCitedAnswer(summary, allPassages);
+  return {
+    summary,
+    segments: cited.segments,
+    citations: { total: cited.citationCount, unverified: cited.unverifiedCount },
+    documents: entries.map(({ doc, result }) => ({
+      documentId: doc.documentId,
+      filename: doc.filename,
+      format: doc.format || "pdf",
+      unit: doc.index.unit || "page",
+      summary: result.summary,
+      segments: buildCitedAnswer(result.summary, passagesOf.get(doc)).segments,
+      outline: result.outline.map(o => ({ ...o, segments: buildCitedAnswer(o.summary, passagesOf.get(doc)).segments })),
+      cached: result.cached,
+      createdAt: result.createdAt,
+    })),
+    sources: entries.map(({ doc }) => ({
+      documentId: doc.documentId,
+      filename: doc.filename,
+      format: doc.format || "pdf",
+      pages: passagesOf.get(doc).map(p => ({
+        page: p.pageNumber,
+        pageEnd: p.pageEnd,
+        unit: p.unit,
+        title: p.title,
+        excerpt: p.text.length > EXCERPT_CHARS ? `${p.text.slice(0, EXCERPT_CHARS)} [...]` : p.text,
+      })),
+    })),
+  };
+}
+
+/**
+ * summarizeUpload(uploadId, docs, opts)
+ * - docs: ready documents as for summarizeDocument; opts as for summarizeDocument, plus
+ *   onProgress({ stage: "combining", totalFiles }) before the collection summary is made.
+ * - Summarizes each document (cached ones are free), then combines them (cached in the upload
+ *   while the document summaries stay the same). See describeSummaries for the result.
+ */
+export async function summarizeUpload(uploadId, docs, opts = {}) {
+  const { signal, onProgress = () => {} } = opts;
+  const entries = [];
+  for (const [i, doc] of docs.entries()) {
+    const result = await summarizeDocument(doc, {
+      ...opts,
+      onProgress: (p) => onProgress({ ...p, fileIndex: i + 1, totalFiles: docs.length }),
+    });
+    entries.push({ doc, result });
+  }
+
+  if (entries.length < 2) return describeSummaries(entries, entries[0]?.result.summary || "");
+  const key = uploadSummaryKey(entries);
+  const stored = loadUploadSummary(uploadId, key);
+  if (stored) return describeSummaries(entries, stored.summary);
+
+  onProgress({ stage: "combining", totalFiles: entries.length });
+  const summary = await reduceSummaries(
+    entries.map(e => ({ label: e.doc.filename, summary: e.result.summary })),
+    "collection",
+    { signal }
+  );
+  try {
+    fs.writeFileSync(uploadSummaryPath(uploadId), JSON.stringify({ key, summary, createdAt: new Date().toISOString() }), "utf8");
+  } catch (e) {
+    console.warn("Failed to cache the upload summary:", e);
+  }
+  return describeSummaries(entries, summary);
+}
+
+/**
+ * The summaries already made for an upload's ready documents, without any model call:
+ * documents that were never summarized are left out, summary is null until there is a
+ * current overall summary. Same shape as summarizeUpload otherwise.
+ */
+export function cachedUploadSummary(uploadId, docs) {
+  const entries = docs
+    .map(doc => ({ doc, result: cachedSummary(doc.index) }))
+    .filter(e => e.result)
+    .map(e => ({ ...e, result: { ...e.result, cached: true } }));
+  let summary = null;
+  if (entries.length === 1 && docs.length === 1) summary = entries[0].result.summary;
+  else if (entries.length > 1 && entries.length === docs.length) summary = loadUploadSummary(uploadId, uploadSummaryKey(entries))?.summary ?? null;
+  return { ...describeSummaries(entries, summary || ""), summary };
+}
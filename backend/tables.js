@@ -0,0 +1,126 @@
+// tables.js
+// Tables found during extraction (ruled PDF tables via pdf-parse, <table> in HTML/DOCX, pipe tables
+// in Markdown) are kept as rows of cells next to the page text. Each table is indexed as its own
+// chunk(s) in Markdown form with a caption, so a question like "what was Q3 revenue" retrieves
+// the table instead of the jumbled lines the page text flattens it into.
+//
+// Env:
+//   TABLES_ENABLED   "false" turns table detection off (tables stay part of the page text only) (default on)
+
+import { countTokens } from "./chunker.js";
+
+export const TABLES = {
+  enabled: process.env.TABLES_ENABLED !== "false",
+};
+
+// rows returned with a citation when the quote can't be narrowed to specific rows
+const MAX_EXCERPT_ROWS = 20;
+
+// "Table 2: Quarterly revenue", "Exhibit 4 - Segment results", "Schedule A"
+const CAPTION_RE = /^(?:table|exhibit|schedule)\s+[\w.-]+\b.{0,100}$/i;
+
+const cleanCell = (cell) => String(cell ?? "").replace(/\s+/g, " ").trim();
+
+/**
+ * Normalize raw rows (arrays of cell strings): trim cells, drop empty rows and columns, pad
+ * ragged rows. Returns the rows (first row is the header) or null when the result is not a
+ * table worth indexing (fewer than 2 rows or 2 columns).
+ */
+export function normalizeTable(rawRows) {
+  let rows = (rawRows || []).map(r => (Array.isArray(r) ? r.map(cleanCell) : [])).filter(r => r.some(Boolean));
+  const width = Math.max(0, ...rows.map(r => r.length));
+  rows = rows.map(r => [...r, ...new Array(width - r.length).fill("")]);
+  const keep = [...Array(width).keys()].filter(c => rows.some(r => r[c]));
+  rows = rows.map(r => keep.map(c => r[c]));
+  if (rows.length < 2 || keep.length < 2) return null;
+  return rows;
+}
+
+/**
+ * Caption for the n-th table of a page: a "Table 2: ..." line right above the table's header
+ * row in the page text, else the n-th caption-like line of the page, else null.
+ */
+export function findCaption(pageText, header, n = 0) {
+  const lines = String(pageText || "").split("\n").map(l => l.trim()).filter(Boolean);
+  const headerText = header.filter(Boolean).join(" ").toLowerCase();
+  const at = lines.findIndex(l => l.toLowerCase().includes(headerText));
+  if (at > 0 && CAPTION_RE.test(lines[at - 1])) return lines[at - 1];
+  return lines.filter(l => CAPTION_RE.test(l))[n] || null;
+}
+
+const escapeCell = (cell) => cell.replace(/\|/g, "\\|");
+
+function markdownRow(cells) {
+  return `| ${cells.map(escapeCell).join(" | ")} |`;
+}
+
+/** GitHub-flavoured Markdown for a header row + data rows, preceded by the caption */
+export function tableToMarkdown({ caption, header, rows }) {
+  const lines = [markdownRow(header), markdownRow(header.map(() => "---")), ...rows.map(markdownRow)];
+  return `${caption ? `Table: ${caption}\n\n` : ""}${lines.join("\n")}`;
+}
+
+/**
+ * chunkTables(tables, opts)
+ * - tables: [{ id, page, caption, rows }] as stored in an index (rows[0] is the header).
+ * - Splits each table into groups of data rows that fit opts.chunkSize tokens, repeating the
+ *   caption and header in every chunk.
+ * - Returns chunks shaped like chunkPages' output plus { tableId, rowStart, rowEnd }
+ *   (data row indexes, end exclusive); seq numbers continue from opts.firstSeq.
+ */
+export function chunkTables(tables, opts = {}) {
+  const { chunkSize = 256, firstSeq = 0 } = opts;
+  const chunks = [];
+  for (const table of tables) {
+    const [header, ...data] = table.rows;
+    const baseTokens = countTokens(tableToMarkdown({ caption: table.caption, header, rows: [] }));
+    let start = 0;
+    while (start < data.length) {
+      let end = start;
+      let tokens = baseTokens;
+      // at least one row per chunk, even when a single row is larger than chunkSize
+      while (end < data.length && (end === start || tokens + countTokens(markdownRow(data[end])) <= chunkSize)) {
+        tokens += countTokens(markdownRow(data[end]));
+        end++;
+      }
+      chunks.push({
+        seq: firstSeq + chunks.length,
+        text: tableToMarkdown({ caption: table.caption, header, rows: data.slice(start, end) }),
+        tokens,
+        pageStart: table.page,
+        pageEnd: table.page,
+        overlapChars: 0,
+        tableId: table.id,
+        rowStart: start,
+        rowEnd: end,
+      });
+      start = end;
+    }
+  }
+  return chunks;
+}
+
+const normalize = (s) => String(s || "").toLowerCase().replace(/\\\|/g, "|").replace(/\s+/g, " ").trim();
+
+/**
+ * The part of a table worth showing with an answer: { caption, page, header, rows }.
+ * With a quote, only the data rows the quote overlaps (as Markdown text) are kept; otherwise,
+ * or when nothing matches, the first MAX_EXCERPT_ROWS rows.
+ */
+export function tableExcerpt(table, quote) {
+  const q = normalize(quote).replace(/^\|\s*|\s*\|$/g, "").replace(/…$/, "");
+  const rows = table.rows;
+  let matched = [];
+  if (q) {
+    matched = rows.filter(r => {
+      const line = normalize(r.join(" | "));
+      return line.includes(q) || q.includes(line);
+    });
+  }
+  return {
+    caption: table.caption,
+    page: table.page,
+    header: table.header,
+    rows: (matched.length ? matched : rows).slice(0, MAX_EXCERPT_ROWS),
+  };
+}
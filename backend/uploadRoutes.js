@@ -0,0 +1,290 @@
+// uploadRoutes.js
+// REST API for upload sessions and their documents (mounted at /uploads, behind requireAuth;
+// sessions are only visible to the user who created them):
+//   POST   /uploads                                        create a session (optionally with "file" uploads)
+//   GET    /uploads/:uploadId                              session metadata + documents
+//   GET    /uploads/:uploadId/documents                    list documents
+//   POST   /uploads/:uploadId/documents                    add "file" uploads (queued for ingestion)
+//   GET    /uploads/:uploadId/status                       ingestion progress per document
+//   GET    /uploads/:uploadId/summary                      cached summaries + outlines (POST /summarize/stream makes them)
+//   POST   /uploads/:uploadId/compare                      added/removed/modified clauses between two documents
+//   POST   /uploads/:uploadId/compare/stream               the same over Server-Sent Events, with progress
+//   POST   /uploads/:uploadId/documents/:documentId/reindex retry a failed ingestion
+//   GET    /uploads/:uploadId/documents/:documentId/file   download the original file
+//   GET    /uploads/:uploadId/documents/:documentId/view   a stored PDF inline (in-app viewer)
+//   DELETE /uploads/:uploadId/documents/:documentId        remove a document (+ unshared indexes)
+//   DELETE /uploads/:uploadId                              delete the whole session
+//   GET    /uploads/:uploadId/conversations/:conversationId
+
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { loadConversation } from "./conversations.js";
+import { uploadDocuments } from "./uploadValidation.js";
+import {
+  getUploadDir,
+  loadManifest,
+  createUploadSession,
+  addDocuments,
+  listUploadFiles,
+  getDocument,
+  updateDocument,
+  documentPath,
+  removeDocument,
+  deleteUploadSession,
+  describeDocument,
+  touchUpload,
+  discardUploadedFiles,
+} from "./uploadStore.js";
+import { isUploadExpired } from "./retention.js";
+import { canAccessUpload } from "./auth.js";
+import { enqueueIngestion, getUploadJobs, cancelIngestion } from "./ingestQueue.js";
+import { INDEX_OPTIONS, findIndex } from "./indexStore.js";
+import { cachedUploadSummary } from "./summarizer.js";
+import { compareDocuments } from "./comparer.js";
+import { abortOnDisconnect, failureInfo, failureStatus, sendEvent, startEventStream } from "./routeHelpers.js";
+
+export const uploadRouter = express.Router();
+
+function describeSession(manifest) {
+  return {
+    uploadId: manifest.uploadId,
+    createdAt: manifest.createdAt,
+    updatedAt: manifest.updatedAt,
+    lastAccessedAt: manifest.lastAccessedAt || manifest.updatedAt,
+    documents: manifest.documents.map(describeDocument),
+  };
+}
+
+/** store multer files in the session and queue their ingestion; returns { documents, jobs } */
+function addAndEnqueue(uploadId, multerFiles) {
+  const added = addDocuments(uploadId, multerFiles);
+  const ids = new Set(added.map(d => d.id));
+  const jobs = enqueueIngestion(uploadId, (listUploadFiles(uploadId) || []).filter(f => ids.has(f.documentId)));
+  return { documents: added.map(describeDocument), jobs };
+}
+
+// resolve :uploadId once; ids removed by the retention policy are a 410, other unknown ids a 404
+uploadRouter.param("uploadId", (req, res, next, uploadId) => {
+  const manifest = loadManifest(uploadId);
+  if (!manifest) {
+    if (isUploadExpired(uploadId)) {
+      return res.status(410).json({ error: "Upload expired", code: "UPLOAD_EXPIRED", details: "This uploadId was removed by the retention policy." });
+    }
+    return res.status(404).json({ error: "Upload not found", code: "UPLOAD_NOT_FOUND" });
+  }
+  if (!canAccessUpload(req.user, manifest)) {
+    console.warn(`User ${req.user?.username} denied access to upload ${uploadId}`);
+    return res.status(403).json({ error: "You do not have access to this upload", code: "FORBIDDEN" });
+  }
+  // only permitted requests count as use, so probing an id never keeps someone else's session alive
+  req.manifest = touchUpload(uploadId) || manifest;
+  return next();
+});
+
+uploadRouter.post("/", uploadDocuments(), (req, res) => {
+  try {
+    const { uploadId } = createUploadSession(req.user.id);
+    const { documents, jobs } = req.files?.length ? addAndEnqueue(uploadId, req.files) : { documents: [], jobs: [] };
+    console.log(`Created upload ${uploadId} with ${documents.length} document(s)`);
+    return res.status(jobs.length ? 202 : 201).json({ ...describeSession(loadManifest(uploadId)), jobs });
+  } catch (err) {
+    console.error("Create upload error:", err);
+    discardUploadedFiles(req.files);
+    return res.status(500).json({ error: "Failed to create upload", details: String(err) });
+  }
+});
+
+uploadRouter.get("/:uploadId", (req, res) => {
+  return res.json(describeSession(req.manifest));
+});
+
+uploadRouter.get("/:uploadId/documents", (req, res) => {
+  return res.json({ documents: req.manifest.documents.map(describeDocument) });
+});
+
+uploadRouter.post("/:uploadId/documents", uploadDocuments(), (req, res) => {
+  if (!req.files?.length) {
+    return res.status(400).json({ error: "No documents uploaded (field name must be 'file')", code: "NO_FILES" });
+  }
+  try {
+    return res.status(202).json(addAndEnqueue(req.params.uploadId, req.files));
+  } catch (err) {
+    console.error("Add documents error:", err);
+    discardUploadedFiles(req.files);
+    return res.status(500).json({ error: "Failed to add documents", details: String(err) });
+  }
+});
+
+// ingestion progress: manifest status + the latest job of each document
+uploadRouter.get("/:uploadId/status", (req, res) => {
+  const jobs = getUploadJobs(req.params.uploadId);
+  const documents = req.manifest.documents.map(d => ({ ...describeDocument(d), job: jobs[d.id] || null }));
+  return res.json({
+    uploadId: req.params.uploadId,
+    ready: documents.every(d => d.indexStatus === "indexed" || d.indexStatus === "failed"),
+    documents,
+  });
+});
+
+// summaries and outlines made so far (never calls the model): documents not summarized yet are
+// left out and summary is null until every ready document has been summarized together
+uploadRouter.get("/:uploadId/summary", (req, res) => {
+  try {
+    const docs = [];
+    for (const file of listUploadFiles(req.params.uploadId) || []) {
+      const index = findIndex(file.sha256, INDEX_OPTIONS, file.format);
+      if (index) docs.push({ documentId: file.documentId, filename: file.originalname, sha256: file.sha256, format: file.format, index });
+    }
+    return res.json({ uploadId: req.params.uploadId, ...cachedUploadSummary(req.params.uploadId, docs) });
+  } catch (err) {
+    console.error("Summary lookup error:", err);
+    return res.status(500).json({ error: "Failed to read summaries", details: String(err) });
+  }
+});
+
+/**
+ * The two documents of a compare request body { baseDocumentId, revisedDocumentId }, with their
+ * persisted index when there is one; { status, body } of the error response otherwise.
+ */
+function comparisonDocuments(uploadId, body = {}) {
+  const { baseDocumentId, revisedDocumentId } = body;
+  if (!baseDocumentId || !revisedDocumentId || baseDocumentId === revisedDocumentId) {
+    return {
+      status: 400,
+      body: {
+        error: "Two different documents are required",
+        code: "INVALID_COMPARISON",
+        details: "Send { baseDocumentId, revisedDocumentId } with the ids of two documents of this upload.",
+      },
+    };
+  }
+  const docs = [];
+  for (const documentId of [baseDocumentId, revisedDocumentId]) {
+    const doc = getDocument(uploadId, String(documentId));
+    if (!doc) return { status: 404, body: { error: "Document not found", code: "DOCUMENT_NOT_FOUND", details: String(documentId) } };
+    const p = documentPath(uploadId, doc);
+    if (!fs.existsSync(p)) return { status: 404, body: { error: "Document file missing", details: doc.originalName } };
+    const format = doc.format || "pdf";
+    const index = doc.sha256 ? findIndex(doc.sha256, INDEX_OPTIONS, format) : null;
+    docs.push({ documentId: doc.id, filename: doc.originalName, format, index, path: p });
+  }
+  return { docs };
+}
+
+// JSON body { baseDocumentId, revisedDocumentId }: the earlier and the later version. Uses the
+// documents' indexes when they are built and reads the stored files otherwise, so documents can be
+// compared before (or without) being indexed. /compare/stream reports progress while it works.
+uploadRouter.post("/:uploadId/compare", async (req, res) => {
+  const { uploadId } = req.params;
+  const { docs, status, body } = comparisonDocuments(uploadId, req.body);
+  if (!docs) return res.status(status).json(body);
+
+  let finished = false;
+  const controller = abortOnDisconnect(res, () => finished);
+  try {
+    const comparison = await compareDocuments(docs[0], docs[1], { signal: controller.signal, maxPages: INDEX_OPTIONS.maxPages });
+    finished = true;
+    return res.json({ uploadId, ...comparison });
+  } catch (err) {
+    finished = true;
+    if (controller.signal.aborted) return undefined;
+    console.error("Comparison error:", err);
+    return res.status(failureStatus(res, err)).json({ error: "Comparison failed", ...failureInfo(err), details: String(err) });
+  }
+});
+
+// same body as /compare, over Server-Sent Events: progress* (reading, ocr, aligning, explaining)
+// -> done with the comparison (or error). Validation errors are plain JSON before the stream starts.
+uploadRouter.post("/:uploadId/compare/stream", async (req, res) => {
+  const { uploadId } = req.params;
+  const { docs, status, body } = comparisonDocuments(uploadId, req.body);
+  if (!docs) return res.status(status).json(body);
+
+  let finished = false;
+  const controller = abortOnDisconnect(res, () => finished);
+  startEventStream(res);
+  try {
+    const comparison = await compareDocuments(docs[0], docs[1], {
+      signal: controller.signal,
+      maxPages: INDEX_OPTIONS.maxPages,
+      onProgress: (p) => sendEvent(res, "progress", p),
+    });
+    sendEvent(res, "done", { uploadId, ...comparison });
+  } catch (err) {
+    if (controller.signal.aborted) return undefined;
+    console.error("Comparison error:", err);
+    sendEvent(res, "error", { error: "Comparison failed", ...failureInfo(err), details: String(err) });
+  }
+  finished = true;
+  return res.end();
+});
+
+uploadRouter.post("/:uploadId/documents/:documentId/reindex", (req, res) => {
+  const { uploadId, documentId } = req.params;
+  const file = (listUploadFiles(uploadId) || []).find(f => f.documentId === documentId);
+  if (!file) return res.status(404).json({ error: "Document not found" });
+  // failures with other chunking options are cleared too, so the next request retries them
+  updateDocument(uploadId, documentId, { indexStatus: "pending", indexError: null, indexFailures: {} });
+  const [job] = enqueueIngestion(uploadId, [file]);
+  return res.status(202).json({ job });
+});
+
+uploadRouter.get("/:uploadId/documents/:documentId/file", (req, res) => {
+  const { uploadId, documentId } = req.params;
+  const doc = getDocument(uploadId, documentId);
+  if (!doc) return res.status(404).json({ error: "Document not found" });
+  const p = documentPath(uploadId, doc);
+  if (!fs.existsSync(p)) return res.status(404).json({ error: "Document file missing" });
+  return res.download(p, doc.originalName);
+});
+
+// inline copy for the in-app viewer (the route above downloads it as an attachment). Only PDFs:
+// other formats are shown as extracted text, and serving uploaded HTML inline would run it
+uploadRouter.get("/:uploadId/documents/:documentId/view", (req, res) => {
+  const { uploadId, documentId } = req.params;
+  const doc = getDocument(uploadId, documentId);
+  if (!doc) return res.status(404).json({ error: "Document not found" });
+  if ((doc.format || "pdf") !== "pdf") {
+    return res.status(415).json({ error: "Only PDFs can be viewed inline; download the file instead", code: "NOT_VIEWABLE" });
+  }
+  const p = documentPath(uploadId, doc);
+  if (!fs.existsSync(p)) return res.status(404).json({ error: "Document file missing" });
+  res.set("Content-Disposition", `inline; filename*=UTF-8''${encodeURIComponent(doc.originalName)}`);
+  res.set("Cache-Control", "private, max-age=300");
+  res.set("X-Content-Type-Options", "nosniff");
+  return res.sendFile(path.resolve(p), { headers: { "Content-Type": "application/pdf" } });
+});
+
+uploadRouter.delete("/:uploadId/documents/:documentId", (req, res) => {
+  try {
+    cancelIngestion(req.params.uploadId, req.params.documentId);
+    const doc = removeDocument(req.params.uploadId, req.params.documentId);
+    if (!doc) return res.status(404).json({ error: "Document not found" });
+    return res.json({ deleted: describeDocument(doc) });
+  } catch (err) {
+    console.error("Delete document error:", err);
+    return res.status(500).json({ error: "Failed to delete document", details: String(err) });
+  }
+});
+
+uploadRouter.delete("/:uploadId", (req, res) => {
+  try {
+    cancelIngestion(req.params.uploadId);
+    deleteUploadSession(req.params.uploadId);
+    return res.json({ deleted: req.params.uploadId });
+  } catch (err) {
+    console.error("Delete upload error:", err);
+    return res.status(500).json({ error: "Failed to delete upload", details: String(err) });
+  }
+});
+
+// conversation history, used by the frontend to resume a conversation after reload
+uploadRouter.get("/:uploadId/conversations/:conversationId", (req, res) => {
+  const { uploadId, conversationId } = req.params;
+  const conversation = loadConversation(getUploadDir(uploadId), conversationId);
+  if (!conversation || conversation.uploadId !== uploadId) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+  return res.json(conversation);
+});
@@ -0,0 +1,359 @@
+// uploadStore.js
+// Upload sessions on disk: uploads/<uploadId>/ holds the stored documents, a manifest.json describing
+// them and the conversations/ folder. The manifest is the source of truth for document names:
+//   { uploadId, ownerId, createdAt, updatedAt, lastAccessedAt,
+//     documents: [{ id, originalName, filename, mimetype, format, size, sha256, pageCount,
+//                   indexStatus: "pending" | "indexed" | "failed", indexError, indexFailures, addedAt }] }
+// indexStatus/indexError are about the index built with INDEX_OPTIONS; builds with other chunking
+// (see chunkingFromBody in sever.js) record failures in indexFailures, keyed by indexOptionsHash.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import multer from "multer";
+import { INDEX_OPTIONS, deleteIndexesForHash, getOrBuildIndex, hashBuffer, indexOptionsHash } from "./indexStore.js";
+
+export const UPLOAD_DIR = path.resolve(process.cwd(), "uploads");
+if (!fs.existsSync(UPLOAD_DIR)) {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  console.log("Created upload dir:", UPLOAD_DIR);
+}
+
+// store files on disk with original name + timestamp to avoid collisions
+// (limits and file type checks are applied by uploadValidation.js)
+export const uploadStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
+  filename: (req, file, cb) => {
+    const safe = file.originalname.replace(/[^a-z0-9.\-_]/gi, "_");
+    cb(null, `${Date.now()}_${safe}`);
+  },
+});
+
+const MANIFEST_FILE = "manifest.json";
+
+// ids we hand out: randomUUID(), or "<timestamp>_<random>" from older servers
+const UPLOAD_ID_RE = /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\d{10,}_\d{1,7})$/i;
+
+export function isValidUploadId(uploadId) {
+  return typeof uploadId === "string" && UPLOAD_ID_RE.test(uploadId);
+}
+
+/** session folder; throws for anything that isn't an id we issued (keeps paths inside UPLOAD_DIR) */
+export function getUploadDir(uploadId) {
+  if (!isValidUploadId(uploadId)) throw new Error(`Invalid uploadId: ${String(uploadId).slice(0, 80)}`);
+  return path.join(UPLOAD_DIR, uploadId);
+}
+
+function manifestPath(uploadId) {
+  return path.join(getUploadDir(uploadId), MANIFEST_FILE);
+}
+
+function writeManifest(manifest) {
+  const p = manifestPath(manifest.uploadId);
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2), "utf8");
+  fs.renameSync(tmp, p);
+  return manifest;
+}
+
+function saveManifest(manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  manifest.lastAccessedAt = manifest.updatedAt;
+  return writeManifest(manifest);
+}
+
+/** last time the session was used (ms), for retention */
+export function lastAccessOf(manifest) {
+  return Date.parse(manifest.lastAccessedAt || manifest.updatedAt || manifest.createdAt) || 0;
+}
+
+// last-access writes are throttled so every question doesn't rewrite the manifest
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/** record that a session was used (keeps it from expiring) */
+export function touchUpload(uploadId) {
+  const manifest = loadManifest(uploadId);
+  if (!manifest || Date.now() - lastAccessOf(manifest) < TOUCH_INTERVAL_MS) return manifest;
+  manifest.lastAccessedAt = new Date().toISOString();
+  try {
+    writeManifest(manifest);
+  } catch (e) {
+    console.warn("Failed to record last access for", uploadId, e);
+  }
+  return manifest;
+}
+
+/**
+ * Folders created before manifests existed only have "<timestamp>_<name>.pdf" files;
+ * build their manifest once from the file names.
+ */
+function migrateLegacyUpload(uploadId) {
+  const dir = getUploadDir(uploadId);
+  const names = fs.readdirSync(dir).filter(n => n.toLowerCase().endsWith(".pdf"));
+  // the folder's mtime stands in for creation/last access so retention treats old sessions as old
+  const now = new Date(fs.statSync(dir).mtimeMs).toISOString();
+  const manifest = {
+    uploadId,
+    createdAt: now,
+    updatedAt: now,
+    lastAccessedAt: now,
+    documents: names.map(filename => {
+      const full = path.join(dir, filename);
+      return {
+        id: crypto.randomUUID(),
+        originalName: filename.replace(/^\d+_/, ""),
+        filename,
+        mimetype: "application/pdf",
+        format: "pdf",
+        size: fs.statSync(full).size,
+        sha256: hashBuffer(fs.readFileSync(full)),
+        pageCount: null,
+        indexStatus: "pending",
+        indexError: null,
+        addedAt: now,
+      };
+    }),
+  };
+  console.log(`Migrated legacy upload ${uploadId} to a manifest (${names.length} file(s))`);
+  return writeManifest(manifest);
+}
+
+/** manifest for an upload session, or null when the session doesn't exist */
+export function loadManifest(uploadId) {
+  if (!isValidUploadId(uploadId)) return null;
+  const dir = getUploadDir(uploadId);
+  if (!fs.existsSync(dir)) return null;
+  const p = manifestPath(uploadId);
+  if (!fs.existsSync(p)) return migrateLegacyUpload(uploadId);
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (e) {
+    console.warn("Failed to load manifest for", uploadId, e);
+    return null;
+  }
+}
+
+/** new empty session owned by ownerId (the authenticated user's id) */
+export function createUploadSession(ownerId) {
+  const uploadId = crypto.randomUUID();
+  fs.mkdirSync(getUploadDir(uploadId), { recursive: true });
+  const now = new Date().toISOString();
+  return saveManifest({ uploadId, ownerId: ownerId || null, createdAt: now, documents: [] });
+}
+
+/** move multer-saved files into the session folder and record them in the manifest */
+export function addDocuments(uploadId, multerFiles) {
+  const manifest = loadManifest(uploadId);
+  if (!manifest) throw new Error(`Upload not found: ${uploadId}`);
+  const dir = getUploadDir(uploadId);
+  const added = [];
+
+  for (const f of multerFiles) {
+    const dest = path.join(dir, f.filename);
+    try {
+      fs.renameSync(f.path, dest); // move file
+    } catch (mvErr) {
+      console.warn("Failed to move uploaded file to uploadId folder, attempting copy then unlink:", mvErr);
+      try {
+        fs.copyFileSync(f.path, dest);
+      } catch (cpErr) {
+        // don't leave this (or the not-yet-moved) temp files behind in uploads/
+        fs.rmSync(dest, { force: true });
+        discardUploadedFiles(multerFiles);
+        saveManifest(manifest);
+        throw new Error("Storing uploaded file failed: " + String(cpErr));
+      }
+      fs.rmSync(f.path, { force: true });
+    }
+    console.log(`Moved uploaded file ${f.originalname} -> ${dest}`);
+
+    const doc = {
+      id: crypto.randomUUID(),
+      originalName: f.originalname,
+      filename: f.filename,
+      mimetype: f.mimetype,
+      format: f.format || "pdf",
+      size: f.size,
+      sha256: hashBuffer(fs.readFileSync(dest)),
+      pageCount: f.pageCount ?? null,
+      indexStatus: "pending",
+      indexError: null,
+      addedAt: new Date().toISOString(),
+    };
+    manifest.documents.push(doc);
+    added.push(doc);
+  }
+
+  saveManifest(manifest);
+  return added;
+}
+
+/** delete multer temp files that were not moved into a session (failed/rejected requests) */
+export function discardUploadedFiles(multerFiles = []) {
+  for (const f of multerFiles) {
+    if (!f?.path) continue;
+    try {
+      fs.rmSync(f.path, { force: true });
+    } catch (e) {
+      console.warn("Failed to remove temp upload", f.path, e);
+    }
+  }
+}
+
+/** merge fields into one document's manifest entry (e.g. index status after indexing) */
+export function updateDocument(uploadId, documentId, patch) {
+  const manifest = loadManifest(uploadId);
+  const doc = manifest?.documents.find(d => d.id === documentId);
+  if (!doc) return null;
+  Object.assign(doc, patch);
+  saveManifest(manifest);
+  return doc;
+}
+
+export function getDocument(uploadId, documentId) {
+  return loadManifest(uploadId)?.documents.find(d => d.id === documentId) || null;
+}
+
+/** absolute path of a stored document file */
+export function documentPath(uploadId, doc) {
+  return path.join(getUploadDir(uploadId), doc.filename);
+}
+
+/**
+ * Documents of a session in the file shape the ask pipeline uses
+ * ({ documentId, originalname, filename, mimetype, format, size, path, sha256, indexStatus, indexError }).
+ * Documents stored before formats were recorded are PDFs.
+ */
+export function listUploadFiles(uploadId) {
+  const manifest = loadManifest(uploadId);
+  if (!manifest) return null;
+  return manifest.documents.map(d => ({
+    documentId: d.id,
+    originalname: d.originalName,
+    filename: d.filename,
+    mimetype: d.mimetype,
+    format: d.format || "pdf",
+    size: d.size,
+    sha256: d.sha256,
+    path: documentPath(uploadId, d),
+    indexStatus: d.indexStatus,
+    indexError: d.indexError || null,
+    indexFailures: d.indexFailures || {},
+  }));
+}
+
+/** true for the index options documents are indexed with on upload (INDEX_OPTIONS) */
+export function isDefaultIndex(indexOptions = INDEX_OPTIONS) {
+  return indexOptionsHash(indexOptions) === indexOptionsHash(INDEX_OPTIONS);
+}
+
+/** why building a document's index with these options failed (file from listUploadFiles), or null */
+export function indexFailureFor(file, indexOptions = INDEX_OPTIONS) {
+  if (isDefaultIndex(indexOptions)) return file.indexStatus === "failed" ? file.indexError || "Indexing failed" : null;
+  return file.indexFailures?.[indexOptionsHash(indexOptions)] || null;
+}
+
+/** record (or clear, with error null) a failed build of a document's index with non-default options */
+function setIndexFailure(uploadId, documentId, indexOptions, error) {
+  const doc = getDocument(uploadId, documentId);
+  if (!doc) return;
+  const failures = { ...doc.indexFailures };
+  const key = indexOptionsHash(indexOptions);
+  if (error) failures[key] = error;
+  else if (!(key in failures)) return;
+  else delete failures[key];
+  updateDocument(uploadId, documentId, { indexFailures: failures });
+}
+
+/** true when another session still has a document with this content hash */
+function isHashUsedElsewhere(sha256, exceptUploadId) {
+  for (const id of fs.readdirSync(UPLOAD_DIR)) {
+    if (id === exceptUploadId || !isValidUploadId(id)) continue;
+    const p = manifestPath(id);
+    if (!fs.existsSync(p)) continue;
+    try {
+      const manifest = JSON.parse(fs.readFileSync(p, "utf8"));
+      if (manifest.documents.some(d => d.sha256 === sha256)) return true;
+    } catch {
+      // unreadable manifest: be conservative and keep shared indexes
+      return true;
+    }
+  }
+  return false;
+}
+
+/** drop a document's index files unless the same content is still used by another document */
+function releaseIndexes(uploadId, doc, remainingDocs) {
+  if (!doc.sha256) return 0;
+  if (remainingDocs.some(d => d.sha256 === doc.sha256)) return 0;
+  if (isHashUsedElsewhere(doc.sha256, uploadId)) return 0;
+  return deleteIndexesForHash(doc.sha256);
+}
+
+/** remove one document (file + manifest entry + unshared indexes); returns the removed entry */
+export function removeDocument(uploadId, documentId) {
+  const manifest = loadManifest(uploadId);
+  const doc = manifest?.documents.find(d => d.id === documentId);
+  if (!doc) return null;
+
+  manifest.documents = manifest.documents.filter(d => d.id !== documentId);
+  saveManifest(manifest);
+  fs.rmSync(documentPath(uploadId, doc), { force: true });
+  const removedIndexes = releaseIndexes(uploadId, doc, manifest.documents);
+  console.log(`Removed document ${doc.originalName} from ${uploadId} (${removedIndexes} index file(s) deleted)`);
+  return doc;
+}
+
+/** delete a whole session folder (files, manifest, conversations) and its unshared indexes */
+export function deleteUploadSession(uploadId) {
+  const manifest = loadManifest(uploadId);
+  if (!manifest) return false;
+  let removedIndexes = 0;
+  const seen = new Set();
+  for (const doc of manifest.documents) {
+    if (seen.has(doc.sha256)) continue;
+    seen.add(doc.sha256);
+    removedIndexes += releaseIndexes(uploadId, doc, []);
+  }
+  fs.rmSync(getUploadDir(uploadId), { recursive: true, force: true });
+  console.log(`Deleted upload ${uploadId} (${manifest.documents.length} document(s), ${removedIndexes} index file(s))`);
+  return true;
+}
+
+/** public view of a manifest document (no internal file names) */
+export function describeDocument(doc) {
+  return {
+    id: doc.id,
+    originalName: doc.originalName,
+    mimetype: doc.mimetype,
+    format: doc.format || "pdf",
+    size: doc.size,
+    pageCount: doc.pageCount,
+    indexStatus: doc.indexStatus,
+    indexError: doc.indexError || null,
+    addedAt: doc.addedAt,
+  };
+}
+
+/**
+ * Load (or build) the index of one stored document and record the outcome in the manifest
+ * (indexStatus, pageCount, indexError; indexFailures for non-default options). file is an entry
+ * from listUploadFiles. opts: { indexOptions, signal, onProgress } as for getOrBuildIndex.
+ */
+export async function ensureDocumentIndex(uploadId, file, opts = {}) {
+  const isDefault = isDefaultIndex(opts.indexOptions);
+  try {
+    const buffer = fs.readFileSync(file.path);
+    const index = await getOrBuildIndex(buffer, file.originalname, { ...opts, hash: file.sha256, format: file.format });
+    if (file.documentId && isDefault) updateDocument(uploadId, file.documentId, { indexStatus: "indexed", indexError: null, pageCount: index.pageCount });
+    else if (file.documentId) setIndexFailure(uploadId, file.documentId, opts.indexOptions, null);
+    return index;
+  } catch (e) {
+    if (file.documentId && !opts.signal?.aborted) {
+      const error = String(e && e.message ? e.message : e);
+      if (isDefault) updateDocument(uploadId, file.documentId, { indexStatus: "failed", indexError: error });
+      else setIndexFailure(uploadId, file.documentId, opts.indexOptions, error);
+    }
+    throw e;
+  }
+}
@@ -0,0 +1,152 @@
+// uploadValidation.js
+// Multipart upload handling with limits and file type checks (PDF, DOCX, Markdown, HTML and plain
+// text; see documentLoaders.js). Every rejection is a JSON 4xx:
+//   { error, code, files?: [{ filename, code, message }] }
+// so the frontend can show what was wrong with each file.
+//
+// Env:
+//   UPLOAD_MAX_FILE_MB      per-file size cap          (default 25)
+//   UPLOAD_MAX_REQUEST_MB   total size of one request  (default 100)
+//   UPLOAD_MAX_FILES        files per request          (default 10)
+//   UPLOAD_MAX_PAGES        pages (or sections) per document (default INDEX_OPTIONS.maxPages)
+
+import fs from "fs";
+import multer from "multer";
+import { uploadStorage, discardUploadedFiles } from "./uploadStore.js";
+import { INDEX_OPTIONS } from "./indexStore.js";
+import { SUPPORTED_EXTENSIONS, loaderFor } from "./documentLoaders.js";
+
+function positiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export const UPLOAD_LIMITS = {
+  maxFileBytes: positiveNumber(process.env.UPLOAD_MAX_FILE_MB, 25) * 1024 * 1024,
+  maxRequestBytes: positiveNumber(process.env.UPLOAD_MAX_REQUEST_MB, 100) * 1024 * 1024,
+  maxFiles: positiveNumber(process.env.UPLOAD_MAX_FILES, 10),
+  maxPages: positiveNumber(process.env.UPLOAD_MAX_PAGES, INDEX_OPTIONS.maxPages),
+};
+
+const upload = multer({
+  storage: uploadStorage,
+  limits: {
+    fileSize: UPLOAD_LIMITS.maxFileBytes,
+    files: UPLOAD_LIMITS.maxFiles,
+    fields: 50,
+    fieldSize: 64 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    // multer's size error doesn't say which file it was; remember the one being received
+    req.uploadingFile = file.originalname;
+    cb(null, true);
+  },
+});
+
+function formatMb(bytes) {
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+}
+
+function reject(res, status, error, code, files) {
+  return res.status(status).json(files ? { error, code, files } : { error, code });
+}
+
+/** map multer's errors to the structured 4xx shape */
+function sendMulterError(req, res, err) {
+  const filename = req.uploadingFile || null;
+  switch (err.code) {
+    case "LIMIT_FILE_SIZE":
+      return reject(res, 413, "Upload rejected", "FILE_TOO_LARGE", [
+        { filename, code: "FILE_TOO_LARGE", message: `File is larger than ${formatMb(UPLOAD_LIMITS.maxFileBytes)}` },
+      ]);
+    case "LIMIT_FILE_COUNT":
+      return reject(res, 413, `Too many files (max ${UPLOAD_LIMITS.maxFiles} per request)`, "TOO_MANY_FILES");
+    case "LIMIT_UNEXPECTED_FILE":
+      return reject(res, 400, `Unexpected file field '${err.field}' (field name must be 'file')`, "UNEXPECTED_FIELD");
+    default:
+      return reject(res, 400, "Malformed upload", "MALFORMED_UPLOAD");
+  }
+}
+
+/**
+ * Check one saved upload: non-empty, a supported type (by extension, then MIME type) whose
+ * loader can open it (PDF: magic bytes, no password; DOCX: readable archive; text formats: no
+ * binary content), page/section count within limits. Returns { code, message } on failure,
+ * null when valid. Sets file.format and file.pageCount so the manifest records them without another parse.
+ */
+export async function validateDocumentFile(file) {
+  if (!file.size) return { code: "EMPTY_FILE", message: "File is empty" };
+  const loader = loaderFor(file.originalname, file.mimetype);
+  if (!loader) {
+    return { code: "UNSUPPORTED_TYPE", message: `Unsupported file type (supported: ${SUPPORTED_EXTENSIONS.join(", ")})` };
+  }
+  const buffer = fs.readFileSync(file.path);
+  try {
+    const { pageCount } = await loader.inspect(buffer);
+    if (pageCount === 0 && loader.format !== "pdf") return { code: "EMPTY_DOCUMENT", message: `${loader.label} contains no text` };
+    if (pageCount !== null && pageCount > UPLOAD_LIMITS.maxPages) {
+      const unit = loader.format === "pdf" ? "pages" : "sections";
+      return { code: "TOO_MANY_PAGES", message: `${loader.label} has ${pageCount} ${unit} (max ${UPLOAD_LIMITS.maxPages})` };
+    }
+    file.format = loader.format;
+    file.pageCount = pageCount;
+    return null;
+  } catch (e) {
+    return { code: e.code || "UNREADABLE_FILE", message: e.message };
+  }
+}
+
+// "file" is the upload field; "pdf" is still accepted for clients written before other formats
+const UPLOAD_FIELDS = ["file", "pdf"];
+
+/**
+ * Middleware replacing upload.array(field): accepts files under "file" (or the legacy "pdf"),
+ * enforces size/count limits, then validates every received file. req.files is always a flat
+ * array afterwards. Any rejection removes all temp files of the request and answers with a 4xx
+ * (a JSON 500 when the files can't be stored or read).
+ */
+export function uploadDocuments() {
+  const receive = upload.fields(UPLOAD_FIELDS.map(name => ({ name, maxCount: UPLOAD_LIMITS.maxFiles })));
+  return (req, res, next) => {
+    const declared = Number(req.headers["content-length"]);
+    if (declared > UPLOAD_LIMITS.maxRequestBytes) {
+      res.set("Connection", "close"); // don't wait for a body we won't read
+      return reject(res, 413, `Request is larger than ${formatMb(UPLOAD_LIMITS.maxRequestBytes)}`, "REQUEST_TOO_LARGE");
+    }
+
+    receive(req, res, async (err) => {
+      if (err) {
+        // multer already removed the files it had written
+        console.warn("Upload rejected by multer:", err.code || err.message, req.uploadingFile || "");
+        if (err instanceof multer.MulterError) return sendMulterError(req, res, err);
+        // storage failures (disk full, permissions): JSON like every other upload error, not express's HTML page
+        return res.status(500).json({ error: "Upload failed", details: String(err) });
+      }
+
+      const files = UPLOAD_FIELDS.flatMap(name => req.files?.[name] || []);
+      req.files = files;
+      const total = files.reduce((n, f) => n + f.size, 0);
+      if (total > UPLOAD_LIMITS.maxRequestBytes) {
+        discardUploadedFiles(files);
+        return reject(res, 413, `Request is larger than ${formatMb(UPLOAD_LIMITS.maxRequestBytes)}`, "REQUEST_TOO_LARGE");
+      }
+
+      try {
+        const problems = [];
+        for (const f of files) {
+          const problem = await validateDocumentFile(f);
+          if (problem) problems.push({ filename: f.originalname, ...problem });
+        }
+        if (problems.length) {
+          console.warn("Upload rejected:", JSON.stringify(problems));
+          discardUploadedFiles(files);
+          return reject(res, 422, "Upload rejected", "INVALID_FILES", problems);
+        }
+      } catch (e) {
+        discardUploadedFiles(files);
+        return res.status(500).json({ error: "Upload failed", details: String(e) });
+      }
+      return next();
+    });
+  };
+}
@@ -0,0 +1,141 @@
+// userStore.js
+// Local user store (no external identity provider): auth/users.json
+//   { users: [{ id, username, passwordHash, apiKeys: [{ id, hash, createdAt }], createdAt }] }
+// Passwords are scrypt-hashed with a per-user salt; API keys are stored as sha256 hashes
+// and only shown once when created.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const AUTH_DIR = path.resolve(process.cwd(), "auth");
+const USERS_FILE = path.join(AUTH_DIR, "users.json");
+
+const USERNAME_RE = /^[a-z0-9._-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEYLEN = 64;
+
+function ensureAuthDir() {
+  if (!fs.existsSync(AUTH_DIR)) fs.mkdirSync(AUTH_DIR, { recursive: true, mode: 0o700 });
+}
+
+function loadUsers() {
+  if (!fs.existsSync(USERS_FILE)) return { users: [] };
+  try {
+    return JSON.parse(fs.readFileSync(USERS_FILE, "utf8"));
+  } catch (e) {
+    throw new Error("Loading user store failed: " + String(e));
+  }
+}
+
+function saveUsers(store) {
+  ensureAuthDir();
+  const tmp = `${USERS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, USERS_FILE);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/** public view of a user record */
+export function describeUser(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt };
+}
+
+export function findUserById(id) {
+  return loadUsers().users.find(u => u.id === id) || null;
+}
+
+export function listUsers() {
+  return loadUsers().users.map(u => ({ ...describeUser(u), apiKeys: (u.apiKeys || []).length }));
+}
+
+/** create a user; throws with code USERNAME_INVALID / PASSWORD_TOO_SHORT / USERNAME_TAKEN */
+export function createUser(username, password) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  if (!USERNAME_RE.test(String(username || ""))) {
+    throw fail("USERNAME_INVALID", "Username must be 3-32 characters: letters, digits, '.', '_' or '-'");
+  }
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    throw fail("PASSWORD_TOO_SHORT", `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const store = loadUsers();
+  if (store.users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+    throw fail("USERNAME_TAKEN", "Username already exists");
+  }
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    passwordHash: hashPassword(password),
+    apiKeys: [],
+    createdAt: new Date().toISOString(),
+  };
+  store.users.push(user);
+  saveUsers(store);
+  console.log("Created user", username);
+  return describeUser(user);
+}
+
+export function setPassword(username, password) {
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const store = loadUsers();
+  const user = store.users.find(u => u.username.toLowerCase() === String(username).toLowerCase());
+  if (!user) return false;
+  user.passwordHash = hashPassword(password);
+  saveUsers(store);
+  return true;
+}
+
+export function removeUser(username) {
+  const store = loadUsers();
+  const before = store.users.length;
+  store.users = store.users.filter(u => u.username.toLowerCase() !== String(username).toLowerCase());
+  if (store.users.length === before) return false;
+  saveUsers(store);
+  return true;
+}
+
+/** user for a username/password pair, or null */
+export function authenticateUser(username, password) {
+  const user = loadUsers().users.find(u => u.username.toLowerCase() === String(username || "").toLowerCase());
+  // hash anyway for unknown users so timing doesn't reveal which usernames exist
+  const ok = verifyPassword(String(password || ""), user ? user.passwordHash : hashPassword("x"));
+  return user && ok ? describeUser(user) : null;
+}
+
+/** issue a new API key for a user; the plain key is returned once and never stored */
+export function createApiKey(username) {
+  const store = loadUsers();
+  const user = store.users.find(u => u.username.toLowerCase() === String(username).toLowerCase());
+  if (!user) return null;
+  const key = `dck_${crypto.randomBytes(24).toString("base64url")}`;
+  user.apiKeys = user.apiKeys || [];
+  user.apiKeys.push({ id: crypto.randomUUID(), hash: hashApiKey(key), createdAt: new Date().toISOString() });
+  saveUsers(store);
+  return key;
+}
+
+/** user owning an API key, or null */
+export function authenticateApiKey(key) {
+  if (!key) return null;
+  const hash = hashApiKey(String(key));
+  const user = loadUsers().users.find(u => (u.apiKeys || []).some(k => k.hash === hash));
+  return user ? describeUser(user) : null;
+}
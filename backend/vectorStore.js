@@ -1,73 +1,46 @@
-// vectorSearchNoStore.js
-// Pure-Node vector search (no Python). Uses @huggingface/inference InferenceClient
-// with provider "nebius" and model "Qwen/Qwen3-Embedding-8B" (works with read tokens).
+// vectorStore.js
+// Pure-Node vector search (no Python). Embeddings come from the configured provider
+// (providers.js: Hugging Face, OpenAI-compatible endpoint, or the offline fake).
 
-import * as pdfParseModule from "pdf-parse";
-import { InferenceClient } from "@huggingface/inference";
+import { loadDocument } from "./documentLoaders.js";
+import { chunkPages, countTokens, normalizeChunking } from "./chunker.js";
+import { buildBm25Index, mergeBm25Indexes, scoreBm25, reciprocalRankFusion } from "./bm25.js";
+import { getEmbeddingProvider, providerLabel } from "./providers.js";
+import { callWithRetry, limitEmbedding } from "./resilience.js";
+import { OCR } from "./ocr.js";
+import { TABLES, chunkTables } from "./tables.js";
 
-const client = new InferenceClient(process.env.HF_TOKEN);
-
-// model + provider
-const EMBEDDING_MODEL = "intfloat/e5-mistral-7b-instruct";
-const EMBEDDING_PROVIDER = "sambanova";
-
-/** normalize provider embedding response for single or batch inputs */
-function normalizeProviderResponse(res, isArrayInput) {
-  // Many providers return arrays directly; others return objects.
-  // If provider returns plain array for batch: [ [..], [..] ]
-  if (Array.isArray(res) && (Array.isArray(res[0]) && typeof res[0][0] === "number")) {
-    return isArrayInput ? res : res[0];
-  }
-
-  // Some clients return {embedding: [...] } for single or [ { embedding: [...] }, ... ] for batch
-  if (!isArrayInput && Array.isArray(res) && typeof res[0] === "object" && Array.isArray(res[0].embedding)) {
-    return res[0].embedding;
-  }
-  if (isArrayInput && Array.isArray(res) && typeof res[0] === "object" && Array.isArray(res[0].embedding)) {
-    return res.map(item => item.embedding);
-  }
-
-  // Some versions of the HF client return plain arrays for single inputs
-  if (!isArrayInput && Array.isArray(res) && typeof res[0] === "number") return res;
-
-  // if provider returns { result: [...] } or { data: [...] } shapes, try common keys
-  if (res && typeof res === "object") {
-    if (Array.isArray(res.data)) {
-      // data: [ { embedding: [...] }, ... ]
-      if (isArrayInput) return res.data.map(d => d.embedding || d);
-      return res.data[0]?.embedding || res.data[0];
-    }
-    if (Array.isArray(res.result)) {
-      if (isArrayInput) return res.result.map(d => d.embedding || d);
-      return res.result[0]?.embedding || res.result[0];
-    }
-    if (Array.isArray(res.embedding)) {
-      // single
-      return isArrayInput ? [res.embedding] : res.embedding;
-    }
+/** new Error(prefix + cause) keeping the provider failure fields (stage, provider, status, code) */
+function withContext(prefix, e) {
+  const err = new Error(prefix + String(e));
+  for (const key of ["stage", "provider", "status", "code"]) {
+    if (e?.[key] !== undefined && e?.[key] !== null) err[key] = e[key];
   }
-
-  throw new Error("Unexpected embedding provider response shape: " + JSON.stringify(res).slice(0, 400));
+  return err;
 }
 
-/** call provider embeddings via InferenceClient */
-async function callProviderEmbeddings(inputs) {
-  const isArray = Array.isArray(inputs);
+/**
+ * call the configured embedding provider (see providers.js) with retries/timeouts,
+ * through the process-wide embedding concurrency limit. Document indexing (the default
+ * "embedding" stage) is bulk work; every other stage is a request waiting on the result
+ * (question, comparison, field embeddings) and jumps the indexing batches in the queue.
+ */
+export async function callProviderEmbeddings(inputs, signal, stage = "embedding") {
+  const provider = getEmbeddingProvider();
   try {
-    const res = await client.featureExtraction({
-      model: EMBEDDING_MODEL,
-      provider: EMBEDDING_PROVIDER,
-      inputs: inputs,
-    });
-    return normalizeProviderResponse(res, isArray);
+    return await limitEmbedding(() =>
+      callWithRetry((s) => provider.embed(inputs, { signal: s }), { stage, provider: providerLabel(provider), signal }),
+      { priority: stage !== "embedding" }
+    );
   } catch (e) {
+    if (signal?.aborted) throw e;
     // surface error details
-    throw new Error("Embedding provider call failed: " + String(e));
+    throw withContext("Embedding provider call failed: ", e);
   }
 }
 
 /** cosine similarity */
-function cosineSimilarity(a, b) {
+export function cosineSimilarity(a, b) {
   if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
   let dot = 0, na = 0, nb = 0;
   for (let i = 0; i < a.length; i++) {
@@ -79,116 +52,359 @@ function cosineSimilarity(a, b) {
   return dot / (Math.sqrt(na) * Math.sqrt(nb));
 }
 
+const INDEX_VERSION = 7;
+
 /**
- * vectorSearchForPdfBuffer(buffer, question, opts)
- * - No DB. All in-memory. Per-request page-level embeddings.
- * - Uses the provider embeddings via InferenceClient (nebius).
- * - Returns: { topPages, contextForLlama }
+ * options that shape a persisted chunk index; any change invalidates cached indexes.
+ * Chunking: { strategy, chunkSize, chunkOverlap } (see chunker.js), sizes in tokens.
+ * ocr: the OCR language, or false when scanned pages are left empty (see ocr.js).
+ * format: the document loader the index was built with (see documentLoaders.js).
+ * tables: whether tables were detected and indexed as their own chunks (see tables.js).
  */
-export async function vectorSearchForPdfBuffer(buffer, question, opts = {}) {
+export function indexOptionsFor(opts = {}) {
+  const { maxPages = 400, format = "pdf" } = opts;
+  return {
+    version: INDEX_VERSION,
+    embeddingModel: getEmbeddingProvider().model,
+    embeddingProvider: getEmbeddingProvider().name,
+    ...normalizeChunking(opts),
+    maxPages,
+    ocr: OCR.enabled ? OCR.lang : false,
+    format,
+    tables: TABLES.enabled,
+  };
+}
+
+/** true when a loaded index was built with the same model + chunking options */
+export function isIndexCompatible(index, opts = {}) {
+  if (!index || typeof index !== "object" || !index.options) return false;
+  if (!Array.isArray(index.chunks) || !Array.isArray(index.embeddings)) return false;
+  if (index.chunks.length !== index.embeddings.length) return false;
+  if (!index.bm25 || index.bm25.docCount !== index.chunks.length) return false;
+  return JSON.stringify(index.options) === JSON.stringify(indexOptionsFor(opts));
+}
+
+/**
+ * "Page 3" / "Pages 3-4" for a chunk/page entry; documents split into sections (p.unit "section")
+ * get "Section 3: Title" / "Sections 3-4" so their headings can anchor citations.
+ */
+export function pageLabel(p) {
+  const start = p.pageNumber ?? p.pageStart;
+  const end = p.pageEnd ?? start;
+  if (p.unit === "section") {
+    if (end > start) return `Sections ${start}-${end}`;
+    return p.title ? `Section ${start}: ${p.title}` : `Section ${start}`;
+  }
+  return end > start ? `Pages ${start}-${end}` : `Page ${start}`;
+}
+
+/**
+ * buildDocumentIndex(buffer, opts)
+ * - Loads the document with the loader for opts.format (default "pdf", see documentLoaders.js),
+ *   embeds every chunk once and builds the BM25 index alongside.
+ * - Formats without pages are indexed per section: "pages" are then numbered sections, unit is
+ *   "section" and sectionTitles maps section numbers to their headings.
+ * - Detected tables are stored as { id, page, caption, rows } (rows[0] is the header) and indexed
+ *   as extra chunks in Markdown form after the text chunks (chunk.tableId, rowStart, rowEnd).
+ * - Scanned pages are OCR'd during extraction (see pdfExtract.js); ocrConfidence maps their page
+ *   numbers to the OCR confidence (0-100), pagesWithoutText lists pages still empty afterwards.
+ * - opts.onProgress({ stage, ... }) is called per OCR'd page, after extraction and after each embedding batch.
+ * - opts.signal aborts between/inside provider calls.
+ * - Returns a plain JSON-serializable object:
+ *   { options, unit, pageCount, sectionTitles, tables, chunks, embeddings, bm25, ocrConfidence, pagesWithoutText, createdAt }
+ */
+export async function buildDocumentIndex(buffer, opts = {}) {
   const {
-    topK = 5,
-    chunkSizeWords = 300,
+    format = "pdf",
     maxPages = 400,
-    excerptChars = 1500,
     batchSize = 8, // provider batching: smaller batches may be safer depending on provider limits
+    signal,
+    onProgress = () => {},
   } = opts;
 
-  if (!buffer) throw new Error("No PDF buffer provided.");
-  if (!question || typeof question !== "string") throw new Error("Question string required.");
+  if (!buffer) throw new Error("No document buffer provided.");
+  signal?.throwIfAborted();
+
+  // ---------- Extract per-page (or per-section) text ----------
+  const { pages, pageCount, unit, ocr } = await loadDocument(buffer, format, { signal, maxPages, onProgress });
+  const indexedPages = pages.slice(0, maxPages);
+  const sectionTitles = Object.fromEntries(indexedPages.filter(p => p.title).map(p => [p.pageNumber, p.title]));
+  const ocrConfidence = Object.fromEntries(indexedPages.filter(p => p.ocr).map(p => [p.pageNumber, p.ocr.confidence]));
+  const pagesWithoutText = indexedPages.filter(p => !p.text).map(p => p.pageNumber);
+  if (ocr?.error) console.warn(`OCR incomplete (${ocr.pages} page(s) read): ${ocr.error}`);
 
-  // ---------- Extract text robustly ----------
-  let fullText = "";
+  // ---------- Chunk pages (chunks keep their real page numbers), then tables ----------
+  const tables = indexedPages.flatMap(p => (p.tables || []).map(t => ({ page: p.pageNumber, caption: t.caption || null, rows: t.rows })));
+  tables.forEach((t, id) => { t.id = id; });
+  let chunks = chunkPages(indexedPages, opts);
+  chunks.push(...chunkTables(tables, { chunkSize: normalizeChunking(opts).chunkSize, firstSeq: chunks.length }));
+  if (!chunks.length) chunks = [{ seq: 0, text: "", tokens: 0, pageStart: 1, pageEnd: Math.max(1, Math.min(pageCount, maxPages)), overlapChars: 0 }];
+  onProgress({ stage: "parsed", pages: pageCount, chunks: chunks.length, ocrPages: Object.keys(ocrConfidence).length, tables: tables.length });
+
+  // ---------- Embed chunks in batches using provider ----------
+  // batches run concurrently up to the shared embedding limit (see resilience.js);
+  // the first failure cancels the batches still waiting
+  const chunkEmbeddings = new Array(chunks.length);
+  const totalBatches = Math.ceil(chunks.length / batchSize);
+  const failFast = new AbortController();
+  const batchSignal = signal ? AbortSignal.any([signal, failFast.signal]) : failFast.signal;
+  let completed = 0;
   try {
-    const maybeFunc = pdfParseModule.default || pdfParseModule;
-    if (typeof maybeFunc === "function") {
-      const parseRes = await maybeFunc(buffer);
-      fullText = (parseRes && parseRes.text) ? parseRes.text : (typeof parseRes === "string" ? parseRes : "");
-    } else {
-      const PDFParseCtor = pdfParseModule.PDFParse || pdfParseModule.default?.PDFParse || pdfParseModule.PDFParser;
-      if (typeof PDFParseCtor === "function") {
-        let parsed = null;
-        try {
-          const parser = new PDFParseCtor({ buffer });
-          parsed = await parser.getText();
-          if (parser?.destroy) await parser.destroy();
-        } catch (e1) {
-          const uint8 = new Uint8Array(buffer);
-          const parser2 = new PDFParseCtor({ data: uint8 });
-          parsed = await parser2.getText();
-          if (parser2?.destroy) await parser2.destroy();
+    const starts = [];
+    for (let i = 0; i < chunks.length; i += batchSize) starts.push(i);
+    await Promise.all(starts.map(async (i) => {
+      try {
+        batchSignal.throwIfAborted();
+        const batch = chunks.slice(i, i + batchSize).map(c => c.text);
+        const batchEmb = await callProviderEmbeddings(batch, batchSignal);
+        if (!Array.isArray(batchEmb) || batchEmb.length !== batch.length) {
+          throw new Error("Provider returned unexpected batch embedding size");
         }
-        fullText = (parsed && parsed.text) ? parsed.text : (typeof parsed === "string" ? parsed : "");
-      } else {
-        throw new Error("pdf-parse: no usable export found.");
+        for (let k = 0; k < batchEmb.length; k++) {
+          chunkEmbeddings[i + k] = batchEmb[k];
+        }
+        onProgress({ stage: "embedding", batch: ++completed, totalBatches });
+      } catch (e) {
+        failFast.abort(e);
+        throw e;
       }
-    }
-  } catch (err) {
-    throw new Error("PDF text extraction failed: " + String(err));
+    }));
+  } catch (e) {
+    if (signal?.aborted) throw signal.reason;
+    throw withContext("Embedding pages failed: ", e);
   }
 
-  // ---------- Split into pages ----------
-  let pages = [];
-  if (fullText.includes("\f")) {
-    pages = fullText.split("\f").map(p => p.trim()).filter(Boolean);
-  } else {
-    const words = fullText.split(/\s+/).filter(Boolean);
-    for (let i = 0; i < words.length; i += chunkSizeWords) {
-      pages.push(words.slice(i, i + chunkSizeWords).join(" "));
-      if (pages.length >= maxPages) break;
+  return {
+    options: indexOptionsFor(opts),
+    unit,
+    pageCount,
+    sectionTitles,
+    tables,
+    chunks,
+    // page text as loaded, so comparisons (comparer.js) don't re-read or re-OCR the file
+    pages: indexedPages.map(p => ({ pageNumber: p.pageNumber, title: p.title || null, text: p.text || "" })),
+    embeddings: chunkEmbeddings,
+    bm25: buildBm25Index(chunks.map(c => c.text)),
+    ocrConfidence,
+    pagesWithoutText,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Merge selected chunks that are neighbours in the same document (consecutive seq) into one
+ * context block, dropping the overlap repeated at the start of each following chunk.
+ * Blocks keep the best chunk score and the union of their page ranges. Table chunks stay
+ * blocks of their own.
+ */
+function mergeAdjacentChunks(selected) {
+  const bySeq = [...selected].sort((a, b) => (a.docIndex - b.docIndex) || (a.seq - b.seq));
+  const blocks = [];
+  for (const c of bySeq) {
+    const prev = blocks[blocks.length - 1];
+    const isTable = c.tableId !== undefined;
+    if (prev && !isTable && prev.tableId === undefined && c.docIndex === prev.docIndex && c.seq === prev.lastSeq + 1) {
+      prev.text += " " + c.text.slice(c.overlapChars || 0);
+      prev.pageEnd = Math.max(prev.pageEnd, c.pageEnd);
+      prev.tokens += c.tokens;
+      prev.score = Math.max(prev.score, c.score);
+      if (prev.semanticScore !== null) prev.semanticScore = Math.max(prev.semanticScore, c.semanticScore);
+      prev.lexicalScore = Math.max(prev.lexicalScore, c.lexicalScore);
+      prev.lastSeq = c.seq;
+      prev.chunkCount++;
+    } else {
+      blocks.push({
+        docIndex: c.docIndex,
+        filename: c.filename,
+        pageNumber: c.pageNumber,
+        pageEnd: c.pageEnd,
+        text: c.text,
+        score: c.score,
+        semanticScore: c.semanticScore,
+        lexicalScore: c.lexicalScore,
+        tokens: c.tokens,
+        seq: c.seq,
+        lastSeq: c.seq,
+        chunkCount: 1,
+        ...(isTable && { tableId: c.tableId, rowStart: c.rowStart, rowEnd: c.rowEnd }),
+      });
     }
   }
-  if (!pages.length) pages = [fullText || ""];
+  for (const b of blocks) delete b.lastSeq;
+  return blocks.sort((a, b) => b.score - a.score);
+}
 
-  if (pages.length > maxPages) pages = pages.slice(0, maxPages);
+// global retrieval defaults: chunks ranked across all documents of a request, then capped
+export const RETRIEVAL_DEFAULTS = { topK: 8, maxContextTokens: 3000, maxPerDocument: Infinity };
 
-  // ---------- Embed pages in batches using provider ----------
-  const pageEmbeddings = new Array(pages.length);
+/** embed the question once (skipped for lexical-only retrieval) */
+async function embedQuestion(question, retrieval, signal) {
+  if (retrieval === "lexical") return null;
   try {
-    for (let i = 0; i < pages.length; i += batchSize) {
-      const batch = pages.slice(i, i + batchSize);
-      const batchEmb = await callProviderEmbeddings(batch);
-      if (!Array.isArray(batchEmb) || batchEmb.length !== batch.length) {
-        throw new Error("Provider returned unexpected batch embedding size");
-      }
-      for (let k = 0; k < batchEmb.length; k++) {
-        pageEmbeddings[i + k] = batchEmb[k];
-      }
-    }
+    return await callProviderEmbeddings(question, signal, "question embedding"); // single -> array
   } catch (e) {
-    throw new Error("Embedding pages failed: " + String(e));
+    if (signal?.aborted) throw signal.reason;
+    throw withContext("Embedding question failed: ", e);
   }
+}
 
-  // ---------- Embed question ----------
-  let qEmb;
-  try {
-    qEmb = await callProviderEmbeddings(question); // single -> array
-  } catch (e) {
-    throw new Error("Embedding question failed: " + String(e));
-  }
+/**
+ * Score every chunk of every document in one pool: cosine similarity plus BM25 over the
+ * combined corpus, fused with reciprocal rank fusion. Sorted best first.
+ */
+function scoreChunks(docs, question, qEmb, opts) {
+  const { retrieval = "hybrid", vectorWeight = 1, lexicalWeight = 1, rrfK = 60 } = opts;
 
-  // ---------- Score ----------
-  const scored = pages.map((text, idx) => {
-    const emb = pageEmbeddings[idx];
-    const score = Array.isArray(emb) && Array.isArray(qEmb) && emb.length === qEmb.length ? cosineSimilarity(qEmb, emb) : 0;
-    return { pageNumber: idx + 1, text, score };
+  const pool = [];
+  docs.forEach((doc, docIndex) => {
+    doc.index.chunks.forEach((chunk, idx) => pool.push({ doc, docIndex, chunk, emb: doc.index.embeddings[idx], idx }));
   });
 
-  scored.sort((a, b) => b.score - a.score);
-  const topPages = scored.slice(0, Math.min(topK, scored.length));
+  const semanticScores = pool.map(({ emb }) => (
+    Array.isArray(emb) && Array.isArray(qEmb) && emb.length === qEmb.length ? cosineSimilarity(qEmb, emb) : 0
+  ));
+  const lexicalScores = scoreBm25(mergeBm25Indexes(docs.map(d => d.index.bm25)), question);
+  const fusedScores = reciprocalRankFusion([
+    { scores: semanticScores, weight: retrieval === "lexical" ? 0 : vectorWeight },
+    { scores: lexicalScores, weight: retrieval === "vector" ? 0 : lexicalWeight },
+  ], rrfK);
 
-  // ---------- Build context for Llama ----------
-  const contextParts = topPages.map(p => {
-    const excerpt = (p.text || "").trim().slice(0, excerptChars);
-    return `--- Page ${p.pageNumber} (score=${p.score.toFixed(4)}) ---\n${excerpt}\n`;
-  });
+  return pool
+    .map(({ doc, docIndex, chunk, idx }, i) => ({
+      docIndex,
+      filename: doc.filename,
+      seq: chunk.seq ?? idx,
+      overlapChars: chunk.overlapChars || 0,
+      tokens: chunk.tokens ?? countTokens(chunk.text),
+      pageNumber: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      text: chunk.text,
+      score: fusedScores[i],
+      semanticScore: qEmb ? semanticScores[i] : null, // no cosine similarity without a question embedding (lexical)
+      lexicalScore: lexicalScores[i],
+      ...(chunk.tableId !== undefined && { tableId: chunk.tableId, rowStart: chunk.rowStart, rowEnd: chunk.rowEnd }),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Walk chunks best-first and keep them while they fit: at most topK chunks, at most
+ * maxContextTokens in total and (optionally) at most maxPerDocument chunks per document.
+ * The best chunk is always kept so an oversized chunk can't leave the context empty.
+ */
+function selectChunks(scored, opts) {
+  const { topK = 8, maxContextTokens = Infinity, maxPerDocument = Infinity } = opts;
+  const selected = [];
+  const perDoc = new Map();
+  let usedTokens = 0;
+
+  // chunks neither ranking matched (fused score 0) are never worth sending to the LLM
+  for (const c of scored) {
+    if (selected.length >= topK) break;
+    if (c.score <= 0) break;
+    if ((perDoc.get(c.docIndex) || 0) >= maxPerDocument) continue;
+    if (selected.length && usedTokens + c.tokens > maxContextTokens) continue;
+    selected.push(c);
+    perDoc.set(c.docIndex, (perDoc.get(c.docIndex) || 0) + 1);
+    usedTokens += c.tokens;
+  }
+  return { selected, usedTokens };
+}
+
+function formatContextBlock(p, excerptChars) {
+  const text = (p.text || "").trim();
+  const excerpt = text.length > excerptChars ? `${text.slice(0, excerptChars)} [...]` : text;
+  const where = p.filename ? `Document: ${p.filename} — ${pageLabel(p)}` : pageLabel(p);
+  const scanned = p.ocr ? " [scanned page, OCR text]" : "";
+  const table = p.table ? " [table]" : "";
+  return `--- ${where}${scanned}${table} (score=${p.score.toFixed(4)}) ---\n${excerpt}\n`;
+}
+
+/** [{ page, confidence }] for the OCR'd pages a block spans, or null when it is all real text */
+function ocrPagesOf(index, block) {
+  const pages = [];
+  for (let page = block.pageNumber; page <= (block.pageEnd ?? block.pageNumber); page++) {
+    const confidence = index.ocrConfidence?.[page];
+    if (confidence !== undefined) pages.push({ page, confidence });
+  }
+  return pages.length ? pages : null;
+}
 
-  const instruction =
-    `You are an AI assistant. Synthesize a concise one-paragraph summary of the documents using ONLY the information in the provided page contexts.\n` +
-    `Answer the user's question and for each fact or claim cite the page number in parentheses, e.g. "(Doc: tst.pdf — Page 3)".\n` +
-    `If the answer cannot be found in the provided pages, reply exactly: "Not found in the document."`;
+/** { caption, page, header, rows } of the table rows a table block holds */
+function tableOf(index, block) {
+  const table = index.tables?.[block.tableId];
+  if (!table) return null;
+  const [header, ...data] = table.rows;
+  return { caption: table.caption, page: table.page, header, rows: data.slice(block.rowStart, block.rowEnd) };
+}
+
+/**
+ * searchDocuments(docs, question, opts)
+ * - docs: [{ filename, index }] with indexes from buildDocumentIndex (same options, formats may differ).
+ * - Ranks chunks from all documents together (see scoreChunks), then applies a global topK,
+ *   a token budget for the combined context (opts.maxContextTokens) and an optional
+ *   per-document cap (opts.maxPerDocument). Neighbouring winners are merged into blocks.
+ * - opts.questionEmbedding skips embedding the question (callers searching many times embed in one batch).
+ * - Returns { topPages, perDocument: [{ filename, topPages }], contextForLlama, usedTokens }
+ *   where contextForLlama holds only the tagged page blocks (callers add instructions).
+ *   Blocks from scanned pages carry ocr: [{ page, confidence }]; every block carries the
+ *   document's unit ("page" | "section") and, for sections, the heading of its first section.
+ *   Table blocks hold the table in Markdown and carry table: { caption, page, header, rows }.
+ */
+export async function searchDocuments(docs, question, opts = {}) {
+  const { excerptChars = Infinity, retrieval = "hybrid", signal } = opts;
+  if (!question || typeof question !== "string") throw new Error("Question string required.");
+
+  const qEmb = opts.questionEmbedding || await embedQuestion(question, retrieval, signal);
+  const { selected, usedTokens } = selectChunks(scoreChunks(docs, question, qEmb, opts), opts);
+  const topPages = mergeAdjacentChunks(selected);
+  for (const p of topPages) {
+    const index = docs[p.docIndex].index;
+    p.unit = index.unit || "page";
+    p.title = index.sectionTitles?.[p.pageNumber] || null;
+    p.ocr = ocrPagesOf(index, p);
+    if (p.tableId !== undefined) p.table = tableOf(index, p);
+  }
+
+  // group by document, documents ordered by their best block
+  const perDocument = [];
+  for (const p of topPages) {
+    let entry = perDocument.find(d => d.docIndex === p.docIndex);
+    if (!entry) {
+      entry = { docIndex: p.docIndex, filename: p.filename, topPages: [] };
+      perDocument.push(entry);
+    }
+    entry.topPages.push(p);
+  }
+
+  const contextForLlama = topPages.map(p => formatContextBlock(p, excerptChars)).join("\n");
+  return { topPages, perDocument, contextForLlama, usedTokens };
+}
+
+/**
+ * vectorSearchForPdfBuffer(buffer, question, opts)
+ * - Single-document search (a PDF unless opts.format names another loader). Chunk embeddings come
+ *   from opts.index when it is compatible, otherwise they are computed for this request (see buildDocumentIndex).
+ * - Ranking/selection is searchDocuments with one document: hybrid cosine + BM25 scores fused
+ *   with reciprocal rank fusion (opts.retrieval: "hybrid" | "vector" | "lexical",
+ *   opts.vectorWeight / lexicalWeight / rrfK), topK chunks, neighbouring winners merged;
+ *   each block reports its parent page range (pageNumber..pageEnd).
+ * - Chunking is selectable per call: opts.strategy / chunkSize / chunkOverlap (see chunker.js).
+ * - opts.excerptChars optionally caps each block's text (default: no cap, chunk size bounds it).
+ * - Returns: { topPages, contextForLlama, index }; contextForLlama holds only the tagged blocks,
+ *   the instructions are added by the answer mode (see buildAnswerMessages in prompts.js).
+ */
+export async function vectorSearchForPdfBuffer(buffer, question, opts = {}) {
+  const { topK = 5 } = opts;
+
+  if (!question || typeof question !== "string") throw new Error("Question string required.");
+
+  let index = opts.index;
+  if (!isIndexCompatible(index, opts)) {
+    index = await buildDocumentIndex(buffer, opts);
+  }
 
-  const contextForLlama = `${instruction}\n\n${contextParts.join("\n")}`;
+  const { topPages, contextForLlama } = await searchDocuments([{ filename: null, index }], question, { ...opts, topK });
 
-  return { topPages, contextForLlama };
+  return { topPages, contextForLlama, index };
 }
@@ -1,85 +1,533 @@
 // src/App.jsx
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect, Suspense, lazy } from "react";
 import "./chat.css";
+import LoginForm from "./LoginForm.jsx";
+import TableExcerpt from "./TableExcerpt.jsx";
+import ComparisonView from "./ComparisonView.jsx";
+
+// pdf.js is large: load the viewer only when a passage is opened
+const PdfViewer = lazy(() => import("./PdfViewer.jsx"));
+
+/** read a text/event-stream response body, calling onEvent(event, data) per message */
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const raw = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      let event = "message";
+      let data = "";
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// uploadId + conversationId (+ the user they belong to) survive reloads so the conversation can be resumed
+const SESSION_KEY = "docchat.session";
+
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// login token + user; token is null when the server runs without authentication
+const AUTH_KEY = "docchat.auth";
+
+function loadAuth() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function authHeaders(auth) {
+  return auth?.token ? { Authorization: `Bearer ${auth.token}` } : {};
+}
+
+// answer modes (prompt, length, style) offered by the server; used until GET /modes answers
+const DEFAULT_MODES = [{ id: "concise", label: "Concise answer", description: "A short, direct answer" }];
+
+const WELCOME_MESSAGE = { id: 1, role: "system", text: "You can upload documents (PDF, Word, Markdown, HTML, text) and ask questions. Answers will cite pages or sections." };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** one progress-bar row from a /uploads/:id/status document */
+function ingestRow(d) {
+  const done = d.indexStatus === "indexed";
+  return {
+    documentId: d.id,
+    filename: d.originalName,
+    status: done || d.indexStatus === "failed" ? d.indexStatus : d.job?.status || d.indexStatus,
+    percent: done ? 100 : d.job?.percent || 0,
+    progress: d.job?.progress || null,
+    error: d.indexError || d.job?.error || null,
+  };
+}
+
+/** human-readable line for a backend progress event */
+function describeProgress(p) {
+  const file = p.totalFiles > 1 ? `${p.file} (${p.fileIndex}/${p.totalFiles})` : p.file;
+  if (p.stage === "ocr") return `Reading scanned pages of ${file}: ${p.page}/${p.totalPages}`;
+  if (p.stage === "parsed") return `Parsed ${file}: ${p.pages} page(s)`;
+  if (p.stage === "embedding") return `Embedding ${file}: batch ${p.batch}/${p.totalBatches}`;
+  if (p.stage === "rewriting") return "Understanding follow-up...";
+  if (p.stage === "summarizing") return `Summarizing ${file}: part ${p.part}/${p.totalParts}`;
+  if (p.stage === "reducing") return `Combining the summaries of ${file}${p.final ? "" : ` (round ${p.round})`}`;
+  if (p.stage === "combining") return `Summarizing across ${p.totalFiles} documents...`;
+  if (p.stage === "reading") return `Reading ${file}...`;
+  if (p.stage === "aligning") return `Aligning ${p.clauses} clauses...`;
+  if (p.stage === "explaining") return `Explaining changes: part ${p.batch}/${p.totalBatches}`;
+  return "Thinking...";
+}
+
+// the upload picker; the server decides by extension first (see documentLoaders.js)
+const ACCEPTED_FILES = [
+  ".pdf", ".docx", ".md", ".markdown", ".html", ".htm", ".txt",
+  "application/pdf", "application/vnd.openxmlformats-officedocument.wordprocessingml.document", "text/markdown", "text/html", "text/plain",
+].join(",");
+
+/** "Page 3" / "Pages 3-4", or "§ 3 Title" / "§§ 3-4" for documents split into sections */
+function pagesLabel(page, pageEnd, unit, title) {
+  if (unit === "section") {
+    if (pageEnd > page) return `§§ ${page}-${pageEnd}`;
+    return title ? `§ ${page} ${title}` : `§ ${page}`;
+  }
+  return pageEnd > page ? `Pages ${page}-${pageEnd}` : `Page ${page}`;
+}
+
+/** lowest OCR confidence of a source passage, or null when its text came from the PDF's text layer */
+function ocrConfidence(passage) {
+  return passage.ocr?.length ? Math.min(...passage.ocr.map((o) => o.confidence)) : null;
+}
+
+/** table rows backing the verified citations of an answer, once per distinct excerpt */
+function citedTables(segments) {
+  const seen = new Map();
+  for (const c of segments.flatMap((seg) => seg.citations)) {
+    if (!c.verified || !c.table) continue;
+    const key = JSON.stringify([c.document, c.table.page, c.table.caption, c.table.rows]);
+    if (!seen.has(key)) seen.set(key, c);
+  }
+  return [...seen.values()];
+}
+
+/** citation chip after a cited sentence; unverified citations are amber and explain why on hover */
+function CitationChip({ citation, onOpen }) {
+  const label = `${citation.document || "?"} · ${pagesLabel(citation.page, citation.pageEnd, citation.unit, citation.title)}`;
+  const title = citation.verified
+    ? citation.quote ? `“${citation.quote}”` : label
+    : `Unverified: ${citation.issueMessage || citation.issue}`;
+  return (
+    <button
+      type="button"
+      onClick={onOpen}
+      disabled={!citation.source}
+      title={title}
+      className={`ml-1 align-baseline text-xs px-2 py-0.5 rounded-full border ${citation.verified
+        ? "bg-indigo-50 border-indigo-200 text-indigo-700 hover:bg-indigo-100"
+        : "bg-amber-50 border-amber-300 text-amber-800 hover:bg-amber-100"
+        } disabled:cursor-not-allowed`}
+    >
+      {citation.verified ? label : `⚠ ${label}`}
+    </button>
+  );
+}
 
 export default function App() {
-  const [messages, setMessages] = useState([
-    { id: 1, role: "system", text: "You can upload PDFs and ask questions. Answers will cite pages." },
-  ]);
+  const [auth, setAuth] = useState(() => loadAuth());
+  const [authChecked, setAuthChecked] = useState(false);
+  const [messages, setMessages] = useState([WELCOME_MESSAGE]);
   const [input, setInput] = useState("");
   const [files, setFiles] = useState([]);
-  const [uploadId, setUploadId] = useState(null); // <-- added
+  const [uploadId, setUploadId] = useState(() => loadSession().uploadId || null);
+  const [conversationId, setConversationId] = useState(() => loadSession().conversationId || null);
   const [loading, setLoading] = useState(false);
   const [sources, setSources] = useState([]);
+  const [activeSource, setActiveSource] = useState(null); // { filename, page, quote } opened from a citation or page pill
+  const [warnings, setWarnings] = useState([]); // documents (or pages) no text could be extracted from
   const [error, setError] = useState(null);
+  const [fileErrors, setFileErrors] = useState({}); // filename -> server validation message
+  const [progress, setProgress] = useState(null);
+  const [ingest, setIngest] = useState([]); // per-document ingestion progress rows
+  const [streaming, setStreaming] = useState(false); // true once answer tokens are arriving
+  const [modes, setModes] = useState(DEFAULT_MODES);
+  const [mode, setMode] = useState(DEFAULT_MODES[0].id);
+  const [outline, setOutline] = useState(null); // { documents, sources } from the last document summary
+  const [documents, setDocuments] = useState([]); // documents of the current upload, for the compare picker
+  const [compareIds, setCompareIds] = useState({ base: "", revised: "" });
   const fileInputRef = useRef(null);
   const messagesEndRef = useRef(null);
 
-  function appendMessage(msg) {
-    setMessages((m) => [...m, { id: Date.now() + Math.random(), ...msg }]);
+  const userId = auth?.user?.id || null;
+
+  // keep the login and the session in localStorage
+  useEffect(() => {
+    if (auth) localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+    else localStorage.removeItem(AUTH_KEY);
+  }, [auth]);
+
+  useEffect(() => {
+    if (uploadId) localStorage.setItem(SESSION_KEY, JSON.stringify({ uploadId, conversationId, userId }));
+    else localStorage.removeItem(SESSION_KEY);
+  }, [uploadId, conversationId, userId]);
+
+  // on first load, check the stored token (or whether the server needs none)
+  useEffect(() => {
+    const stored = loadAuth();
+    fetch("/auth/me", { headers: authHeaders(stored) })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => setAuth(data ? { token: stored?.token || null, user: data.user } : null))
+      .catch((err) => console.warn("Could not check login:", err)) // server unreachable: keep what we have
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  // answer modes for the selector; keep the default list when the server is unreachable
+  useEffect(() => {
+    fetch("/modes")
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`Server error ${res.status}`))))
+      .then((data) => {
+        if (!data.modes?.length) return;
+        setModes(data.modes);
+        setMode(data.default || data.modes[0].id);
+      })
+      .catch((err) => console.warn("Could not load answer modes:", err));
+  }, []);
+
+  // once signed in, resume the stored conversation (messages + last sources)
+  useEffect(() => {
+    if (!authChecked || !userId) return;
+    const session = loadSession();
+    if (!session.uploadId || !session.conversationId || session.userId !== userId) return;
+    fetch(`/uploads/${encodeURIComponent(session.uploadId)}/conversations/${encodeURIComponent(session.conversationId)}`, {
+      headers: authHeaders(loadAuth()),
+    })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`Server error ${res.status}`))))
+      .then((conversation) => {
+        const restored = (conversation.messages || []).map((m, i) => ({
+          id: `restored-${i}`,
+          role: m.role,
+          text: m.content,
+          segments: m.segments,
+          sources: m.sources,
+          grounding: m.grounding,
+        }));
+        setMessages([WELCOME_MESSAGE, ...restored]);
+        const lastAnswer = [...(conversation.messages || [])].reverse().find((m) => m.role === "assistant");
+        setSources(Array.isArray(lastAnswer?.sources) ? lastAnswer.sources : []);
+        return fetch(`/uploads/${encodeURIComponent(session.uploadId)}/summary`, { headers: authHeaders(loadAuth()) });
+      })
+      .then((res) => (res?.ok ? res.json() : null))
+      .then((summary) => {
+        // outlines of documents summarized earlier (cached on the server, no model calls)
+        if (summary?.documents?.length) setOutline({ documents: summary.documents, sources: summary.sources });
+      })
+      .catch((err) => {
+        // conversation is gone (or server unreachable): start fresh on the next upload
+        console.warn("Could not resume conversation:", err);
+        setConversationId(null);
+      });
+  }, [authChecked, userId]);
+
+  // documents of the upload (refreshed after each request, which may have added some)
+  useEffect(() => {
+    if (!uploadId || loading) return;
+    fetch(`/uploads/${encodeURIComponent(uploadId)}/documents`, { headers: authHeaders(auth) })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`Server error ${res.status}`))))
+      .then((data) => {
+        const docs = data.documents || [];
+        setDocuments(docs);
+        // default to the two most recently added documents: earlier one as the base
+        setCompareIds((ids) =>
+          docs.some((d) => d.id === ids.base) && docs.some((d) => d.id === ids.revised)
+            ? ids
+            : { base: docs[docs.length - 2]?.id || "", revised: docs[docs.length - 1]?.id || "" });
+      })
+      .catch((err) => console.warn("Could not list documents:", err));
+  }, [uploadId, loading, auth]);
+
+  function resetChat() {
+    setMessages([WELCOME_MESSAGE]);
+    setSources([]);
+    setWarnings([]);
+    setActiveSource(null);
+    setOutline(null);
+    setDocuments([]);
+    setUploadId(null);
+    setConversationId(null);
+    setFiles([]);
+    setFileErrors({});
+    setIngest([]);
+    if (fileInputRef.current) fileInputRef.current.value = null;
+  }
+
+  function handleAuthenticated(next) {
+    // a stored session from another account is not ours to resume
+    if (loadSession().userId !== next.user?.id) resetChat();
+    setAuth(next);
+  }
+
+  function logout() {
+    resetChat();
+    setAuth(null);
+  }
+
+  function scrollToBottom() {
     setTimeout(() => messagesEndRef.current?.scrollIntoView({ behavior: "smooth" }), 50);
   }
 
+  function appendMessage(msg) {
+    const id = Date.now() + Math.random();
+    setMessages((m) => [...m, { id, ...msg }]);
+    scrollToBottom();
+    return id;
+  }
+
+  function updateMessage(id, update) {
+    setMessages((m) => m.map((msg) => (msg.id === id ? { ...msg, ...update(msg) } : msg)));
+  }
+
+  /** open the passage a citation points at in the viewer (with that answer's sources, it may be an older one) */
+  function openCitation(message, citation) {
+    if (!citation.source) return;
+    if (message.sources) setSources(message.sources);
+    setActiveSource({ ...citation.source, quote: citation.quote });
+  }
+
   function onFilesSelected(e) {
     // selecting files implies the user wants to upload new files -> clear previous uploadId
     if (uploadId) setUploadId(null);
+    setConversationId(null);
     const list = Array.from(e.target.files || []);
     setFiles(list);
+    setFileErrors({});
+  }
+
+  /** poll ingestion status until every document is indexed (or failed), updating the progress bars */
+  async function waitForIngestion(id, signal) {
+    for (;;) {
+      const res = await fetch(`/uploads/${encodeURIComponent(id)}/status`, { headers: authHeaders(auth), signal });
+      if (!res.ok) throw new Error(`Could not read indexing status (server error ${res.status})`);
+      const status = await res.json();
+      setIngest(status.documents.map(ingestRow));
+      if (status.ready) return status;
+      await sleep(1000);
+    }
+  }
+
+  /** clause-by-clause comparison of two documents of the upload, shown as an assistant message */
+  async function handleCompare() {
+    const base = documents.find((d) => d.id === compareIds.base);
+    const revised = documents.find((d) => d.id === compareIds.revised);
+    if (!base || !revised || base.id === revised.id) {
+      setError("Pick two different documents to compare.");
+      return;
+    }
+    setError(null);
+    setLoading(true);
+    setProgress(`Comparing ${base.originalName} with ${revised.originalName}...`);
+    appendMessage({ role: "user", text: `Compare ${base.originalName} (earlier) with ${revised.originalName} (later)` });
+    try {
+      const res = await fetch(`/uploads/${encodeURIComponent(uploadId)}/compare/stream`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders(auth) },
+        body: JSON.stringify({ baseDocumentId: base.id, revisedDocumentId: revised.id }),
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.details || body.error || `Server error ${res.status}`);
+      }
+      let data = null;
+      let streamError = null;
+      await readEventStream(res, (event, payload) => {
+        if (event === "progress") setProgress(describeProgress(payload));
+        else if (event === "done") data = payload;
+        else if (event === "error") streamError = `${payload.error}${payload.details ? `: ${payload.details}` : ""}`;
+      });
+      if (streamError) throw new Error(streamError);
+      if (!data) throw new Error("Connection closed before the comparison finished.");
+      const { added, removed, modified } = data.stats;
+      const intro = data.changes.length
+        ? `${modified} modified, ${added} added and ${removed} removed clause(s).`
+        : "No differences found between the two documents.";
+      const segments = [
+        { text: intro, citations: [] },
+        ...data.changes.flatMap((c, i) => (c.segments
+          ? [{ text: `\n\nChange ${i + 1}: `, citations: [] }, ...c.segments]
+          : [])),
+      ];
+      appendMessage({ role: "assistant", text: segments.map((seg) => seg.text).join(""), segments, sources: data.sources, comparison: data });
+      setSources(data.sources);
+    } catch (err) {
+      console.error(err);
+      setError(String(err.message || err));
+      appendMessage({ role: "assistant", text: "Error: " + (err.message || String(err)) });
+    } finally {
+      setLoading(false);
+      setProgress(null);
+    }
   }
 
   async function handleSend(e) {
     e?.preventDefault();
     setError(null);
+    setFileErrors({});
     const question = input.trim();
     // If no question and no files and no uploadId -> error
     if (!question && files.length === 0 && !uploadId) {
-      setError("Please type a question or attach PDFs.");
+      setError("Please type a question or attach documents.");
       return;
     }
 
-    appendMessage({ role: "user", text: question || (files.length ? "(uploaded files)" : "(using previous upload)") });
+    appendMessage({ role: "user", text: question || "(summarize the documents)" });
     setInput("");
 
-    const form = new FormData();
-
     // If we already have an uploadId from a prior upload, send it instead of files.
-    if (uploadId) {
-      form.append("uploadId", uploadId);
-    } else {
-      // first-time upload: attach files
-      files.forEach((f) => form.append("pdf", f, f.name));
+    function buildForm(id) {
+      const form = new FormData();
+      if (id) {
+        form.append("uploadId", id);
+        if (conversationId) form.append("conversationId", conversationId);
+      } else {
+        // first-time upload: attach files
+        files.forEach((f) => form.append("file", f, f.name));
+      }
+      if (question) {
+        form.append("question", question);
+        form.append("mode", mode);
+      }
+      return form;
     }
 
-    form.append("question", question || "Summarize the uploaded files.");
+    // without a question the whole documents are summarized (map-reduce, see summarizer.js on the server)
+    const endpoint = question ? "/ask/stream" : "/summarize/stream";
 
     setLoading(true);
+    setProgress(null);
+    let answerId = null;
 
     try {
       const controller = new AbortController();
       const timeout = setTimeout(() => controller.abort(), 10 * 60 * 1000);
 
-      const res = await fetch("/ask", {
-        method: "POST",
-        body: form,
-        signal: controller.signal,
-      });
+      const ask = (id) =>
+        fetch(endpoint, {
+          method: "POST",
+          headers: authHeaders(auth),
+          body: buildForm(id),
+          signal: controller.signal,
+        });
 
-      clearTimeout(timeout);
+      let res = await ask(uploadId);
+
+      if (res.status === 202) {
+        // files are stored but still being indexed: show per-document progress, then ask again
+        const pending = await res.json();
+        setUploadId(pending.uploadId);
+        setProgress("Indexing documents...");
+        await waitForIngestion(pending.uploadId, controller.signal);
+        setIngest([]);
+        setProgress(null);
+        res = await ask(pending.uploadId);
+      }
 
       if (!res.ok) {
+        clearTimeout(timeout);
+        if (res.status === 401) {
+          setAuth(null);
+          throw new Error("Your login has expired. Please sign in again.");
+        }
+        if (res.status === 403) {
+          // not our upload (e.g. stored by another account): start over with new files
+          setUploadId(null);
+          setConversationId(null);
+        }
+        if (res.status === 410) {
+          // the server cleaned up this upload: forget it so the next send uploads files again
+          setUploadId(null);
+          setConversationId(null);
+          throw new Error("This upload has expired on the server. Please attach the documents again.");
+        }
         const body = await res.text().catch(() => "");
+        let data = null;
+        try {
+          data = JSON.parse(body);
+        } catch {
+          // not JSON (proxy error page etc.)
+        }
+        if (Array.isArray(data?.documents) && data.documents.some((d) => d.error)) {
+          // every document failed to index
+          setFileErrors(Object.fromEntries(data.documents.map((d) => [d.filename, d.error])));
+        }
+        if (Array.isArray(data?.files) && data.files.length) {
+          // upload validation: mark each rejected file
+          setFileErrors(Object.fromEntries(data.files.map((f) => [f.filename, f.message])));
+          throw new Error(`${data.error}: ${data.files.map((f) => `${f.filename || "file"} — ${f.message}`).join("; ")}`);
+        }
+        if (data?.code === "RATE_LIMITED" || data?.code === "CIRCUIT_OPEN") {
+          // provider outage, not a problem with the request: say so instead of dumping details
+          const wait = res.headers.get("Retry-After") || "a few";
+          throw new Error(`The model provider is busy (${data.stage} via ${data.provider}). Please try again in ${wait} seconds.`);
+        }
+        if (data?.error) throw new Error(data.details ? `${data.error}: ${data.details}` : data.error);
         throw new Error(`Server error ${res.status}: ${body}`);
       }
 
-      const data = await res.json();
+      let streamError = null;
+      let answered = false;
+      await readEventStream(res, (event, data) => {
+        if (event === "progress") {
+          setProgress(describeProgress(data));
+        } else if (event === "sources") {
+          // retrieval is done: show sources (and keep uploadId for follow-ups) before the answer arrives
+          if (data.uploadId) setUploadId(data.uploadId);
+          if (data.conversationId) setConversationId(data.conversationId);
+          setSources(Array.isArray(data.sources) ? data.sources : []);
+          setWarnings(Array.isArray(data.warnings) ? data.warnings : []);
+          setActiveSource(null);
+          setProgress("Generating answer...");
+          if (data.pending?.length && data.uploadId) {
+            // some documents weren't indexed yet and were left out of this answer: keep showing their progress
+            waitForIngestion(data.uploadId)
+              .catch((err) => console.warn("Stopped watching indexing:", err))
+              .finally(() => setIngest([]));
+          }
+        } else if (event === "delta") {
+          if (answerId === null) {
+            answerId = appendMessage({ role: "assistant", text: "" });
+            setStreaming(true);
+          }
+          updateMessage(answerId, (m) => ({ text: m.text + data.text }));
+          scrollToBottom();
+        } else if (event === "done") {
+          answered = true;
+          // the final answer comes back as segments with checked citations: replace the raw streamed text
+          const final = { text: data.answer || "(no answer)", segments: data.segments, sources: data.sources, grounding: data.grounding };
+          if (answerId === null) answerId = appendMessage({ role: "assistant", ...final });
+          else updateMessage(answerId, () => final);
+          if (data.documents) setOutline({ documents: data.documents, sources: data.sources });
+        } else if (event === "error") {
+          streamError = `${data.error}${data.details ? `: ${data.details}` : ""}`;
+        }
+      });
 
-      // save uploadId returned by server (if any) for follow-ups
-      if (data.uploadId) {
-        setUploadId(data.uploadId);
-      }
+      clearTimeout(timeout);
 
-      appendMessage({ role: "assistant", text: data.answer || "(no answer)" });
-      setSources(Array.isArray(data.sources) ? data.sources : []);
+      if (streamError) throw new Error(streamError);
+      if (!answered) throw new Error("Connection closed before the answer finished.");
 
       // Clear local file handles (we keep uploadId so follow-ups work)
       if (!uploadId) {
@@ -91,12 +539,25 @@ export default function App() {
       console.error(err);
       if (err.name === "AbortError") setError("Request timed out.");
       else setError(String(err.message || err));
-      appendMessage({ role: "assistant", text: "Error: " + (err.message || String(err)) });
+      const text = "Error: " + (err.message || String(err));
+      if (answerId === null) appendMessage({ role: "assistant", text });
+      else updateMessage(answerId, (m) => ({ text: `${m.text}\n\n${text}` }));
     } finally {
       setLoading(false);
+      setProgress(null);
+      setStreaming(false);
     }
   }
 
+  if (!authChecked && !auth) {
+    return <div className="min-h-screen min-w-screen bg-gray-50 flex items-center justify-center text-gray-500">Loading...</div>;
+  }
+  if (!auth) return <LoginForm onAuthenticated={handleAuthenticated} />;
+
+  // the passage open in the viewer
+  const viewerSource = activeSource ? sources.find((s) => s.filename === activeSource.filename) : null;
+  const viewerPassage = viewerSource?.pages.find((p) => p.page === activeSource.page) || null;
+
   return (
     <div className="min-h-screen min-w-screen bg-gray-50 flex items-center justify-center p-4">
       <div className="w-full max-w-4xl bg-white rounded-2xl shadow-lg overflow-hidden flex flex-col">
@@ -108,23 +569,22 @@ export default function App() {
             </div>
             <div>
               <div className="text-lg font-semibold text-gray-900">Doc Chat</div>
-              <div className="text-sm text-gray-500">Upload PDFs · Ask questions · Cited answers</div>
+              <div className="text-sm text-gray-500">Upload documents · Ask questions · Cited answers</div>
             </div>
           </div>
 
           <div>
             <button
               className="text-sm px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200"
-              onClick={() => {
-                setMessages([{ id: 1, role: "system", text: "You can upload PDFs and ask questions. Answers will cite pages." }]);
-                setSources([]);
-                setUploadId(null);
-                setFiles([]);
-                if (fileInputRef.current) fileInputRef.current.value = null;
-              }}
+              onClick={resetChat}
             >
               Reset
             </button>
+            {auth?.token && (
+              <button className="ml-2 text-sm px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200" onClick={logout} title={`Signed in as ${auth.user?.username}`}>
+                Sign out
+              </button>
+            )}
           </div>
         </header>
 
@@ -137,14 +597,50 @@ export default function App() {
                   className={`max-w-[75%] px-4 py-3 rounded-lg break-words ${m.role === "user" ? "bg-indigo-600 text-white rounded-br-sm" : "bg-gray-100 text-gray-900 rounded-bl-sm"
                     }`}
                 >
-                  <div className="text-sm whitespace-pre-wrap">{m.text}</div>
+                  <div className="text-sm whitespace-pre-wrap">
+                    {m.segments
+                      ? m.segments.map((seg, i) => (
+                        <span key={i}>
+                          {seg.text}
+                          {seg.citations.map((c, j) => (
+                            <CitationChip key={j} citation={c} onOpen={() => openCitation(m, c)} />
+                          ))}
+                        </span>
+                      ))
+                      : m.text}
+                  </div>
+                  {m.segments &&
+                    citedTables(m.segments).map((c, i) => (
+                      <TableExcerpt key={i} table={c.table} label={`${c.document} · ${pagesLabel(c.table.page, c.table.page, c.unit)}`} />
+                    ))}
+                  {m.comparison && (
+                    <ComparisonView
+                      comparison={m.comparison}
+                      formatPages={pagesLabel}
+                      onOpen={(filename, page) => {
+                        setSources(m.sources);
+                        setActiveSource({ filename, page, quote: null });
+                      }}
+                    />
+                  )}
+                  {m.segments?.some((seg) => seg.citations.some((c) => !c.verified)) && (
+                    <div className="mt-2 text-xs text-amber-700">Some citations could not be verified against the retrieved pages.</div>
+                  )}
+                  {m.grounding?.warning && (
+                    <div
+                      className="mt-2 text-xs text-amber-700"
+                      title={m.grounding.claims.filter((c) => !c.supported).map((c) => `Unsupported: ${c.text}`).join("\n") || undefined}
+                    >
+                      Parts of this answer may not be supported by the documents (grounding {Math.round(m.grounding.score * 100)}%).
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
 
-            {loading && (
+            {loading && !streaming && (
               <div className="flex justify-start">
-                <div className="max-w-[75%] px-4 py-3 rounded-lg bg-gray-100 text-gray-700 animate-pulse">Thinking...</div>
+                <div className="max-w-[75%] px-4 py-3 rounded-lg bg-gray-100 text-gray-700 animate-pulse">{progress || "Thinking..."}</div>
               </div>
             )}
 
@@ -152,24 +648,100 @@ export default function App() {
           </div>
         </main>
 
+        {/* Indexing progress */}
+        {ingest.length > 0 && (
+          <section className="px-6 py-4 border-t bg-white">
+            <div className="text-sm font-medium text-gray-800">Indexing</div>
+            <div className="mt-3 flex flex-col gap-3">
+              {ingest.map((d) => (
+                <div key={d.documentId}>
+                  <div className="flex justify-between text-xs text-gray-600">
+                    <span>{d.filename}</span>
+                    <span className={d.status === "failed" ? "text-red-600" : ""}>
+                      {d.status === "failed" ? `Failed: ${d.error}` : d.progress ? describeProgress({ ...d.progress, file: d.filename }) : d.status}
+                    </span>
+                  </div>
+                  <div className="mt-1 h-2 rounded-full bg-gray-100 overflow-hidden">
+                    <div
+                      className={`h-full transition-all ${d.status === "failed" ? "bg-red-400" : "bg-indigo-500"}`}
+                      style={{ width: `${d.status === "failed" ? 100 : d.percent}%` }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Outline of the summarized documents */}
+        {outline && (
+          <section className="px-6 py-4 border-t bg-white">
+            <div className="text-sm font-medium text-gray-800">Outline</div>
+            <div className="mt-3 flex flex-col gap-3">
+              {outline.documents.map((d) => (
+                <details key={d.documentId || d.filename} className="p-3 border rounded-lg" open={outline.documents.length === 1}>
+                  <summary className="cursor-pointer text-sm font-medium text-gray-800">{d.filename}</summary>
+                  {d.summary && <p className="mt-2 text-sm text-gray-700">{d.segments ? d.segments.map((seg) => seg.text).join("") : d.summary}</p>}
+                  <ol className="mt-2 flex flex-col gap-2">
+                    {d.outline.map((entry, i) => (
+                      <li key={i} className="text-sm">
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setSources(outline.sources);
+                            setActiveSource({ filename: d.filename, page: entry.page, quote: null });
+                          }}
+                          className="text-left text-indigo-700 hover:underline"
+                        >
+                          <span className="text-xs text-gray-500 mr-2">{pagesLabel(entry.page, entry.pageEnd, entry.unit)}</span>
+                          {entry.title}
+                        </button>
+                        <div className="text-xs text-gray-600">{entry.segments ? entry.segments.map((seg) => seg.text).join("") : entry.summary}</div>
+                      </li>
+                    ))}
+                  </ol>
+                </details>
+              ))}
+            </div>
+          </section>
+        )}
+
         {/* Sources */}
         <section className="px-6 py-4 border-t bg-white">
           <div className="flex items-center justify-between">
             <div className="text-sm font-medium text-gray-800">Sources</div>
-            <div className="text-sm text-gray-500">
-              {sources.length} document(s)
-              {uploadId ? <span className="text-xs text-gray-400 ml-2">· uploadId: <code className="bg-gray-100 px-2 py-0.5 rounded">{uploadId}</code></span> : null}
-            </div>
+            <div className="text-sm text-gray-500">{sources.length} document(s)</div>
           </div>
 
+          {warnings.map((w, i) => (
+            <div key={i} className="mt-2 text-xs text-amber-700">
+              {w.filename}: {w.message}
+              {w.pages ? ` (page ${w.pages.join(", ")})` : ""}
+            </div>
+          ))}
+
           <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
             {sources.map((s, i) => (
               <div key={i} className="p-3 border rounded-lg bg-white">
                 <div className="font-medium text-sm text-gray-800">{s.filename}</div>
                 <div className="mt-2 flex flex-wrap gap-2">
-                  {s.pages.map((p, idx) => (
-                    <span key={idx} className="text-xs bg-gray-100 px-2 py-1 rounded-full text-gray-600">Page {p.page}</span>
-                  ))}
+                  {s.pages.map((p, idx) => {
+                    const active = activeSource?.filename === s.filename && activeSource?.page === p.page;
+                    const confidence = ocrConfidence(p);
+                    return (
+                      <button
+                        key={idx}
+                        type="button"
+                        title={confidence !== null ? `Scanned page, text read by OCR (confidence ${confidence}%)` : undefined}
+                        onClick={() => setActiveSource(active ? null : { filename: s.filename, page: p.page, quote: null })}
+                        className={`text-xs px-2 py-1 rounded-full ${active ? "bg-indigo-600 text-white" : "bg-gray-100 text-gray-600 hover:bg-gray-200"}`}
+                      >
+                        {pagesLabel(p.page, p.pageEnd, p.unit, p.title)}
+                        {confidence !== null && ` · OCR ${confidence}%`}
+                        {p.table && " · table"}
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
             ))}
@@ -194,7 +766,7 @@ export default function App() {
                   ref={fileInputRef}
                   onChange={onFilesSelected}
                   type="file"
-                  accept="application/pdf"
+                  accept={ACCEPTED_FILES}
                   multiple
                   className="hidden"
                   id="fileUpload"
@@ -206,20 +778,69 @@ export default function App() {
                   className="cursor-pointer px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-medium 
                hover:bg-indigo-700 active:bg-indigo-800 transition"
                 >
-                  📄 Upload PDF
+                  📄 Upload documents
                 </label>
                 <div className="text-sm text-gray-500">{files.length} file(s) selected</div>
 
+                <select
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                  title={modes.find((m) => m.id === mode)?.description || undefined}
+                  aria-label="Answer mode"
+                  className="text-sm rounded-lg border border-gray-200 px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-200"
+                >
+                  {modes.map((m) => (
+                    <option key={m.id} value={m.id} title={m.description}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+
                 <div className="flex gap-2 flex-wrap ml-auto sm:ml-0">
                   {files.map((f, idx) => (
-                    <span key={idx} className="text-xs bg-gray-100 px-2 py-1 rounded">{f.name}</span>
+                    <span
+                      key={idx}
+                      title={fileErrors[f.name] || undefined}
+                      className={`text-xs px-2 py-1 rounded ${fileErrors[f.name] ? "bg-red-100 text-red-700" : "bg-gray-100"}`}
+                    >
+                      {f.name}
+                      {fileErrors[f.name] ? ` — ${fileErrors[f.name]}` : ""}
+                    </span>
                   ))}
                 </div>
               </div>
 
               {uploadId && (
-                <div className="mt-2 text-sm text-gray-500">
-                  Using stored upload <span className="font-mono bg-gray-100 px-2 py-0.5 rounded">{uploadId}</span>. Select files to replace.
+                <div className="mt-2 text-sm text-gray-500">Using your previous upload. Select files to replace.</div>
+              )}
+
+              {uploadId && documents.length > 1 && (
+                <div className="mt-2 flex items-center gap-2 flex-wrap text-sm text-gray-600">
+                  <span>Compare</span>
+                  {[["base", "Earlier version"], ["revised", "Later version"]].map(([key, label]) => (
+                    <select
+                      key={key}
+                      value={compareIds[key]}
+                      onChange={(e) => setCompareIds((ids) => ({ ...ids, [key]: e.target.value }))}
+                      aria-label={label}
+                      title={label}
+                      className="text-sm rounded-lg border border-gray-200 px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-200"
+                    >
+                      {documents.map((d) => (
+                        <option key={d.id} value={d.id}>
+                          {d.originalName}
+                        </option>
+                      ))}
+                    </select>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={handleCompare}
+                    disabled={loading || compareIds.base === compareIds.revised}
+                    className="text-sm px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Show changes
+                  </button>
                 </div>
               )}
             </div>
@@ -238,6 +859,21 @@ export default function App() {
           {error && <div className="mt-3 text-sm text-red-600">{error}</div>}
         </form>
       </div>
+
+      {viewerPassage && (
+        <Suspense fallback={null}>
+          <PdfViewer
+            key={viewerSource.documentId || viewerSource.filename}
+            uploadId={uploadId}
+            documentId={uploadId && (viewerSource.format || "pdf") === "pdf" ? viewerSource.documentId : null}
+            filename={viewerSource.filename}
+            passage={viewerPassage}
+            quote={activeSource.quote}
+            token={auth?.token}
+            onClose={() => setActiveSource(null)}
+          />
+        </Suspense>
+      )}
     </div>
   );
   ;
@@ -0,0 +1,53 @@
+// src/ComparisonView.jsx
+import React from "react";
+
+const KIND_STYLES = {
+  added: "bg-green-100 text-green-800",
+  removed: "bg-red-100 text-red-800",
+  modified: "bg-amber-100 text-amber-800",
+};
+
+/**
+ * Clause-level changes between two documents (from POST /uploads/:id/compare).
+ * - comparison: { base, revised, changes } where each change has kind, base/revised clauses
+ *   ({ page, pageEnd, unit, title, text } or null) and, for modified clauses, a word diff.
+ * - formatPages(page, pageEnd, unit, title): label of a clause's location.
+ * - onOpen(filename, page): show a clause in the viewer.
+ */
+export default function ComparisonView({ comparison, formatPages, onOpen }) {
+  const { base, revised, changes } = comparison;
+  const location = (doc, clause) =>
+    clause && (
+      <button type="button" onClick={() => onOpen(doc.filename, clause.page)} className="text-indigo-700 hover:underline">
+        {doc.filename} · {formatPages(clause.page, clause.pageEnd, clause.unit, clause.title)}
+      </button>
+    );
+
+  return (
+    <ol className="mt-3 flex flex-col gap-2">
+      {changes.map((c, i) => (
+        <li key={i} className="p-2 rounded-lg bg-white border text-xs">
+          <div className="flex flex-wrap items-center gap-2 text-gray-500">
+            <span className="font-medium text-gray-700">Change {i + 1}</span>
+            <span className={`px-2 py-0.5 rounded-full ${KIND_STYLES[c.kind]}`}>{c.kind}</span>
+            {c.material === false && <span className="px-2 py-0.5 rounded-full bg-gray-100">immaterial</span>}
+            {location(base, c.base)}
+            {c.base && c.revised && "→"}
+            {location(revised, c.revised)}
+          </div>
+          <p className="mt-1 text-gray-800 whitespace-pre-wrap">
+            {c.diff
+              ? c.diff.map((part, j) => {
+                if (part.op === "delete") return <del key={j} className="bg-red-50 text-red-700">{part.text} </del>;
+                if (part.op === "insert") return <ins key={j} className="bg-green-50 text-green-800 no-underline">{part.text} </ins>;
+                return <span key={j}>{part.text} </span>;
+              })
+              : c.kind === "removed"
+                ? <del className="bg-red-50 text-red-700">{c.base.text}</del>
+                : <ins className="bg-green-50 text-green-800 no-underline">{c.revised.text}</ins>}
+          </p>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,79 @@
+// src/LoginForm.jsx
+import React, { useState } from "react";
+
+/** sign-in (or sign-up, when the server allows it) form; calls onAuthenticated({ token, user }) */
+export default function LoginForm({ onAuthenticated }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [mode, setMode] = useState("login"); // "login" | "register"
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+    try {
+      const res = await fetch(mode === "login" ? "/auth/login" : "/auth/register", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: username.trim(), password }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Server error ${res.status}`);
+      onAuthenticated({ token: data.token, user: data.user });
+    } catch (err) {
+      setError(String(err.message || err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen min-w-screen bg-gray-50 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-2xl shadow-lg p-6 flex flex-col gap-4 text-black">
+        <div>
+          <div className="text-lg font-semibold text-gray-900">Doc Chat</div>
+          <div className="text-sm text-gray-500">{mode === "login" ? "Sign in to your documents" : "Create an account"}</div>
+        </div>
+
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          className="rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+        />
+        <input
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          type="password"
+          autoComplete={mode === "login" ? "current-password" : "new-password"}
+          className="rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+        />
+
+        <button
+          type="submit"
+          disabled={loading || !username.trim() || !password}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {mode === "login" ? "Sign in" : "Create account"}
+        </button>
+
+        <button
+          type="button"
+          className="text-sm text-indigo-600 hover:underline"
+          onClick={() => {
+            setMode(mode === "login" ? "register" : "login");
+            setError(null);
+          }}
+        >
+          {mode === "login" ? "No account? Create one" : "Have an account? Sign in"}
+        </button>
+
+        {error && <div className="text-sm text-red-600">{error}</div>}
+      </form>
+    </div>
+  );
+}
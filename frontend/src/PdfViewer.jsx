@@ -0,0 +1,237 @@
+// src/PdfViewer.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { GlobalWorkerOptions, Util, getDocument } from "pdfjs-dist";
+import workerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import TableExcerpt from "./TableExcerpt.jsx";
+
+GlobalWorkerOptions.workerSrc = workerUrl;
+
+const normalize = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/** "quote" / "excerpt" when a PDF text item belongs to the cited quote or the retrieved excerpt */
+function highlightKind(item, excerpt, quote) {
+  const text = normalize(item.str);
+  if (text.length < 3) return null; // page numbers, bullets: too short to match reliably
+  if (quote && (text.includes(quote) || quote.includes(text))) return "quote";
+  if (excerpt && excerpt.includes(text)) return "excerpt";
+  return null;
+}
+
+/** extracted text with the cited quote highlighted (matched case- and whitespace-insensitively) */
+function HighlightedExcerpt({ text, quote }) {
+  const words = (quote || "").replace(/…$/, "").trim().split(/\s+/).filter(Boolean);
+  const match = words.length
+    ? text.match(new RegExp(words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+"), "i"))
+    : null;
+  if (!match) return <span>{text}</span>;
+  return (
+    <span>
+      {text.slice(0, match.index)}
+      <mark className="bg-yellow-200 rounded px-0.5">{match[0]}</mark>
+      {text.slice(match.index + match[0].length)}
+    </span>
+  );
+}
+
+function formatScore(value) {
+  return typeof value === "number" ? value.toFixed(4) : "—";
+}
+
+/**
+ * Side panel showing a stored PDF at a retrieved passage, with the passage (and the cited quote)
+ * highlighted over the rendered page. The "Extracted text" tab shows the text and scores from `sources`.
+ * - passage: a `sources[].pages[]` entry ({ page, pageEnd, excerpt, score, semanticScore, lexicalScore, ocr, table }).
+ *   Table passages show their rows as a table in the "Extracted text" tab.
+ * - documentId is null for answers stored before sources carried it and for documents that are not
+ *   PDFs (Word, Markdown, HTML, text): only the text is shown then, with sections instead of pages.
+ */
+export default function PdfViewer({ uploadId, documentId, filename, passage, quote, token, onClose }) {
+  const [pdf, setPdf] = useState(null);
+  const [error, setError] = useState(null);
+  const [view, setView] = useState(documentId ? "pdf" : "text"); // "pdf" | "text"
+  const [pageNumber, setPageNumber] = useState(passage.page);
+  const [shownPassage, setShownPassage] = useState(passage);
+  const [highlights, setHighlights] = useState({ page: null, rects: [] });
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  // another passage of the same document was opened: jump to it
+  if (passage !== shownPassage) {
+    setShownPassage(passage);
+    setPageNumber(passage.page);
+  }
+
+  // fetch the file with the auth header (so no token in the URL) and hand the bytes to pdf.js
+  useEffect(() => {
+    if (!documentId) return;
+    let cancelled = false;
+    let loaded = null;
+    (async () => {
+      try {
+        const url = `/uploads/${encodeURIComponent(uploadId)}/documents/${encodeURIComponent(documentId)}/view`;
+        const res = await fetch(url, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        if (!res.ok) throw new Error(`Could not load the PDF (server error ${res.status})`);
+        const data = new Uint8Array(await res.arrayBuffer());
+        loaded = await getDocument({ data }).promise;
+        if (cancelled) return loaded.destroy();
+        setPdf(loaded);
+      } catch (err) {
+        if (!cancelled) setError(String(err.message || err));
+      }
+    })();
+    return () => {
+      cancelled = true;
+      loaded?.destroy();
+    };
+  }, [uploadId, documentId, token]);
+
+  // render the current page to fit the panel, then place highlight boxes over matching text items
+  useEffect(() => {
+    if (!pdf || view !== "pdf") return;
+    let cancelled = false;
+    let renderTask = null;
+    (async () => {
+      try {
+        const page = await pdf.getPage(pageNumber);
+        const base = page.getViewport({ scale: 1 });
+        const scale = (containerRef.current?.clientWidth || base.width) / base.width;
+        const viewport = page.getViewport({ scale });
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        canvas.style.width = `${viewport.width}px`;
+        canvas.style.height = `${viewport.height}px`;
+        renderTask = page.render({ canvas, viewport, transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : undefined });
+        await renderTask.promise;
+
+        const inPassage = pageNumber >= shownPassage.page && pageNumber <= (shownPassage.pageEnd ?? shownPassage.page);
+        const excerpt = inPassage ? normalize(shownPassage.excerpt).replace(/ \[\.\.\.\]$/, "") : "";
+        const quoteText = inPassage ? normalize(quote).replace(/…$/, "") : "";
+        const content = await page.getTextContent();
+        if (cancelled) return;
+        const rects = content.items.flatMap((item) => {
+          const kind = highlightKind(item, excerpt, quoteText);
+          if (!kind) return [];
+          const tx = Util.transform(viewport.transform, item.transform);
+          const height = Math.hypot(tx[2], tx[3]);
+          return [{ kind, left: tx[4], top: tx[5] - height, width: item.width * scale, height }];
+        });
+        setHighlights({ page: pageNumber, rects });
+      } catch (err) {
+        if (!cancelled && err?.name !== "RenderingCancelledException") setError(String(err.message || err));
+      }
+    })();
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, view, shownPassage, quote]);
+
+  const pageCount = pdf?.numPages || null;
+  const unit = shownPassage.unit === "section" ? "Section" : "Page";
+  const passageLabel =
+    shownPassage.pageEnd > shownPassage.page
+      ? `${unit}s ${shownPassage.page}-${shownPassage.pageEnd}`
+      : `${unit} ${shownPassage.page}${shownPassage.title ? `: ${shownPassage.title}` : ""}`;
+
+  return (
+    <aside className="fixed inset-y-0 right-0 z-50 w-full sm:w-[40rem] bg-white shadow-2xl border-l flex flex-col text-black">
+      <div className="px-4 py-3 border-b flex items-center justify-between gap-3">
+        <div className="min-w-0">
+          <div className="font-medium text-sm text-gray-800 truncate">{filename}</div>
+          <div className="text-xs text-gray-500">Retrieved passage: {passageLabel}</div>
+        </div>
+        <button type="button" className="text-sm px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="px-4 py-2 border-b flex items-center justify-between gap-3 text-sm">
+        <div className="flex gap-1">
+          {[
+            ["pdf", "PDF"],
+            ["text", "Extracted text"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              disabled={key === "pdf" && !documentId}
+              onClick={() => setView(key)}
+              className={`px-3 py-1 rounded-lg ${view === key ? "bg-indigo-600 text-white" : "bg-gray-100 hover:bg-gray-200"} disabled:opacity-50`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {view === "pdf" && pageCount && (
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+              disabled={pageNumber <= 1}
+              onClick={() => setPageNumber(pageNumber - 1)}
+            >
+              ‹
+            </button>
+            <span className="text-xs text-gray-600">
+              Page {pageNumber} / {pageCount}
+            </span>
+            <button
+              type="button"
+              className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+              disabled={pageNumber >= pageCount}
+              onClick={() => setPageNumber(pageNumber + 1)}
+            >
+              ›
+            </button>
+            {pageNumber !== shownPassage.page && (
+              <button type="button" className="text-xs text-indigo-600 hover:underline" onClick={() => setPageNumber(shownPassage.page)}>
+                Back to passage
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-auto p-4">
+        {error && <div className="mb-3 text-sm text-red-600">{error}</div>}
+
+        {view === "pdf" ? (
+          <div ref={containerRef} className="relative w-full">
+            {!pdf && !error && <div className="text-sm text-gray-500">Loading PDF...</div>}
+            <canvas ref={canvasRef} className="block" />
+            {highlights.page === pageNumber &&
+              highlights.rects.map((r, i) => (
+                <div
+                  key={i}
+                  className={`absolute pointer-events-none rounded-sm ${r.kind === "quote" ? "bg-yellow-300/60" : "bg-indigo-300/25"}`}
+                  style={{ left: r.left, top: r.top, width: r.width, height: r.height }}
+                />
+              ))}
+          </div>
+        ) : (
+          <div>
+            <div className="text-xs text-gray-500">
+              Score {formatScore(shownPassage.score)} · semantic {formatScore(shownPassage.semanticScore)} · lexical{" "}
+              {formatScore(shownPassage.lexicalScore)}
+            </div>
+            {shownPassage.ocr?.length > 0 && (
+              <div className="mt-1 text-xs text-amber-700">
+                Scanned page(s): text read by OCR ({shownPassage.ocr.map((o) => `page ${o.page}: ${o.confidence}% confidence`).join(", ")})
+              </div>
+            )}
+            {shownPassage.table ? (
+              <TableExcerpt table={shownPassage.table} />
+            ) : (
+              <div className="mt-3 text-sm whitespace-pre-wrap">
+                {shownPassage.excerpt ? <HighlightedExcerpt text={shownPassage.excerpt} quote={quote} /> : "No extracted text stored for this passage."}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </aside>
+  );
+}
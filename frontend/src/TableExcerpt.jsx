@@ -0,0 +1,40 @@
+// src/TableExcerpt.jsx
+import React from "react";
+
+/**
+ * Rows of a document table returned with an answer or a source passage.
+ * - table: { caption, page, header, rows } (rows are arrays of cell strings, without the header).
+ * - label: where the table comes from, e.g. "report.pdf · Page 7".
+ */
+export default function TableExcerpt({ table, label }) {
+  return (
+    <figure className="mt-2 overflow-x-auto">
+      <figcaption className="text-xs text-gray-500 mb-1">
+        {table.caption || "Table"}
+        {label && ` · ${label}`}
+      </figcaption>
+      <table className="text-xs border-collapse bg-white">
+        <thead>
+          <tr>
+            {table.header.map((cell, i) => (
+              <th key={i} className="border border-gray-300 px-2 py-1 text-left font-medium bg-gray-50">
+                {cell}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {table.rows.map((row, i) => (
+            <tr key={i}>
+              {row.map((cell, j) => (
+                <td key={j} className="border border-gray-300 px-2 py-1">
+                  {cell}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+}
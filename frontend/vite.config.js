@@ -16,6 +16,30 @@ export default defineConfig({
         ws: false,        // set true only if you proxy websockets
         rewrite: (path) => path.replace(/^\/ask/, "/ask"), // identity rewrite (keeps path)
       },
+      // upload/conversation API (same backend)
+      "/uploads": {
+        target: "https://q-and-a-a.onrender.com",
+        changeOrigin: true,
+        secure: false,
+      },
+      // login / token endpoints
+      "/auth": {
+        target: "https://q-and-a-a.onrender.com",
+        changeOrigin: true,
+        secure: false,
+      },
+      // whole-document summaries
+      "/summarize": {
+        target: "https://q-and-a-a.onrender.com",
+        changeOrigin: true,
+        secure: false,
+      },
+      // answer modes for the mode selector
+      "/modes": {
+        target: "https://q-and-a-a.onrender.com",
+        changeOrigin: true,
+        secure: false,
+      },
 
     }
   }